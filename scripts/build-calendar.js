@@ -0,0 +1,240 @@
+/**
+ * Events Calendar Builder
+ *
+ * Turns the upcoming events in events-manifest.json into iCalendar files:
+ *      events.ics            — subscribable feed of every upcoming event
+ *      calendar/<id>.ics     — one file per event, for "Add to calendar" links
+ *
+ * Eventbrite's startLocal/endLocal are wall-clock times in London, so they are
+ * written as floating local times against a Europe/London VTIMEZONE rather than
+ * converted to UTC — calendar apps then apply GMT/BST correctly on either side
+ * of the clock change.
+ *
+ * Called by sync-events.js after every run, and runnable on its own:
+ *      node scripts/build-calendar.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SITE_ROOT, loadManifest, writeFileIfChanged, removeFile } = require('./lib/sync-core');
+
+const ROOT = SITE_ROOT;
+const MANIFEST_PATH = path.join(ROOT, 'events-manifest.json');
+const FEED_FILE = 'events.ics';
+const EVENT_DIR = 'calendar';
+const SITE_HOST = 'holistiqueuk.com';
+
+const TIMEZONE = 'Europe/London';
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIMEZONE}`,
+    `X-LIC-LOCATION:${TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0000',
+    'TZOFFSETTO:+0100',
+    'TZNAME:BST',
+    'DTSTART:19700329T010000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0100',
+    'TZOFFSETTO:+0000',
+    'TZNAME:GMT',
+    'DTSTART:19701025T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE',
+];
+
+// ── Formatting ──────────────────────────────────────────────────────────────
+
+/** RFC 5545 TEXT escaping: backslash, semicolon, comma and newlines. */
+function escapeText(str) {
+    return String(str || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets, continuing with a single space. Splits on
+ * character boundaries so multi-byte UTF-8 sequences are never cut in half.
+ */
+function foldLine(line) {
+    const out = [];
+    let current = '';
+    let bytes = 0;
+    for (const ch of line) {
+        const size = Buffer.byteLength(ch, 'utf8');
+        const limit = out.length === 0 ? 75 : 74;
+        if (bytes + size > limit) {
+            out.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += ch;
+        bytes += size;
+    }
+    out.push(current);
+    return out.join('\r\n ');
+}
+
+/** "2026-09-04T18:00:00" -> "20260904T180000" (local wall-clock time). */
+function toLocalStamp(isoLocal) {
+    const m = String(isoLocal || '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/);
+    return m ? `${m[1]}${m[2]}${m[3]}T${m[4]}${m[5]}${m[6] || '00'}` : '';
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * "2026-02-15T19:00:00" -> "Feb 15, 2026 &middot; 7:00 PM" (local wall-clock
+ * time, as HTML), for the event cards and pages and the event newsletters.
+ */
+function formatDateTime(isoStr) {
+    if (!isoStr) return '';
+    // isoStr is like "2026-02-15T19:00:00"
+    const parts = isoStr.split('T');
+    const dateParts = parts[0].split('-');
+    const timeParts = parts[1] ? parts[1].split(':') : ['0', '0'];
+
+    const year = parseInt(dateParts[0], 10);
+    const month = parseInt(dateParts[1], 10) - 1;
+    const day = parseInt(dateParts[2], 10);
+    let hours = parseInt(timeParts[0], 10);
+    const minutes = timeParts[1];
+
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    if (hours === 0) hours = 12;
+    else if (hours > 12) hours -= 12;
+
+    return `${MONTHS[month]} ${day}, ${year} &middot; ${hours}:${minutes} ${ampm}`;
+}
+
+/** Any ISO timestamp -> UTC "YYYYMMDDTHHMMSSZ", or '' when it does not parse. */
+function toUtcStamp(iso) {
+    const d = new Date(iso);
+    if (isNaN(d.getTime())) return '';
+    return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
+}
+
+/** "Venue, City" from a manifest event, or "Online" when it has neither. */
+function eventLocation(event) {
+    return [event.venueName, event.city].filter(Boolean).join(', ') || 'Online';
+}
+
+// ── Rendering ───────────────────────────────────────────────────────────────
+
+/** Site-relative path of one event's .ics file. */
+function eventCalendarPath(id) {
+    return `${EVENT_DIR}/${id}.ics`;
+}
+
+/**
+ * VEVENT lines for one manifest event. DTSTAMP is the manifest's lastSync — the
+ * last time event data changed — so unchanged runs produce identical files.
+ */
+function renderEvent(event, dtstamp) {
+    const start = toLocalStamp(event.startLocal);
+    const end = toLocalStamp(event.endLocal);
+    const description = [event.description, event.url ? `Tickets: ${event.url}` : '']
+        .filter(Boolean)
+        .join('\n\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.id}@${SITE_HOST}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;TZID=${TIMEZONE}:${start}`,
+    ];
+    if (end) lines.push(`DTEND;TZID=${TIMEZONE}:${end}`);
+    lines.push(`SUMMARY:${escapeText(event.name)}`);
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    lines.push(`LOCATION:${escapeText(eventLocation(event))}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push('STATUS:CONFIRMED', 'END:VEVENT');
+    return lines;
+}
+
+function renderCalendar(events, { name, lastSync }) {
+    const dtstamp = toUtcStamp(lastSync) || '19700101T000000Z';
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Holistique UK//Events Sync//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${TIMEZONE}`,
+        ...VTIMEZONE,
+    ];
+    for (const event of events) {
+        if (!toLocalStamp(event.startLocal)) continue;
+        lines.push(...renderEvent(event, dtstamp));
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Every calendar file for the manifest, keyed by site-relative path. Only
+ * upcoming events get files — a past event has nothing left to add.
+ */
+function buildCalendars(manifest) {
+    const upcoming = ((manifest && manifest.upcoming) || []).filter(e => e.id && toLocalStamp(e.startLocal));
+    const lastSync = manifest && manifest.lastSync;
+    const files = {
+        [FEED_FILE]: renderCalendar(upcoming, { name: 'Holistique UK Events', lastSync }),
+    };
+    for (const event of upcoming) {
+        files[eventCalendarPath(event.id)] = renderCalendar([event], { name: event.name, lastSync });
+    }
+    return files;
+}
+
+// ── Writing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Write every calendar that changed and delete per-event files for events that are
+ * no longer upcoming. Returns true when anything on disk changed (or would, in a dry run).
+ */
+function updateCalendars(manifest = loadManifest(MANIFEST_PATH, null)) {
+    const files = buildCalendars(manifest);
+    const dir = path.join(ROOT, EVENT_DIR);
+
+    const written = Object.keys(files).filter(rel => writeFileIfChanged(path.join(ROOT, rel), files[rel]));
+
+    const removed = [];
+    for (const name of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+        const rel = `${EVENT_DIR}/${name}`;
+        if (name.endsWith('.ics') && !files[rel]) {
+            removeFile(path.join(dir, name));
+            removed.push(rel);
+        }
+    }
+
+    if (written.length || removed.length) {
+        console.log(`  Calendars: ${written.length} written, ${removed.length} removed.`);
+    } else {
+        console.log('  Calendars already up to date.');
+    }
+    return written.length > 0 || removed.length > 0;
+}
+
+module.exports = {
+    FEED_FILE,
+    escapeText,
+    foldLine,
+    toLocalStamp,
+    formatDateTime,
+    eventLocation,
+    eventCalendarPath,
+    renderCalendar,
+    buildCalendars,
+    updateCalendars,
+};
+
+if (require.main === module) {
+    updateCalendars();
+}
@@ -0,0 +1,318 @@
+/**
+ * Journal Feed Builder
+ *
+ * Publishes the Holistique journal as RSS 2.0 (feed.xml), Atom (atom.xml) and
+ * JSON Feed 1.1 (feed.json). Post metadata comes from posts-manifest.json; the
+ * full content, summary and hero image are read back out of each generated
+ * post page, so hand-made and synced posts are published the same way.
+ *
+ * Called by sync-medium.js after every run, and runnable on its own:
+ *      node scripts/build-feeds.js
+ *
+ * Feed timestamps are derived from post dates, and from the `updatedAt` that
+ * sync-medium.js records when a post is edited, never from the clock, so files
+ * are only rewritten when a post actually changes.
+ */
+
+const path = require('path');
+const {
+    escapeHtml,
+    decodeHtmlEntities,
+    stripHtml,
+    SITE_ROOT,
+    readFile,
+    loadManifest,
+    writeFileIfChanged,
+} = require('./lib/sync-core');
+const { toW3cDate } = require('./build-sitemap');
+
+const ROOT = SITE_ROOT;
+const POSTS_MANIFEST_PATH = path.join(ROOT, 'posts-manifest.json');
+const SITE_BASE_URL = 'https://holistiqueuk.com';
+const JOURNAL_URL = `${SITE_BASE_URL}/blog.html`;
+
+const FEED_TITLE = 'Holistique UK Journal';
+const FEED_DESCRIPTION = 'Wellness stories, product reviews, and personal growth from Yvonne Liang.';
+const AUTHOR_NAME = 'Yvonne Liang';
+
+const FEEDS = {
+    rss: { file: 'feed.xml', type: 'application/rss+xml' },
+    atom: { file: 'atom.xml', type: 'application/atom+xml' },
+    json: { file: 'feed.json', type: 'application/feed+json' },
+};
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// ── Page Links ──────────────────────────────────────────────────────────────
+
+/** The <link rel="alternate"> tags every journal page carries in its <head>. */
+function feedLinkTags(indent = '    ') {
+    return [
+        `${indent}<link rel="alternate" type="${FEEDS.rss.type}" title="${FEED_TITLE} (RSS)" href="${SITE_BASE_URL}/${FEEDS.rss.file}">`,
+        `${indent}<link rel="alternate" type="${FEEDS.atom.type}" title="${FEED_TITLE} (Atom)" href="${SITE_BASE_URL}/${FEEDS.atom.file}">`,
+        `${indent}<link rel="alternate" type="${FEEDS.json.type}" title="${FEED_TITLE} (JSON Feed)" href="${SITE_BASE_URL}/${FEEDS.json.file}">`,
+    ].join('\n');
+}
+
+// ── Reading Post Pages ──────────────────────────────────────────────────────
+
+/** Relative src/href/srcset values resolved against the site, so feed readers can load them. */
+function absolutizeUrls(html, base) {
+    return html
+        .replace(/\b(src|href)="([^"]*)"/g, (whole, attr, value) => `${attr}="${absoluteUrl(value, base)}"`)
+        .replace(/\bsrcset="([^"]*)"/g, (whole, value) => {
+            const candidates = value.split(',').map((candidate) => {
+                const [url, ...descriptors] = candidate.trim().split(/\s+/);
+                return [absoluteUrl(url, base), ...descriptors].join(' ');
+            });
+            return `srcset="${candidates.join(', ')}"`;
+        });
+}
+
+/**
+ * A relative URL resolved against the page it appears on (the site root by
+ * default); absolute URLs and fragments are kept.
+ */
+function absoluteUrl(value, base = `${SITE_BASE_URL}/`) {
+    if (!value || /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(value)) return value;
+    return new URL(value, base).toString();
+}
+
+/** Strip the page's indentation, except inside <pre> where whitespace is content. */
+function outdent(html) {
+    return html.split(/(<pre\b[\s\S]*?<\/pre>)/).map((part, i) => (i % 2 ? part : part.replace(/\n\s+/g, '\n'))).join('');
+}
+
+/**
+ * Pull the publishable parts back out of a post page. The article body runs from
+ * the article-body div to the author bio; its own closing </div> is dropped.
+ * Relative URLs are resolved against `pageUrl`, where the page is published.
+ */
+function readPostPage(html, pageUrl = `${SITE_BASE_URL}/`) {
+    const grab = (re) => {
+        const m = html.match(re);
+        return m ? m[1].trim() : '';
+    };
+
+    let content = '';
+    const bodyStart = html.indexOf('<div class="article-body">');
+    const bioStart = html.indexOf('<div class="author-bio">');
+    if (bodyStart !== -1 && bioStart > bodyStart) {
+        const inner = html.substring(bodyStart + '<div class="article-body">'.length, bioStart);
+        content = outdent(inner.substring(0, inner.lastIndexOf('</div>'))).trim();
+    }
+
+    const description = grab(/<meta name="description" content="([^"]*)"/) ||
+        grab(/<p class="article-subtitle">([\s\S]*?)<\/p>/);
+
+    return {
+        heroImage: absoluteUrl(decodeHtmlEntities(grab(/<div class="article-hero">\s*<img[^>]+src="([^"]+)"/)), pageUrl),
+        summary: decodeHtmlEntities(stripHtml(description)),
+        content: absolutizeUrls(content, pageUrl),
+    };
+}
+
+// ── Dates ───────────────────────────────────────────────────────────────────
+
+/** Midnight UTC on the post's date, as a Date (or null when the date is unreadable). */
+function postDate(post) {
+    const day = toW3cDate(post.date);
+    return day ? new Date(`${day}T00:00:00Z`) : null;
+}
+
+/** When an edit to the post was synced, or null if it never has been. */
+function postUpdated(post) {
+    const updated = post.updatedAt ? new Date(post.updatedAt) : null;
+    return updated && !isNaN(updated) ? updated : null;
+}
+
+function toRfc822(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${DAYS[date.getUTCDay()]}, ${pad(date.getUTCDate())} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()} 00:00:00 GMT`;
+}
+
+function toRfc3339(date) {
+    return date.toISOString().replace('.000Z', 'Z');
+}
+
+// ── Collecting ──────────────────────────────────────────────────────────────
+
+/**
+ * Feed entries, newest first, leaving out posts flagged as unpublished.
+ * `readPage` maps a post file name to its HTML (or null when missing) so tests
+ * can feed pages in without touching disk.
+ */
+function collectEntries(manifest, readPage) {
+    const entries = [];
+    for (const post of (manifest && manifest.posts) || []) {
+        if (post.unpublishedAt) continue;
+        const date = postDate(post);
+        const html = post.file ? readPage(post.file) : null;
+        if (!date || !html) continue;
+        const url = `${SITE_BASE_URL}/${post.file}`;
+        const page = readPostPage(html, url);
+        const categories = [post.category, ...(post.tags || [])]
+            .filter(Boolean)
+            .filter((c, i, all) => all.findIndex(x => x.toLowerCase() === c.toLowerCase()) === i);
+
+        entries.push({
+            number: post.number || 0,
+            title: post.title,
+            url,
+            externalUrl: post.mediumUrl || '',
+            date,
+            updated: postUpdated(post) || date,
+            categories,
+            heroImage: page.heroImage,
+            summary: page.summary,
+            content: page.content,
+        });
+    }
+    return entries.sort((a, b) => (b.date - a.date) || (b.number - a.number));
+}
+
+/** Full HTML for feed readers: the hero image leads, as it does on the page. */
+function entryHtml(entry) {
+    const hero = entry.heroImage ? `<p><img src="${escapeHtml(entry.heroImage)}" alt="${escapeHtml(entry.title)}"></p>\n` : '';
+    return hero + entry.content;
+}
+
+// ── Rendering ───────────────────────────────────────────────────────────────
+
+function cdata(text) {
+    return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function renderRss(entries) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+        '  <channel>',
+        `    <title>${FEED_TITLE}</title>`,
+        `    <link>${JOURNAL_URL}</link>`,
+        `    <atom:link href="${SITE_BASE_URL}/${FEEDS.rss.file}" rel="self" type="${FEEDS.rss.type}"/>`,
+        `    <description>${escapeHtml(FEED_DESCRIPTION)}</description>`,
+        '    <language>en-gb</language>',
+    ];
+    if (entries.length) lines.push(`    <lastBuildDate>${toRfc822(entries[0].date)}</lastBuildDate>`);
+
+    for (const entry of entries) {
+        lines.push('    <item>');
+        lines.push(`      <title>${escapeHtml(entry.title)}</title>`);
+        lines.push(`      <link>${entry.url}</link>`);
+        lines.push(`      <guid isPermaLink="true">${entry.url}</guid>`);
+        lines.push(`      <pubDate>${toRfc822(entry.date)}</pubDate>`);
+        lines.push(`      <dc:creator>${AUTHOR_NAME}</dc:creator>`);
+        for (const category of entry.categories) {
+            lines.push(`      <category>${escapeHtml(category)}</category>`);
+        }
+        if (entry.summary) lines.push(`      <description>${escapeHtml(entry.summary)}</description>`);
+        if (entry.heroImage) lines.push(`      <media:content url="${escapeHtml(entry.heroImage)}" medium="image"/>`);
+        lines.push(`      <content:encoded>${cdata(entryHtml(entry))}</content:encoded>`);
+        lines.push('    </item>');
+    }
+
+    lines.push('  </channel>', '</rss>');
+    return lines.join('\n') + '\n';
+}
+
+function renderAtom(entries) {
+    const newest = entries.reduce((latest, entry) => (entry.updated > latest ? entry.updated : latest), null);
+    const updated = newest ? toRfc3339(newest) : '1970-01-01T00:00:00Z';
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-GB">',
+        `  <title>${FEED_TITLE}</title>`,
+        `  <subtitle>${escapeHtml(FEED_DESCRIPTION)}</subtitle>`,
+        `  <id>${JOURNAL_URL}</id>`,
+        `  <link rel="alternate" type="text/html" href="${JOURNAL_URL}"/>`,
+        `  <link rel="self" type="${FEEDS.atom.type}" href="${SITE_BASE_URL}/${FEEDS.atom.file}"/>`,
+        `  <updated>${updated}</updated>`,
+        `  <author><name>${AUTHOR_NAME}</name></author>`,
+    ];
+
+    for (const entry of entries) {
+        lines.push('  <entry>');
+        lines.push(`    <title>${escapeHtml(entry.title)}</title>`);
+        lines.push(`    <id>${entry.url}</id>`);
+        lines.push(`    <link rel="alternate" type="text/html" href="${entry.url}"/>`);
+        if (entry.heroImage) lines.push(`    <link rel="enclosure" href="${escapeHtml(entry.heroImage)}"/>`);
+        lines.push(`    <published>${toRfc3339(entry.date)}</published>`);
+        lines.push(`    <updated>${toRfc3339(entry.updated)}</updated>`);
+        for (const category of entry.categories) {
+            lines.push(`    <category term="${escapeHtml(category)}"/>`);
+        }
+        if (entry.summary) lines.push(`    <summary>${escapeHtml(entry.summary)}</summary>`);
+        lines.push(`    <content type="html">${escapeHtml(entryHtml(entry))}</content>`);
+        lines.push('  </entry>');
+    }
+
+    lines.push('</feed>');
+    return lines.join('\n') + '\n';
+}
+
+function renderJsonFeed(entries) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: FEED_TITLE,
+        home_page_url: JOURNAL_URL,
+        feed_url: `${SITE_BASE_URL}/${FEEDS.json.file}`,
+        description: FEED_DESCRIPTION,
+        language: 'en-GB',
+        authors: [{ name: AUTHOR_NAME }],
+        items: entries.map((entry) => {
+            const item = {
+                id: entry.url,
+                url: entry.url,
+                title: entry.title,
+                content_html: entryHtml(entry),
+                date_published: toRfc3339(entry.date),
+                tags: entry.categories,
+            };
+            if (entry.updated > entry.date) item.date_modified = toRfc3339(entry.updated);
+            if (entry.externalUrl) item.external_url = entry.externalUrl;
+            if (entry.summary) item.summary = entry.summary;
+            if (entry.heroImage) item.image = entry.heroImage;
+            return item;
+        }),
+    };
+    return JSON.stringify(feed, null, 2) + '\n';
+}
+
+// ── Writing ─────────────────────────────────────────────────────────────────
+
+/** Render all three feeds from the manifest and post pages on disk. */
+function buildFeeds() {
+    const manifest = loadManifest(POSTS_MANIFEST_PATH, { posts: [] });
+    const entries = collectEntries(manifest, file => readFile(path.join(ROOT, file)));
+    return {
+        [FEEDS.rss.file]: renderRss(entries),
+        [FEEDS.atom.file]: renderAtom(entries),
+        [FEEDS.json.file]: renderJsonFeed(entries),
+    };
+}
+
+/** Rebuild feed.xml, atom.xml and feed.json, writing only the ones that changed. */
+function updateFeeds() {
+    const feeds = buildFeeds();
+    const written = Object.keys(feeds).filter(file => writeFileIfChanged(path.join(ROOT, file), feeds[file]));
+    console.log(written.length ? `  Updated ${written.join(', ')}.` : '  Feeds already up to date.');
+    return written.length > 0;
+}
+
+module.exports = {
+    FEEDS,
+    feedLinkTags,
+    readPostPage,
+    collectEntries,
+    renderRss,
+    renderAtom,
+    renderJsonFeed,
+    buildFeeds,
+    updateFeeds,
+};
+
+if (require.main === module) {
+    updateFeeds();
+}
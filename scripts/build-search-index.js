@@ -0,0 +1,92 @@
+/**
+ * Journal Search Index Builder
+ *
+ * Writes search-index.json: the title, subtitle, category, tags and body text of
+ * every live journal post, for the search box on blog-post.html to load and rank
+ * in the browser. Post metadata comes from posts-manifest.json and the text is
+ * read back out of each post page (see build-feeds.js), so hand-made and synced
+ * posts are searchable alike. Posts flagged as unpublished are left out.
+ *
+ * Called by sync-medium.js after every run, and runnable on its own:
+ *      node scripts/build-search-index.js
+ *
+ * One post per line keeps the file small and its diffs readable; it is only
+ * rewritten when a post changes.
+ */
+
+const path = require('path');
+const {
+    SITE_ROOT,
+    decodeHtmlEntities,
+    stripHtml,
+    readFile,
+    loadManifest,
+    writeFileIfChanged,
+} = require('./lib/sync-core');
+const { indexedPosts } = require('./lib/journal-pages');
+const { readPostPage } = require('./build-feeds');
+
+const ROOT = SITE_ROOT;
+const POSTS_MANIFEST_PATH = path.join(ROOT, 'posts-manifest.json');
+const INDEX_FILE = 'search-index.json';
+const INDEX_VERSION = 1;
+
+const BLOCK_TAG = /<\/?(?:p|div|h[1-6]|li|ul|ol|dl|dt|dd|blockquote|figure|figcaption|pre|table|tr|td|th|br|hr)\b[^>]*>/gi;
+
+/** Plain text of an HTML fragment, one space between blocks and words. */
+function plainText(html) {
+    return decodeHtmlEntities(stripHtml(String(html || '').replace(BLOCK_TAG, ' '))).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Index entries in Journal order (newest first). `readPage` maps a post file
+ * name to its HTML, or null when it is missing, so tests can skip the disk.
+ * Posts whose page cannot be read are indexed on their metadata alone.
+ */
+function collectDocuments(manifest, readPage) {
+    const posts = indexedPosts((manifest && manifest.posts) || []).filter(p => !p.unpublishedAt);
+    return posts.map((post) => {
+        const html = readPage(post.file);
+        const subtitle = html ? (html.match(/<p class="article-subtitle">([\s\S]*?)<\/p>/) || [])[1] : '';
+        return {
+            url: post.file,
+            title: post.title,
+            subtitle: plainText(subtitle || ''),
+            category: post.category || '',
+            tags: (post.tags || []).filter(tag => tag.toLowerCase() !== String(post.category).toLowerCase()),
+            date: post.date || '',
+            text: html ? plainText(readPostPage(html).content) : '',
+        };
+    });
+}
+
+function renderSearchIndex(documents) {
+    if (documents.length === 0) return `{"version":${INDEX_VERSION},"posts":[]}\n`;
+    return `{"version":${INDEX_VERSION},"posts":[\n${documents.map(doc => JSON.stringify(doc)).join(',\n')}\n]}\n`;
+}
+
+/** Read the manifest and post pages as the sync sees them and render the index. */
+function buildSearchIndex() {
+    const manifest = loadManifest(POSTS_MANIFEST_PATH, { posts: [] });
+    return renderSearchIndex(collectDocuments(manifest, file => readFile(path.join(ROOT, file))));
+}
+
+/** Rebuild search-index.json, writing only on change. Returns true when it was written. */
+function updateSearchIndex() {
+    const written = writeFileIfChanged(path.join(ROOT, INDEX_FILE), buildSearchIndex());
+    console.log(written ? `  Updated ${INDEX_FILE}.` : `  ${INDEX_FILE} already up to date.`);
+    return written;
+}
+
+module.exports = {
+    INDEX_FILE,
+    plainText,
+    collectDocuments,
+    renderSearchIndex,
+    buildSearchIndex,
+    updateSearchIndex,
+};
+
+if (require.main === module) {
+    updateSearchIndex();
+}
@@ -0,0 +1,165 @@
+/**
+ * Sitemap Builder
+ *
+ * Rebuilds sitemap.xml from the static pages plus posts-manifest.json,
+ * events-manifest.json (which also lists each event's own page) and
+ * linktree-manifest.json. lastmod comes from post dates and manifest sync
+ * times; pages with no data source carry no lastmod.
+ *
+ * Called at the end of every sync script, and runnable on its own:
+ *      node scripts/build-sitemap.js
+ *
+ * The file is only rewritten when its content changes, so an unchanged run leaves
+ * nothing for the workflow to commit.
+ */
+
+const path = require('path');
+const { SITE_ROOT, escapeHtml, loadManifest, writeFileIfChanged } = require('./lib/sync-core');
+const { journalPages } = require('./lib/journal-pages');
+
+const ROOT = SITE_ROOT;
+const SITEMAP_PATH = path.join(ROOT, 'sitemap.xml');
+const POSTS_MANIFEST_PATH = path.join(ROOT, 'posts-manifest.json');
+const EVENTS_MANIFEST_PATH = path.join(ROOT, 'events-manifest.json');
+const LINKTREE_MANIFEST_PATH = path.join(ROOT, 'linktree-manifest.json');
+const SITE_BASE_URL = 'https://holistiqueuk.com';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// blog-post.html is canonicalised to blog.html, so only the latter is listed.
+// `lastmod` names the data source whose freshness the page reflects.
+const STATIC_PAGES = [
+    { path: '', changefreq: 'weekly', priority: '1.0', lastmod: 'events' },
+    { path: 'acupuncture.html', changefreq: 'monthly', priority: '0.9' },
+    { path: 'events.html', changefreq: 'weekly', priority: '0.9', lastmod: 'events' },
+    { path: 'wellness-tools.html', changefreq: 'monthly', priority: '0.8', lastmod: 'linktree' },
+    { path: 'self-acupuncture-course.html', changefreq: 'monthly', priority: '0.8' },
+    { path: 'blog.html', changefreq: 'weekly', priority: '0.7', lastmod: 'posts' },
+];
+
+// ── Dates ───────────────────────────────────────────────────────────────────
+
+/**
+ * W3C date (YYYY-MM-DD) from either a manifest post date ("Oct 1, 2025") or an ISO
+ * timestamp. Parsed by hand so the result never depends on the runner's timezone.
+ */
+function toW3cDate(value) {
+    if (!value) return '';
+    const iso = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+    if (iso) return iso[1];
+    const human = String(value).match(/^([A-Za-z]{3})[a-z]*\s+(\d{1,2}),\s*(\d{4})$/);
+    if (human) {
+        const month = MONTHS.indexOf(human[1].charAt(0).toUpperCase() + human[1].slice(1, 3).toLowerCase());
+        if (month === -1) return '';
+        return `${human[3]}-${String(month + 1).padStart(2, '0')}-${human[2].padStart(2, '0')}`;
+    }
+    return '';
+}
+
+function latest(dates) {
+    return dates.filter(Boolean).sort().pop() || '';
+}
+
+// ── Building ────────────────────────────────────────────────────────────────
+
+/**
+ * Sitemap entries in output order: static pages, the Journal's archive and
+ * category pages, posts newest first (leaving out any sync-medium.js has
+ * flagged as unpublished), then the pages of upcoming and past events.
+ * Manifests are passed in so callers (and tests) can build from in-memory data.
+ */
+function collectEntries({ posts, events, linktree }) {
+    const postList = ((posts && posts.posts) || []).filter(p => !p.unpublishedAt);
+    const postDates = postList.map(p => toW3cDate(p.date));
+    const sources = {
+        posts: latest(postDates),
+        events: toW3cDate(events && events.lastSync),
+        linktree: toW3cDate(linktree && linktree.synced_at),
+    };
+
+    const entries = STATIC_PAGES.map(page => ({
+        loc: `${SITE_BASE_URL}/${page.path}`,
+        lastmod: page.lastmod ? sources[page.lastmod] : '',
+        changefreq: page.changefreq,
+        priority: page.priority,
+    }));
+
+    // Page 1 of the archive is blog-post.html, canonicalised to blog.html above.
+    const { archive, categories } = journalPages((posts && posts.posts) || []);
+    for (const page of [...archive.slice(1), ...categories]) {
+        entries.push({
+            loc: `${SITE_BASE_URL}/${page.file}`,
+            lastmod: latest(page.posts.map(p => toW3cDate(p.date))),
+            changefreq: 'weekly',
+            priority: '0.5',
+        });
+    }
+
+    const sortedPosts = postList
+        .map((p, i) => ({ post: p, date: postDates[i] }))
+        .sort((a, b) => (b.date > a.date ? 1 : b.date < a.date ? -1 : (b.post.number || 0) - (a.post.number || 0)));
+
+    for (const { post, date } of sortedPosts) {
+        if (!post.file) continue;
+        entries.push({
+            loc: `${SITE_BASE_URL}/${post.file}`,
+            lastmod: date,
+            changefreq: 'yearly',
+            priority: '0.6',
+        });
+    }
+
+    for (const [list, changefreq, priority] of [['upcoming', 'weekly', '0.7'], ['past', 'yearly', '0.4']]) {
+        for (const event of (events && events[list]) || []) {
+            if (!event.page) continue;
+            entries.push({ loc: `${SITE_BASE_URL}/${event.page}`, lastmod: sources.events, changefreq, priority });
+        }
+    }
+
+    return entries;
+}
+
+function renderSitemap(entries) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ];
+    for (const entry of entries) {
+        lines.push('  <url>');
+        lines.push(`    <loc>${escapeHtml(entry.loc)}</loc>`);
+        if (entry.lastmod) lines.push(`    <lastmod>${entry.lastmod}</lastmod>`);
+        lines.push(`    <changefreq>${entry.changefreq}</changefreq>`);
+        lines.push(`    <priority>${entry.priority}</priority>`);
+        lines.push('  </url>');
+    }
+    lines.push('</urlset>');
+    return lines.join('\n') + '\n';
+}
+
+/** Read the manifests from disk and render the sitemap XML. */
+function buildSitemap() {
+    return renderSitemap(collectEntries({
+        posts: loadManifest(POSTS_MANIFEST_PATH, null),
+        events: loadManifest(EVENTS_MANIFEST_PATH, null),
+        linktree: loadManifest(LINKTREE_MANIFEST_PATH, null),
+    }));
+}
+
+/** Rebuild sitemap.xml, writing only on change. Returns true when it was written. */
+function updateSitemap() {
+    const written = writeFileIfChanged(SITEMAP_PATH, buildSitemap());
+    console.log(written ? '  Updated sitemap.xml.' : '  sitemap.xml already up to date.');
+    return written;
+}
+
+module.exports = {
+    toW3cDate,
+    collectEntries,
+    renderSitemap,
+    buildSitemap,
+    updateSitemap,
+};
+
+if (require.main === module) {
+    updateSitemap();
+}
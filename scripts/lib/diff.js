@@ -0,0 +1,142 @@
+/**
+ * Line-based unified diff (Myers' O(ND) algorithm), for the sync scripts'
+ * --dry-run previews. No dependencies; output matches `diff -u` closely enough
+ * to read, review and paste into an issue.
+ */
+
+// Past this many edits the minimal script stops being worth computing; the
+// changed region is shown as one block of removals followed by additions.
+const MAX_EDIT_DISTANCE = 4000;
+
+function splitLines(text) {
+    if (text === null || text === undefined || text === '') return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Edit script between two line arrays, as a list of
+ *      { type: ' ' | '-' | '+', line }
+ * Common prefix/suffix are trimmed first so the search only covers what changed.
+ */
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const head = a.slice(0, start).map(line => ({ type: ' ', line }));
+    const tail = a.slice(endA).map(line => ({ type: ' ', line }));
+    const middle = myers(a.slice(start, endA), b.slice(start, endB));
+    return head.concat(middle, tail);
+}
+
+function myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0) return b.map(line => ({ type: '+', line }));
+    if (m === 0) return a.map(line => ({ type: '-', line }));
+
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) return backtrack(trace, a, b, offset);
+        }
+    }
+
+    // Too many edits: show the whole region as replaced.
+    return a.map(line => ({ type: '-', line })).concat(b.map(line => ({ type: '+', line })));
+}
+
+function backtrack(trace, a, b, offset) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : v[offset + prevK];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', line: a[--x] });
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) ops.push({ type: '+', line: b[--y] });
+            else ops.push({ type: '-', line: a[--x] });
+        }
+    }
+    return ops.reverse();
+}
+
+/**
+ * Unified diff text between two file contents (null means "does not exist").
+ * Returns '' when they are identical.
+ */
+function unifiedDiff(before, after, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+    if (before === after) return '';
+    const ops = diffLines(splitLines(before), splitLines(after));
+
+    // Positions (1-based line numbers) in each file before every op.
+    let lineA = 1;
+    let lineB = 1;
+    const annotated = ops.map((op) => {
+        const entry = Object.assign({ a: lineA, b: lineB }, op);
+        if (op.type !== '+') lineA++;
+        if (op.type !== '-') lineB++;
+        return entry;
+    });
+
+    const changed = annotated.map((op, i) => (op.type !== ' ' ? i : -1)).filter(i => i !== -1);
+    if (changed.length === 0) return ''; // only a trailing-newline difference
+
+    const hunks = [];
+    let current = null;
+    for (const i of changed) {
+        const from = Math.max(0, i - context);
+        const to = Math.min(annotated.length - 1, i + context);
+        if (current && from <= current.to + 1) {
+            current.to = Math.max(current.to, to);
+        } else {
+            current = { from, to };
+            hunks.push(current);
+        }
+    }
+
+    const out = [
+        `--- ${before === null ? '/dev/null' : fromFile}`,
+        `+++ ${after === null ? '/dev/null' : toFile}`,
+    ];
+    for (const hunk of hunks) {
+        const slice = annotated.slice(hunk.from, hunk.to + 1);
+        const countA = slice.filter(op => op.type !== '+').length;
+        const countB = slice.filter(op => op.type !== '-').length;
+        const startA = countA ? slice.find(op => op.type !== '+').a : slice[0].a - 1;
+        const startB = countB ? slice.find(op => op.type !== '-').b : slice[0].b - 1;
+        out.push(`@@ -${startA},${countA} +${startB},${countB} @@`);
+        for (const op of slice) out.push(op.type + op.line);
+    }
+    return out.join('\n') + '\n';
+}
+
+module.exports = { diffLines, unifiedDiff };
@@ -0,0 +1,68 @@
+/**
+ * Image type and pixel dimensions read straight from the file header — enough for
+ * the width/height attributes on self-hosted images. No dependencies; covers the
+ * formats Medium's CDN serves: JPEG, PNG, GIF and WebP.
+ */
+
+/**
+ * { type, width, height } for an image Buffer, or null when it is not one of the
+ * supported formats (an HTML error page, say) or the header is cut short.
+ * `type` doubles as the file extension.
+ */
+function imageSize(buf) {
+    if (!Buffer.isBuffer(buf) || buf.length < 12) return null;
+
+    // PNG: signature, then the IHDR chunk.
+    if (buf.readUInt32BE(0) === 0x89504e47 && buf.toString('ascii', 12, 16) === 'IHDR' && buf.length >= 24) {
+        return { type: 'png', width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    }
+
+    if (buf.toString('ascii', 0, 6) === 'GIF87a' || buf.toString('ascii', 0, 6) === 'GIF89a') {
+        return { type: 'gif', width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+    }
+
+    if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+        return webpSize(buf);
+    }
+
+    if (buf[0] === 0xff && buf[1] === 0xd8) return jpegSize(buf);
+
+    return null;
+}
+
+function webpSize(buf) {
+    if (buf.length < 30) return null;
+    const chunk = buf.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+        return { type: 'webp', width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buf.readUInt32LE(21);
+        return { type: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { type: 'webp', width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+/** Walk the JPEG segments to the first start-of-frame marker. */
+function jpegSize(buf) {
+    let offset = 2;
+    while (offset + 9 < buf.length) {
+        if (buf[offset] !== 0xff) return null;
+        const marker = buf[offset + 1];
+        if (marker === 0xff) {
+            offset++; // fill byte
+            continue;
+        }
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC).
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return { type: 'jpg', width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buf.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+module.exports = { imageSize };
@@ -0,0 +1,79 @@
+/**
+ * Which Journal pages there are and which posts go on each: blog-post.html
+ * (the newest post featured, then a page of cards), the older archive pages at
+ * journal/page/<n>.html and one page per category at
+ * journal/category/<slug>.html. sync-medium.js renders them; build-sitemap.js
+ * lists them.
+ */
+
+const JOURNAL_DIR = 'journal';
+const POSTS_PER_PAGE = 12;
+
+/** Lowercase ASCII words joined by hyphens, cut at a word boundary. */
+function slugify(text, maxLength = 80) {
+    const slug = String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['‘’`]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    if (slug.length <= maxLength) return slug;
+    const cut = slug.slice(0, maxLength + 1);
+    return cut.slice(0, cut.lastIndexOf('-') > 0 ? cut.lastIndexOf('-') : maxLength);
+}
+
+/** Posts listed on the Journal, newest first (the later-synced first on the same day). */
+function indexedPosts(posts) {
+    const time = (post) => {
+        const t = new Date(post.date).getTime();
+        return isNaN(t) ? 0 : t;
+    };
+    return posts
+        .filter(p => p.file && !p.removedAt)
+        .sort((a, b) => (time(b) - time(a)) || ((b.number || 0) - (a.number || 0)));
+}
+
+/** Page n of the archive; page 1 is the Journal itself. */
+function archiveFile(page) {
+    return page === 1 ? 'blog-post.html' : `${JOURNAL_DIR}/page/${page}.html`;
+}
+
+/**
+ * The Journal's pages for a manifest's posts:
+ *   { featured, archive: [{ page, file, posts }], categories: [{ category, file, posts }] }
+ * `featured` heads page 1 and is not repeated in the archive; category pages
+ * list every post in the category, A–Z by category. "&" is left out of
+ * category slugs, and two categories that slug alike get -2, -3, ...
+ */
+function journalPages(posts) {
+    const [featured = null, ...rest] = indexedPosts(posts || []);
+    const pageCount = Math.max(1, Math.ceil(rest.length / POSTS_PER_PAGE));
+    const archive = [];
+    for (let page = 1; page <= pageCount; page++) {
+        archive.push({
+            page,
+            file: archiveFile(page),
+            posts: rest.slice((page - 1) * POSTS_PER_PAGE, page * POSTS_PER_PAGE),
+        });
+    }
+
+    const byCategory = new Map();
+    for (const post of featured ? [featured, ...rest] : []) {
+        if (!byCategory.has(post.category)) byCategory.set(post.category, []);
+        byCategory.get(post.category).push(post);
+    }
+    const taken = new Set();
+    const categories = [...byCategory.keys()].sort().map((category) => {
+        const base = slugify(String(category).replace(/&/g, ' ')) || 'journal';
+        let slug = base;
+        for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+        taken.add(slug);
+        return { category, file: `${JOURNAL_DIR}/category/${slug}.html`, posts: byCategory.get(category) };
+    });
+
+    return { featured, archive, categories };
+}
+
+module.exports = { JOURNAL_DIR, POSTS_PER_PAGE, slugify, indexedPosts, archiveFile, journalPages };
@@ -0,0 +1,267 @@
+/**
+ * Allow-list HTML sanitizer for third-party article content (Medium's
+ * content:encoded). No dependencies.
+ *
+ * The input is tokenised into tags and text and rebuilt from what the lists
+ * below allow:
+ *   - tags not on the list are unwrapped (their text is kept), except the ones
+ *     in DROP_WITH_CONTENT, which go along with everything inside them
+ *   - attributes not allowed on that tag are dropped: every on* handler, style,
+ *     id and so on
+ *   - URL attributes keep only http(s), mailto (links) and relative URLs, and
+ *     data-embed-src only the click-to-load players sync-medium.js emits
+ *   - end tags are balanced against what is open, so stray closing tags cannot
+ *     break out of the article body, and anything left open is closed
+ *   - comments, doctypes and processing instructions are removed
+ * Links to other sites get rel="noopener".
+ *
+ * Returns the clean HTML and a list of what was removed, for the sync to report.
+ */
+
+const { escapeHtml, decodeHtmlEntities } = require('./sync-core');
+
+const SITE_HOSTS = ['holistiqueuk.com', 'www.holistiqueuk.com'];
+
+/** Players the click-to-load embeds may swap in (see sync-medium.js). */
+const EMBED_HOSTS = ['www.youtube-nocookie.com', 'player.vimeo.com'];
+
+const GLOBAL_ATTRS = ['title', 'lang', 'dir'];
+
+/**
+ * tag -> attributes allowed on it (on top of GLOBAL_ATTRS). Look tags up with
+ * isAllowedTag(): a plain `ALLOWED_TAGS[tag]` would also find <constructor>.
+ */
+const ALLOWED_TAGS = {
+    a: ['href', 'target', 'rel', 'class', 'aria-label'],
+    abbr: [],
+    b: [],
+    blockquote: ['cite'],
+    br: [],
+    cite: [],
+    code: [],
+    dd: [],
+    del: [],
+    div: ['class', 'data-embed-src', 'data-embed-title'],
+    dl: [],
+    dt: [],
+    em: [],
+    figcaption: [],
+    figure: ['class'],
+    h2: [],
+    h3: [],
+    h4: [],
+    h5: [],
+    h6: [],
+    hr: [],
+    i: [],
+    img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading', 'role'],
+    ins: [],
+    kbd: [],
+    li: [],
+    mark: [],
+    ol: ['start', 'reversed'],
+    p: [],
+    pre: [],
+    q: ['cite'],
+    s: [],
+    small: [],
+    span: ['class', 'aria-hidden'],
+    strong: [],
+    sub: [],
+    sup: [],
+    table: [],
+    tbody: [],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope'],
+    thead: [],
+    tr: [],
+    u: [],
+    ul: [],
+};
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'area', 'base', 'col', 'embed', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+/** Removed together with everything inside them. */
+const DROP_WITH_CONTENT = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'template', 'noscript', 'noembed', 'textarea', 'select', 'option', 'svg', 'math',
+    'title', 'head', 'xmp', 'plaintext',
+]);
+
+const URL_ATTRS = new Set(['href', 'src', 'cite', 'data-embed-src']);
+
+const TOKEN = new RegExp([
+    '<!--[\\s\\S]*?(?:-->|$)',                                  // comment
+    '<[!?][^>]*>?',                                             // doctype, CDATA, processing instruction
+    '<\\/([a-zA-Z][\\w:-]*)[^>]*>',                              // end tag
+    '<([a-zA-Z][\\w:-]*)((?:[^>"\']|"[^"]*"|\'[^\']*\')*)>',    // start tag, quoted values may hold ">"
+].join('|'), 'g');
+
+const ATTR = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function parseAttributes(source) {
+    const attrs = [];
+    let m;
+    ATTR.lastIndex = 0;
+    while ((m = ATTR.exec(source)) !== null) {
+        const value = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : '';
+        attrs.push({ name: m[1].toLowerCase(), value: decodeHtmlEntities(value) });
+    }
+    return attrs;
+}
+
+/**
+ * The URL if it may be published in `attr`, else null. Control characters and
+ * whitespace are ignored when reading the scheme, as browsers do.
+ */
+function safeUrl(value, attr = 'href') {
+    const url = String(value || '').trim();
+    const compact = url.replace(/[\u0000- \u007f]+/g, '').toLowerCase();
+    if (attr === 'data-embed-src') {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'https:' && EMBED_HOSTS.includes(parsed.hostname) ? url : null;
+        } catch {
+            return null;
+        }
+    }
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/);
+    if (!scheme) return compact.startsWith('//') ? `https:${url}` : url;
+    if (scheme[1] === 'http' || scheme[1] === 'https') return url;
+    if (scheme[1] === 'mailto' && attr === 'href') return url;
+    return null;
+}
+
+function isExternal(href) {
+    try {
+        const url = new URL(href);
+        return /^https?:$/.test(url.protocol) && !SITE_HOSTS.includes(url.hostname);
+    } catch {
+        return false;
+    }
+}
+
+function isAllowedTag(tag) {
+    return Object.hasOwn(ALLOWED_TAGS, tag);
+}
+
+/**
+ * Clean one tag's attributes. Returns the attribute string (leading spaces
+ * included) and logs what it dropped into `removed`.
+ */
+function cleanAttributes(tag, attrs, removed) {
+    const allowed = ALLOWED_TAGS[tag];
+    const out = [];
+    const seen = new Set();
+    let href = null;
+
+    for (const { name, value } of attrs) {
+        if (seen.has(name)) continue;
+        seen.add(name);
+        if (!allowed.includes(name) && !GLOBAL_ATTRS.includes(name)) {
+            removed.push(`${name} on <${tag}>`);
+            continue;
+        }
+        let clean = value;
+        if (URL_ATTRS.has(name)) {
+            clean = safeUrl(value, name);
+            if (clean === null) {
+                removed.push(`unsafe ${name} on <${tag}>`);
+                continue;
+            }
+            if (name === 'href') href = clean;
+        } else if (name === 'srcset') {
+            const candidates = value.split(',').map(c => c.trim()).filter(Boolean);
+            const safe = candidates.filter(c => safeUrl(c.split(/\s+/)[0], 'src') !== null);
+            if (safe.length < candidates.length) removed.push(`unsafe srcset entry on <${tag}>`);
+            if (safe.length === 0) continue;
+            clean = safe.join(', ');
+        } else if (name === 'target' && clean !== '_blank') {
+            removed.push(`target on <${tag}>`);
+            continue;
+        }
+        out.push([name, clean]);
+    }
+
+    if (tag === 'a') {
+        const at = out.findIndex(([name]) => name === 'rel');
+        const given = at === -1 ? [] : out[at][1].toLowerCase().split(/\s+/);
+        const rel = given.filter(r => ['noopener', 'noreferrer', 'nofollow', 'ugc', 'sponsored'].includes(r));
+        if (href !== null && isExternal(href) && !rel.includes('noopener')) rel.push('noopener');
+        if (at !== -1) out.splice(at, 1);
+        if (rel.length > 0) out.splice(at === -1 ? out.length : at, 0, ['rel', rel.join(' ')]);
+    }
+
+    return out.map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+}
+
+/** Sanitize an HTML fragment. Returns { html, removed: string[] }. */
+function sanitizeHtml(html) {
+    const removed = [];
+    const open = [];
+    let out = '';
+    let last = 0;
+    let dropping = null; // { tag, depth } while inside a DROP_WITH_CONTENT element
+
+    const text = (chunk) => {
+        if (!dropping) out += chunk.replace(/</g, '&lt;');
+    };
+
+    TOKEN.lastIndex = 0;
+    let m;
+    while ((m = TOKEN.exec(html)) !== null) {
+        text(html.slice(last, m.index));
+        last = TOKEN.lastIndex;
+        const [token, endName, startName, attrSource] = m;
+
+        if (dropping) {
+            const name = (endName || startName || '').toLowerCase();
+            if (name === dropping.tag) {
+                if (startName && !/\/\s*$/.test(attrSource)) dropping.depth++;
+                if (endName && --dropping.depth === 0) dropping = null;
+            }
+            continue;
+        }
+
+        if (endName) {
+            const tag = endName.toLowerCase();
+            const at = open.lastIndexOf(tag);
+            if (at === -1) continue; // never opened, or not allowed: drop quietly
+            while (open.length > at) out += `</${open.pop()}>`;
+            continue;
+        }
+
+        if (!startName) {
+            if (token.startsWith('<!--')) continue;
+            removed.push(token.startsWith('<?') ? 'processing instruction' : token.slice(0, 9).toLowerCase());
+            continue;
+        }
+
+        const tag = startName.toLowerCase();
+        if (DROP_WITH_CONTENT.has(tag)) {
+            removed.push(`<${tag}>`);
+            if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(attrSource)) dropping = { tag, depth: 1 };
+            continue;
+        }
+        if (!isAllowedTag(tag)) {
+            removed.push(`<${tag}>`);
+            continue;
+        }
+
+        out += `<${tag}${cleanAttributes(tag, parseAttributes(attrSource.replace(/\/\s*$/, '')), removed)}>`;
+        if (!VOID_TAGS.has(tag)) open.push(tag);
+    }
+    text(html.slice(last));
+    while (open.length > 0) out += `</${open.pop()}>`;
+
+    return { html: out, removed };
+}
+
+/** Tally of a removed list: '<script> ×2, onclick on <a>'. */
+function summarizeRemoved(removed) {
+    const counts = new Map();
+    for (const item of removed) counts.set(item, (counts.get(item) || 0) + 1);
+    return [...counts].map(([item, n]) => (n > 1 ? `${item} ×${n}` : item)).join(', ');
+}
+
+module.exports = { ALLOWED_TAGS, EMBED_HOSTS, safeUrl, sanitizeHtml, summarizeRemoved };
@@ -0,0 +1,475 @@
+/**
+ * Shared core for the Holistique UK sync scripts.
+ *
+ * One copy of the plumbing every sync needs — HTTP with redirects, timeouts and
+ * size caps, HTML escaping and entity decoding, marker-based section replacement,
+ * manifest load/save and the --dry-run file staging — so a fix here reaches every
+ * script at once.
+ *
+ * Used by sync-medium.js, sync-events.js, sync-linktree.js and send-newsletter.js.
+ */
+
+const https = require('https');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { unifiedDiff } = require('./diff');
+
+const DEFAULT_USER_AGENT = 'HolistiqueSync/1.0';
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 5;
+
+// ── HTTP ────────────────────────────────────────────────────────────────────
+
+/**
+ * Low-level request. Follows redirects (relative Location included), enforces a
+ * hard timeout and a body size cap, and resolves with the raw response:
+ *      { status, headers, body: Buffer, finalUrl, truncated }
+ *
+ * Non-2xx statuses are NOT rejected here — callers decide what counts as failure.
+ * When the body exceeds maxBytes the request is rejected, unless `truncate` is set,
+ * in which case it settles with what was read so far (enough for a page's <head>).
+ */
+function request(url, options = {}) {
+    const {
+        method = 'GET',
+        headers = {},
+        body = null,
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        maxBytes = DEFAULT_MAX_BYTES,
+        maxRedirects = DEFAULT_MAX_REDIRECTS,
+        truncate = false,
+    } = options;
+
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        let redirects = 0;
+
+        const done = (err, value) => {
+            if (settled) return;
+            settled = true;
+            if (err) reject(err); else resolve(value);
+        };
+
+        const doRequest = (requestUrl) => {
+            let parsed;
+            try {
+                parsed = new URL(requestUrl);
+            } catch (e) {
+                return done(new Error(`Invalid URL: ${requestUrl}`));
+            }
+            const transport = parsed.protocol === 'http:' ? http : https;
+
+            const req = transport.request(parsed, {
+                method,
+                headers: Object.assign({ 'User-Agent': DEFAULT_USER_AGENT }, headers),
+            }, (res) => {
+                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                    res.resume();
+                    if (method !== 'GET') {
+                        return done(new Error(`Unexpected redirect on ${method} to ${res.headers.location}`));
+                    }
+                    if (++redirects > maxRedirects) {
+                        return done(new Error('Too many redirects'));
+                    }
+                    let next;
+                    try {
+                        next = new URL(res.headers.location, requestUrl).toString();
+                    } catch (e) {
+                        return done(new Error('Bad redirect target'));
+                    }
+                    return doRequest(next);
+                }
+
+                const chunks = [];
+                let bytes = 0;
+                const finish = (truncated) => done(null, {
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks),
+                    finalUrl: requestUrl,
+                    truncated,
+                });
+
+                res.on('data', (chunk) => {
+                    if (settled) return;
+                    if (bytes + chunk.length <= maxBytes) {
+                        bytes += chunk.length;
+                        chunks.push(chunk);
+                        return;
+                    }
+                    if (truncate) {
+                        chunks.push(chunk.subarray(0, maxBytes - bytes));
+                        bytes = maxBytes;
+                        // Settle first: destroy() raises 'aborted' on the request,
+                        // which would otherwise be read as a failure.
+                        finish(true);
+                    } else {
+                        done(new Error(`Response exceeded ${maxBytes} bytes`));
+                    }
+                    res.destroy();
+                });
+                res.on('end', () => finish(false));
+                res.on('error', err => done(err));
+            });
+
+            req.setTimeout(timeoutMs, () => {
+                req.destroy(new Error(`Timed out after ${timeoutMs}ms`));
+            });
+            req.on('error', err => done(err));
+            if (body !== null) req.write(body);
+            req.end();
+        };
+
+        doRequest(url);
+    });
+}
+
+function httpError(res) {
+    const snippet = res.body.toString('utf8', 0, Math.min(res.body.length, 200));
+    const err = new Error(`HTTP ${res.status}${snippet ? `: ${snippet}` : ''}`);
+    err.statusCode = res.status;
+    return err;
+}
+
+/**
+ * GET a URL and resolve with { text, finalUrl }. Rejects on any status other than
+ * 200 (after redirects). Options are passed through to request().
+ */
+async function fetchPage(url, options = {}) {
+    const res = await request(url, options);
+    if (res.status !== 200) throw httpError(res);
+    return { text: res.body.toString('utf8'), finalUrl: res.finalUrl };
+}
+
+/** GET a URL and resolve with the body as a UTF-8 string. */
+async function fetchText(url, options = {}) {
+    return (await fetchPage(url, options)).text;
+}
+
+/** GET a URL and resolve with the raw body as a Buffer (images and other binaries). */
+async function fetchBuffer(url, options = {}) {
+    const res = await request(url, options);
+    if (res.status !== 200) throw httpError(res);
+    return res.body;
+}
+
+/** GET a URL and resolve with the parsed JSON body. */
+async function fetchJson(url, options = {}) {
+    const text = await fetchText(url, options);
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid JSON response: ${e.message}`);
+    }
+}
+
+/**
+ * POST a JSON payload. Resolves with { status, data } for any status — data is the
+ * parsed JSON body when it parses, the raw text otherwise.
+ */
+async function postJson(url, payload, headers = {}) {
+    const res = await request(url, {
+        method: 'POST',
+        headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+        body: JSON.stringify(payload),
+    });
+    const text = res.body.toString('utf8');
+    try {
+        return { status: res.status, data: JSON.parse(text) };
+    } catch {
+        return { status: res.status, data: text };
+    }
+}
+
+// ── HTML Text ───────────────────────────────────────────────────────────────
+
+function escapeHtml(str) {
+    if (str === null || str === undefined) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    mdash: '—', ndash: '–', hellip: '…', middot: '·',
+    rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“',
+    rarr: '→', larr: '←', copy: '©', pound: '£',
+};
+
+/**
+ * Decode named and numeric character references in a single pass, so "&amp;lt;"
+ * becomes "&lt;" rather than "<". Unknown named entities are left as written.
+ */
+function decodeHtmlEntities(str) {
+    if (str === null || str === undefined) return '';
+    return String(str).replace(/&(#[xX][0-9A-Fa-f]+|#\d+|[a-zA-Z]+);/g, (whole, ref) => {
+        if (ref[0] === '#') {
+            const code = ref[1] === 'x' || ref[1] === 'X'
+                ? parseInt(ref.slice(2), 16)
+                : parseInt(ref.slice(1), 10);
+            try {
+                return String.fromCodePoint(code);
+            } catch (e) {
+                return whole;
+            }
+        }
+        const named = NAMED_ENTITIES[ref.toLowerCase()];
+        return named !== undefined ? named : whole;
+    });
+}
+
+function stripHtml(str) {
+    if (!str) return '';
+    return String(str).replace(/<[^>]+>/g, '').trim();
+}
+
+/** Plain text cut at a word boundary, with "..." when anything was dropped. */
+function truncateText(text, maxLen) {
+    if (!text) return '';
+    const clean = stripHtml(text).replace(/\s+/g, ' ').trim();
+    if (clean.length <= maxLen) return clean;
+    const truncated = clean.substring(0, maxLen);
+    const lastSpace = truncated.lastIndexOf(' ');
+    return (lastSpace > 0 ? truncated.substring(0, lastSpace) : truncated) + '...';
+}
+
+/**
+ * A <script type="application/ld+json"> block, indented to sit inside <head>.
+ * Structured data is JSON, not HTML: values go in as real characters, and only
+ * "</" is escaped so a stray "</script>" in a title cannot end the block early.
+ */
+function renderJsonLd(data, indent = '    ') {
+    const json = JSON.stringify(data, null, 4)
+        .replace(/<\//g, '<\\/')
+        .split('\n')
+        .map(line => indent + line)
+        .join('\n');
+    return `${indent}<script type="application/ld+json">\n${json}\n${indent}</script>`;
+}
+
+// ── Marker Sections ─────────────────────────────────────────────────────────
+
+/**
+ * Replace everything between two marker comments, keeping the markers. Returns
+ * null when either marker is missing or they are out of order, so callers can
+ * refuse to write rather than corrupt the page.
+ */
+function replaceSection(html, startMarker, endMarker, newContent) {
+    const startIdx = html.indexOf(startMarker);
+    if (startIdx === -1) return null;
+    const endIdx = html.indexOf(endMarker, startIdx + startMarker.length);
+    if (endIdx === -1) return null;
+    const before = html.substring(0, startIdx + startMarker.length);
+    const after = html.substring(endIdx);
+    return before + '\n' + newContent + '\n' + after;
+}
+
+// ── Site URLs ───────────────────────────────────────────────────────────────
+
+/** `target` (a site path, maybe with ?query or #hash) as linked from the page at `fromFile`. */
+function relativeUrl(fromFile, target) {
+    const [, pathPart, suffix] = target.match(/^([^?#]*)(.*)$/);
+    if (!pathPart) return target;
+    return path.posix.relative(path.posix.dirname(fromFile), pathPart) + suffix;
+}
+
+/**
+ * Page HTML written for `fromFile`, with its relative links and image sources
+ * rewritten to work from `toFile`. Absolute URLs and fragments are kept.
+ */
+function relocateUrls(html, fromFile, toFile) {
+    const fromDir = path.posix.dirname(fromFile);
+    if (fromDir === path.posix.dirname(toFile)) return html;
+    const rebase = (value) => {
+        if (!value || /^(?:[a-z][a-z0-9+.-]*:|\/|#|\?)/i.test(value)) return value;
+        const [, pathPart, suffix] = value.match(/^([^?#]*)(.*)$/);
+        return relativeUrl(toFile, path.posix.join(fromDir, pathPart) + suffix);
+    };
+    return html
+        .replace(/(\s)(href|src|poster|action)=(["'])([^"']*)\3/g,
+            (whole, space, attr, quote, value) => `${space}${attr}=${quote}${rebase(value)}${quote}`)
+        .replace(/(\s)srcset=(["'])([^"']*)\2/g, (whole, space, quote, value) => {
+            const candidates = value.split(',').map((candidate) => {
+                const [url, ...descriptors] = candidate.trim().split(/\s+/);
+                return [rebase(url), ...descriptors].join(' ');
+            });
+            return `${space}srcset=${quote}${candidates.join(', ')}${quote}`;
+        });
+}
+
+// ── Site Root & Clock ───────────────────────────────────────────────────────
+
+/*
+ * The site every script reads and writes: the repo itself, unless SITE_ROOT
+ * points somewhere else. The golden tests run each sync against a fixture site
+ * in a temp dir this way, with SYNC_NOW pinning the clock so the timestamps the
+ * syncs stamp into manifests and calendars are reproducible.
+ */
+const SITE_ROOT = path.resolve(process.env.SITE_ROOT || path.join(__dirname, '..', '..'));
+
+/** The current time, or SYNC_NOW (any Date-parsable string) when it is set. */
+function now() {
+    const pinned = process.env.SYNC_NOW ? new Date(process.env.SYNC_NOW) : null;
+    return pinned && !isNaN(pinned.getTime()) ? pinned : new Date();
+}
+
+// ── Files & Manifests ───────────────────────────────────────────────────────
+
+/*
+ * Every write a sync makes goes through writeFile()/removeFile(). In dry-run mode
+ * they are staged in memory instead of touching disk, and readFile() serves the
+ * staged content back, so later steps (sitemap, feeds) see what earlier steps
+ * would have written. reportDryRun() then prints the lot as a unified diff.
+ * Binary content (a Buffer) is staged as-is and reported by name only.
+ */
+const staged = new Map(); // absolute path -> content, or null for a deletion
+let dryRun = false;
+
+function enableDryRun() {
+    dryRun = true;
+}
+
+function isDryRun() {
+    return dryRun;
+}
+
+/** File content as the sync currently sees it, or null when it does not exist. */
+function readFile(filePath) {
+    const abs = path.resolve(filePath);
+    if (staged.has(abs)) return staged.get(abs);
+    return fs.existsSync(abs) ? fs.readFileSync(abs, 'utf8') : null;
+}
+
+function fileExists(filePath) {
+    return readFile(filePath) !== null;
+}
+
+function writeFile(filePath, content) {
+    const abs = path.resolve(filePath);
+    if (dryRun) {
+        staged.set(abs, content);
+        return;
+    }
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, content, 'utf8');
+}
+
+function removeFile(filePath) {
+    const abs = path.resolve(filePath);
+    if (dryRun) {
+        staged.set(abs, null);
+        return;
+    }
+    if (fs.existsSync(abs)) fs.unlinkSync(abs);
+}
+
+/** Parse a JSON manifest, or return `fallback` when the file does not exist. */
+function loadManifest(filePath, fallback) {
+    const text = readFile(filePath);
+    return text === null ? fallback : JSON.parse(text);
+}
+
+/** The manifests' on-disk format: two-space JSON with a trailing newline. */
+function serializeManifest(manifest) {
+    return JSON.stringify(manifest, null, 2) + '\n';
+}
+
+function saveManifest(filePath, manifest) {
+    writeFile(filePath, serializeManifest(manifest));
+}
+
+/**
+ * Write a file only when its content differs, so an unchanged run leaves the
+ * working tree clean. Returns true when the file was (or would be) written.
+ */
+function writeFileIfChanged(filePath, content) {
+    if (readFile(filePath) === content) return false;
+    writeFile(filePath, content);
+    return true;
+}
+
+// ── Dry Run Reporting ───────────────────────────────────────────────────────
+
+/**
+ * Log what changed between two lists of records, keyed by `keyOf` and listed
+ * using `describe`. Returns the { added, removed, changed } keys so callers can
+ * act on them as well.
+ */
+function summarizeChanges(label, before, after, keyOf, describe = keyOf) {
+    const oldByKey = new Map((before || []).map(r => [keyOf(r), r]));
+    const newByKey = new Map((after || []).map(r => [keyOf(r), r]));
+    const added = [...newByKey.keys()].filter(k => !oldByKey.has(k));
+    const removed = [...oldByKey.keys()].filter(k => !newByKey.has(k));
+    const changed = [...newByKey.keys()].filter(k =>
+        oldByKey.has(k) && JSON.stringify(oldByKey.get(k)) !== JSON.stringify(newByKey.get(k))
+    );
+
+    console.log(`  ${label}: ${added.length} added, ${removed.length} removed, ${changed.length} changed.`);
+    for (const k of added) console.log(`    + ${describe(newByKey.get(k))}`);
+    for (const k of removed) console.log(`    - ${describe(oldByKey.get(k))}`);
+    for (const k of changed) console.log(`    ~ ${describe(newByKey.get(k))}`);
+    return { added, removed, changed };
+}
+
+/** In dry-run mode, print a unified diff of every staged file. No-op otherwise. */
+function reportDryRun() {
+    if (!dryRun) return;
+    const changes = [...staged.keys()]
+        .sort()
+        .map((abs) => {
+            const before = fs.existsSync(abs) ? fs.readFileSync(abs, 'utf8') : null;
+            const rel = path.relative(SITE_ROOT, abs).split(path.sep).join('/');
+            const after = staged.get(abs);
+            if (Buffer.isBuffer(after)) {
+                if (fs.existsSync(abs) && fs.readFileSync(abs).equals(after)) return '';
+                return `Binary files ${before === null ? '/dev/null' : `a/${rel}`} and b/${rel} differ\n`;
+            }
+            return unifiedDiff(before, after, { fromFile: `a/${rel}`, toFile: `b/${rel}` });
+        })
+        .filter(Boolean);
+
+    console.log('');
+    if (changes.length === 0) {
+        console.log('Dry run: no files would change.');
+        return;
+    }
+    console.log(`Dry run: ${changes.length} file(s) would change. Nothing was written.\n`);
+    process.stdout.write(changes.join(''));
+}
+
+module.exports = {
+    DEFAULT_USER_AGENT,
+    request,
+    fetchPage,
+    fetchText,
+    fetchBuffer,
+    fetchJson,
+    postJson,
+    escapeHtml,
+    decodeHtmlEntities,
+    stripHtml,
+    truncateText,
+    renderJsonLd,
+    replaceSection,
+    relativeUrl,
+    relocateUrls,
+    SITE_ROOT,
+    now,
+    enableDryRun,
+    isDryRun,
+    readFile,
+    fileExists,
+    writeFile,
+    removeFile,
+    loadManifest,
+    serializeManifest,
+    saveManifest,
+    writeFileIfChanged,
+    summarizeChanges,
+    reportDryRun,
+};
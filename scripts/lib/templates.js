@@ -0,0 +1,165 @@
+/**
+ * The page and card templates in scripts/templates/, and a small renderer for
+ * them. The sync scripts render through these instead of holding their markup
+ * in template literals, so the parts every generated page shares (head,
+ * header, footer, newsletter form) live once, in templates/partials/.
+ *
+ * Template syntax, a subset of Mustache:
+ *      {{name}}               the value, HTML-escaped
+ *      {{{name}}}             the value as it is (it is HTML already)
+ *      {{#name}}...{{/name}}  the block if the value is truthy; once per item for
+ *                             an array, with the item's fields in scope
+ *      {{^name}}...{{/name}}  the block if the value is falsy or an empty array
+ *      {{> name}}             templates/partials/<name>.html, with the same data
+ *      {{! note }}            a comment
+ * Names may be dotted (post.title); "." is the current item. A line holding
+ * nothing but a block or comment tag leaves no trace in the output. A value
+ * tag whose name is not defined anywhere in scope is an error, so a typo in a
+ * template fails the sync rather than publishing a blank. Every template also
+ * sees `siteName` and `year`, the year of the build (SYNC_NOW's, when it is
+ * set), so every generated footer carries the same, current year.
+ *
+ * Re-render every generated page after changing a template:
+ *      node scripts/render-pages.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, now } = require('./sync-core');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const SITE_NAME = 'Holistique UK';
+
+const TAG = /\{\{\{\s*([\w.-]+)\s*\}\}\}|\{\{\s*([#^/>!]?)\s*([^}]*?)\s*\}\}/g;
+const STANDALONE = new Set(['#', '^', '/', '!']);
+
+/**
+ * Parse a template into a tree of strings and tags. `name` is only for error
+ * messages.
+ */
+function parse(source, name) {
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+    let match;
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(source)) !== null) {
+        const [whole, raw, type = '', key] = match;
+        let text = source.slice(last, match.index);
+        let end = match.index + whole.length;
+
+        if (!raw && STANDALONE.has(type)) {
+            const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+            const lineEnd = source.indexOf('\n', end);
+            const after = source.slice(end, lineEnd === -1 ? source.length : lineEnd);
+            if (/^[ \t]*$/.test(source.slice(lineStart, match.index)) && /^[ \t]*$/.test(after) && lineStart >= last) {
+                text = source.slice(last, lineStart);
+                end = lineEnd === -1 ? source.length : lineEnd + 1;
+            }
+        }
+        const node = stack[stack.length - 1];
+        if (text) node.children.push(text);
+        last = end;
+        TAG.lastIndex = end;
+
+        if (raw) {
+            node.children.push({ type: '&', key: raw });
+        } else if (type === '#' || type === '^') {
+            const section = { type, key, children: [] };
+            node.children.push(section);
+            stack.push(section);
+        } else if (type === '/') {
+            if (stack.length === 1 || node.key !== key) {
+                throw new Error(`${name}: {{/${key}}} does not close ${stack.length === 1 ? 'anything' : `{{${node.type}${node.key}}}`}`);
+            }
+            stack.pop();
+        } else if (type === '>') {
+            node.children.push({ type, key });
+        } else if (type !== '!') {
+            node.children.push({ type: '', key });
+        }
+    }
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`${name}: {{${open.type}${open.key}}} is never closed`);
+    }
+    if (last < source.length) root.children.push(source.slice(last));
+    return root.children;
+}
+
+/** The value of a (dotted) name, looked up from the innermost scope out. */
+function lookup(scopes, key) {
+    if (key === '.') return { found: true, value: scopes[scopes.length - 1] };
+    const [first, ...rest] = key.split('.');
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        if (scope !== null && typeof scope === 'object' && first in scope) {
+            let value = scope[first];
+            for (const part of rest) value = value === null || value === undefined ? undefined : value[part];
+            return { found: true, value };
+        }
+    }
+    return { found: false, value: undefined };
+}
+
+function renderNodes(nodes, scopes, name, loadPartial) {
+    let out = '';
+    for (const node of nodes) {
+        if (typeof node === 'string') {
+            out += node;
+            continue;
+        }
+        if (node.type === '>') {
+            out += renderNodes(loadPartial(node.key), scopes, `partials/${node.key}.html`, loadPartial);
+            continue;
+        }
+        const { found, value } = lookup(scopes, node.key);
+        if (node.type === '#') {
+            const items = Array.isArray(value) ? value : (value ? [value] : []);
+            for (const item of items) out += renderNodes(node.children, [...scopes, item], name, loadPartial);
+        } else if (node.type === '^') {
+            if (Array.isArray(value) ? value.length === 0 : !value) out += renderNodes(node.children, scopes, name, loadPartial);
+        } else {
+            if (!found || value === undefined) throw new Error(`${name}: {{${node.key}}} is not defined`);
+            out += node.type === '&' ? (value === null ? '' : String(value)) : escapeHtml(value);
+        }
+    }
+    return out;
+}
+
+/** Values every template can use, beneath the data it is rendered with. */
+function siteData() {
+    return { siteName: SITE_NAME, year: now().getUTCFullYear() };
+}
+
+const cache = new Map();
+
+/** A template file, parsed once. Its final newline is not part of the template. */
+function loadTemplate(name) {
+    if (!cache.has(name)) {
+        const source = fs.readFileSync(path.join(TEMPLATES_DIR, name), 'utf8').replace(/\r?\n$/, '');
+        cache.set(name, parse(source, name));
+    }
+    return cache.get(name);
+}
+
+const loadPartial = key => loadTemplate(`partials/${key}.html`);
+
+/**
+ * Render a template string with `data`. `partials` maps partial names to
+ * template strings; by default they are read from templates/partials/.
+ */
+function render(source, data, partials = null, name = 'template') {
+    const load = !partials ? loadPartial : (key) => {
+        if (!(key in partials)) throw new Error(`${name}: there is no partial named ${key}`);
+        return parse(partials[key], `partials/${key}`);
+    };
+    return renderNodes(parse(source, name), [siteData(), data], name, load);
+}
+
+/** Render templates/<name> (e.g. 'journal/post.html') with `data`. */
+function renderTemplate(name, data) {
+    return renderNodes(loadTemplate(name), [siteData(), data], name, loadPartial);
+}
+
+module.exports = { TEMPLATES_DIR, render, renderTemplate };
@@ -0,0 +1,127 @@
+/**
+ * Offline stand-in for Medium, Eventbrite and Linktree
+ *
+ * Serves the recorded responses in scripts/test/fixtures/ from a local HTTP
+ * server so the sync scripts can run end to end with no network:
+ *      GET /medium/feed                                  medium/feed.xml
+ *      GET /medium/images/resize:fit:<width>/<id>        medium/images/<width>/<id, "*" as "_">
+ *      GET /eventbrite/v3/organizations/:org/events/     eventbrite/<live|ended>[-<continuation>].json
+ *      GET /eventbrite/v3/events/:id/description/       eventbrite/description-<id>.json
+ *      GET /linktree/holistiqueuk                        linktree/holistiqueuk.html
+ *
+ * Eventbrite requests must carry a Bearer token, like the real API. Anything
+ * else gets a 404, so a script calling a live endpoint it should not fails loudly.
+ *
+ * Run it, then point the sync scripts at it with the env vars it prints:
+ *      node scripts/mock-server.js [port]
+ *
+ * Tests start it in-process with startMockServer().
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'test', 'fixtures');
+const ORG_ID = 'fixture-org';
+
+const CONTENT_TYPES = {
+    '.xml': 'application/rss+xml; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.html': 'text/html; charset=utf-8',
+    '.png': 'image/png',
+};
+
+/**
+ * Fixture file (relative to the fixtures dir) for a request, or null for a 404.
+ * Throws with statusCode 401 when an Eventbrite request has no token.
+ */
+function resolveFixture(req) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/medium/feed') return 'medium/feed.xml';
+    if (url.pathname === '/linktree/holistiqueuk') return 'linktree/holistiqueuk.html';
+
+    const image = url.pathname.match(/^\/medium\/images\/resize:fit:(\d+)\/([\w*.-]+)$/);
+    if (image) return `medium/images/${image[1]}/${image[2].replace(/\*/g, '_')}`;
+
+    if (url.pathname.startsWith('/eventbrite/') && !/^Bearer \S+/.test(req.headers.authorization || '')) {
+        const err = new Error('Missing Bearer token');
+        err.statusCode = 401;
+        throw err;
+    }
+    const description = url.pathname.match(/^\/eventbrite\/v3\/events\/(\d+)\/description\/?$/);
+    if (description) return `eventbrite/description-${description[1]}.json`;
+    if (/^\/eventbrite\/v3\/organizations\/[^/]+\/events\/?$/.test(url.pathname)) {
+        const status = url.searchParams.get('status') === 'ended' ? 'ended' : 'live';
+        const continuation = url.searchParams.get('continuation');
+        if (continuation && !/^[\w-]+$/.test(continuation)) return null;
+        return `eventbrite/${status}${continuation ? `-${continuation}` : ''}.json`;
+    }
+
+    return null;
+}
+
+/**
+ * Start the stand-in on 127.0.0.1. Resolves with its base URL, the env vars that
+ * point every sync script at it, the list of request paths served (for
+ * assertions) and a close() function.
+ */
+function startMockServer({ port = 0, fixturesDir = FIXTURES_DIR } = {}) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        let rel;
+        try {
+            rel = resolveFixture(req);
+        } catch (err) {
+            res.writeHead(err.statusCode || 500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+            return;
+        }
+
+        const file = rel && path.join(fixturesDir, rel);
+        if (!file || !fs.existsSync(file)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end(`No fixture for ${req.url}`);
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(fs.readFileSync(file));
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            const base = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                base,
+                env: {
+                    MEDIUM_RSS_URL: `${base}/medium/feed`,
+                    MEDIUM_IMAGE_CDN: `${base}/medium/images`,
+                    EVENTBRITE_API_URL: `${base}/eventbrite/v3`,
+                    EVENTBRITE_TOKEN: 'fixture-token',
+                    EVENTBRITE_ORG_ID: ORG_ID,
+                    LINKTREE_URL: `${base}/linktree/holistiqueuk`,
+                },
+                requests,
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+    });
+}
+
+module.exports = { FIXTURES_DIR, startMockServer };
+
+if (require.main === module) {
+    startMockServer({ port: Number(process.argv[2]) || 0 }).then(({ base, env }) => {
+        console.log(`Serving fixtures from ${path.relative(process.cwd(), FIXTURES_DIR) || '.'} at ${base}`);
+        console.log('Point the sync scripts at it with:');
+        for (const [key, value] of Object.entries(env)) console.log(`  export ${key}=${value}`);
+        console.log('Press Ctrl+C to stop.');
+    }).catch(err => {
+        console.error('Mock server failed to start:', err.message);
+        process.exit(1);
+    });
+}
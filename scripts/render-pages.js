@@ -0,0 +1,134 @@
+/**
+ * Re-render Generated Pages
+ *
+ * Rebuilds every page the sync scripts generate with the templates in
+ * scripts/templates/, from the manifests and the pages already on disk. Run it
+ * after changing a template or partial, so the change reaches pages that no sync
+ * would otherwise touch:
+ *      node scripts/render-pages.js
+ *
+ * Preview without writing anything (prints a unified diff of every file that
+ * would change):
+ *      node scripts/render-pages.js --dry-run
+ *
+ * The one thing it fetches is any Medium image a post in posts-manifest.json
+ * still shows from Medium's CDN, which it self-hosts in photos/ as a sync would
+ * (sync-medium.js backfillImages()); an image that fails to download keeps its
+ * Medium URL. MEDIUM_IMAGE_CDN points it at another image resizer, as it does
+ * the sync.
+ *
+ * Posts from before slugs are moved to journal/<slug>.html first, as the sync
+ * would move them, leaving a redirect at post-N.html (sync-medium.js
+ * migrateToSlugs()).
+ *
+ * What it rebuilds:
+ *   - every Journal post the post template rendered, read back out of its own
+ *     page, and the redirect stubs (sync-medium.js rerenderPosts()); hand-made
+ *     post pages are left as they are
+ *   - the Journal index, archive and category pages and each post's related
+ *     posts, from posts-manifest.json (and the sitemap, feeds and search index,
+ *     when posts have moved)
+ *   - the event cards and structured data on events.html and index.html and
+ *     each event's page, from events-manifest.json
+ *   - the product cards and structured data on wellness-tools.html, from
+ *     linktree-manifest.json
+ * A manifest that does not exist yet is skipped, as its pages have never been
+ * synced.
+ */
+
+const path = require('path');
+const {
+    SITE_ROOT,
+    enableDryRun,
+    readFile,
+    loadManifest,
+    saveManifest,
+    writeFileIfChanged,
+    reportDryRun,
+} = require('./lib/sync-core');
+const { migrateToSlugs, backfillIndexFields, backfillImages, rerenderPosts, updateJournal } = require('./sync-medium');
+const { updateSitemap } = require('./build-sitemap');
+const { updateFeeds } = require('./build-feeds');
+const { updateSearchIndex } = require('./build-search-index');
+const { updateEventPages, updateEventDetailPages } = require('./sync-events');
+const { renderWellnessTools } = require('./sync-linktree');
+
+const ROOT = SITE_ROOT;
+const POSTS_MANIFEST_PATH = path.join(ROOT, 'posts-manifest.json');
+const EVENTS_MANIFEST_PATH = path.join(ROOT, 'events-manifest.json');
+const LINKTREE_MANIFEST_PATH = path.join(ROOT, 'linktree-manifest.json');
+const BLOG_LIST_PATH = path.join(ROOT, 'blog-post.html');
+const WELLNESS_TOOLS_PATH = path.join(ROOT, 'wellness-tools.html');
+
+async function renderJournal() {
+    const manifest = loadManifest(POSTS_MANIFEST_PATH, null);
+    if (!manifest) {
+        console.log('  posts-manifest.json not found. Skipping the Journal.');
+        return;
+    }
+    const { moved, blogHtml } = migrateToSlugs(manifest, readFile(BLOG_LIST_PATH) || '');
+    // As in a sync: index fields older manifests lack are read off the Journal,
+    // and kept, as the re-rendered index only holds the first page of cards.
+    const filled = backfillIndexFields(manifest.posts || [], blogHtml);
+    const downloaded = await backfillImages(manifest);
+    if (moved.length || filled || downloaded) saveManifest(POSTS_MANIFEST_PATH, manifest);
+    rerenderPosts(manifest);
+    updateJournal(manifest, blogHtml);
+    if (moved.length) {
+        // They list every post by its URL.
+        updateSitemap();
+        updateFeeds();
+        updateSearchIndex();
+    }
+}
+
+function renderEvents() {
+    const manifest = loadManifest(EVENTS_MANIFEST_PATH, null);
+    if (!manifest) {
+        console.log('  events-manifest.json not found. Skipping events.');
+        return;
+    }
+    updateEventPages(manifest.upcoming || [], manifest.past || []);
+    updateEventDetailPages(manifest.upcoming || [], manifest.past || []);
+}
+
+function renderWellnessToolsPage() {
+    const manifest = loadManifest(LINKTREE_MANIFEST_PATH, null);
+    const pageHtml = readFile(WELLNESS_TOOLS_PATH);
+    if (!manifest || !(manifest.items || []).length || pageHtml === null) {
+        console.log('  No synced wellness tools to render. Skipping wellness-tools.html.');
+        return;
+    }
+    const html = renderWellnessTools(pageHtml, manifest.items, manifest.enrichment || {}, manifest.auto_enrichment || {});
+    if (html === null) {
+        console.warn('  Warning: Could not find the WELLNESS-TOOLS markers in wellness-tools.html. Skipping it.');
+    } else if (writeFileIfChanged(WELLNESS_TOOLS_PATH, html)) {
+        console.log('  Updated wellness-tools.html.');
+    } else {
+        console.log('  wellness-tools.html already up to date.');
+    }
+}
+
+async function main() {
+    if (process.argv.includes('--dry-run')) {
+        enableDryRun();
+        console.log('--dry-run: nothing will be written.');
+    }
+
+    console.log('Rendering the Journal...');
+    await renderJournal();
+    console.log('Rendering events...');
+    renderEvents();
+    console.log('Rendering wellness tools...');
+    renderWellnessToolsPage();
+    console.log('Render complete!');
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+    main().then(reportDryRun).catch(err => {
+        console.error('Render failed:', err);
+        process.exit(1);
+    });
+}
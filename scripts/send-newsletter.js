@@ -1,107 +1,329 @@
 /**
- * Send Newsletter for New Posts
+ * Send Newsletters for New Posts and Events
  *
- * Called by GitHub Actions after sync-medium.js detects new posts.
- * Sends a POST request to the n8n newsletter webhook with post details.
+ * Called by GitHub Actions after sync-medium.js and sync-events.js. Every
+ * broadcast goes to the same n8n newsletter webhook with the same Bearer secret;
+ * the payload's `type` tells the webhook what it is:
+ *      post                one newly synced post
+ *      digest              several posts in one broadcast (--digest)
+ *      event-announcement  a newly listed upcoming event
+ *      event-reminder      an event starting within EVENT_REMINDER_DAYS
+ *
+ * Posts: a post is pending while its `newsletterSentAt` is null — sync-medium.js
+ * adds new posts that way. Posts synced before tracking began have no field at
+ * all and are never announced.
+ *
+ * Events (--events): sync-events.js marks newly listed events in the manifest's
+ * `newsletter` map with `announcedAt: null`. Reminders go to every upcoming event
+ * whose start is within EVENT_REMINDER_DAYS, unless it was only announced inside
+ * that window. Both are recorded in the same map.
+ *
+ * Each success is written back to the manifest straight away, for the workflow
+ * to commit. Every request carries an Idempotency-Key header (also in the payload
+ * as `idempotencyKey`) that is stable across runs, so a re-run after a lost
+ * response or a failed commit can be deduped by the webhook. A 409 reply is taken
+ * to mean the webhook already has that key, and is recorded as sent.
  *
  * Environment variables:
  *   NEWSLETTER_WEBHOOK_URL - n8n webhook URL for newsletter broadcasts
  *   NEWSLETTER_SECRET - shared secret for authentication
+ *   EVENT_REMINDER_DAYS - days before an event to send its reminder (default 3, 0 = off)
  *
  * Run: node scripts/send-newsletter.js
+ *      node scripts/send-newsletter.js --events
+ *
+ * Announce every pending post in one digest broadcast instead:
+ *      node scripts/send-newsletter.js --digest
+ *
+ * Show what would be sent (and the manifest diff) without sending anything:
+ *      node scripts/send-newsletter.js [--events] --dry-run
  */
 
-const https = require('https');
-const http = require('http');
-const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
+const {
+    SITE_ROOT,
+    now,
+    postJson: post,
+    decodeHtmlEntities,
+    enableDryRun,
+    isDryRun,
+    loadManifest,
+    saveManifest,
+    reportDryRun,
+} = require('./lib/sync-core');
+const { eventLocation, eventCalendarPath, formatDateTime } = require('./build-calendar');
 
-const MANIFEST_PATH = path.resolve(__dirname, '..', 'posts-manifest.json');
+const MANIFEST_PATH = path.join(SITE_ROOT, 'posts-manifest.json');
+const EVENTS_MANIFEST_PATH = path.join(SITE_ROOT, 'events-manifest.json');
 const WEBHOOK_URL = process.env.NEWSLETTER_WEBHOOK_URL;
 const SECRET = process.env.NEWSLETTER_SECRET;
 const SITE_BASE_URL = process.env.SITE_BASE_URL || 'https://holistiqueuk.com';
+const REMINDER_DAYS = process.env.EVENT_REMINDER_DAYS === undefined ? 3 : Number(process.env.EVENT_REMINDER_DAYS);
 
-function post(url, data, headers) {
-    return new Promise((resolve, reject) => {
-        const parsed = new URL(url);
-        const lib = parsed.protocol === 'https:' ? https : http;
-        const options = {
-            hostname: parsed.hostname,
-            port: parsed.port,
-            path: parsed.pathname + parsed.search,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                ...headers
-            }
-        };
-
-        const req = lib.request(options, (res) => {
-            let body = '';
-            res.on('data', chunk => body += chunk);
-            res.on('end', () => {
-                try {
-                    resolve({ status: res.statusCode, data: JSON.parse(body) });
-                } catch {
-                    resolve({ status: res.statusCode, data: body });
-                }
-            });
-        });
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-        req.on('error', reject);
-        req.write(JSON.stringify(data));
-        req.end();
-    });
+// ── Selecting & Keys ────────────────────────────────────────────────────────
+
+/** Posts still waiting for their announcement, oldest first. Unpublished ones never go out. */
+function pendingPosts(manifest) {
+    return ((manifest && manifest.posts) || [])
+        .filter(p => p.newsletterSentAt === null && !p.unpublishedAt)
+        .sort((a, b) => a.number - b.number);
 }
 
-async function main() {
-    if (!WEBHOOK_URL) {
-        console.log('NEWSLETTER_WEBHOOK_URL not set. Skipping newsletter send.');
-        return;
+/** Medium URL without query string or trailing slash — stable across feed runs. */
+function canonicalMediumUrl(post) {
+    try {
+        const u = new URL(post.mediumUrl);
+        return `${u.origin}${u.pathname.replace(/\/$/, '')}`;
+    } catch {
+        return post.mediumUrl || post.file;
     }
+}
 
-    if (!SECRET) {
-        console.log('NEWSLETTER_SECRET not set. Skipping newsletter send.');
-        return;
-    }
+function hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex').slice(0, 24);
+}
 
-    // Read manifest to find the latest posts
-    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+/** Same key for the same post on every run, whatever its number or file. */
+function idempotencyKey(post) {
+    return `holistique-post-${hash(canonicalMediumUrl(post))}`;
+}
 
-    // Find posts that were just added in this sync run
-    // The sync script updates lastPostNumber, so we look for the newest post
-    const latestPost = manifest.posts[manifest.posts.length - 1];
+/** Same key for the same set of posts, in any order. */
+function digestIdempotencyKey(posts) {
+    return `holistique-digest-${hash(posts.map(idempotencyKey).sort().join('\n'))}`;
+}
 
-    if (!latestPost) {
-        console.log('No posts found in manifest.');
-        return;
-    }
+/**
+ * Days from `at` until the event starts. startLocal is London wall-clock time;
+ * reading it as UTC is at most an hour out, which is fine at day granularity.
+ */
+function daysUntil(event, at) {
+    const start = Date.parse(`${event.startLocal}Z`);
+    return isNaN(start) ? NaN : (start - at.getTime()) / DAY_MS;
+}
 
-    console.log(`Sending newsletter for: "${latestPost.title}"`);
+/** Upcoming events marked for announcement that have not started, soonest first. */
+function pendingAnnouncements(manifest, at) {
+    const tracked = (manifest && manifest.newsletter) || {};
+    return ((manifest && manifest.upcoming) || [])
+        .filter(e => tracked[e.id] && tracked[e.id].announcedAt === null && daysUntil(e, at) > 0)
+        .sort((a, b) => a.startLocal.localeCompare(b.startLocal));
+}
 
+/**
+ * Upcoming events starting within `days` that have had no reminder, soonest
+ * first. An event announced inside that window already told people it is close,
+ * so it gets no separate reminder.
+ */
+function dueReminders(manifest, at, days) {
+    if (!(days > 0)) return [];
+    const tracked = (manifest && manifest.newsletter) || {};
+    return ((manifest && manifest.upcoming) || [])
+        .filter((e) => {
+            const until = daysUntil(e, at);
+            if (!(until > 0 && until <= days)) return false;
+            const entry = tracked[e.id] || {};
+            if (entry.reminderSentAt) return false;
+            if (entry.announcedAt === null) return false; // announcement still to go out
+            const windowStart = Date.parse(`${e.startLocal}Z`) - days * DAY_MS;
+            return !(entry.announcedAt && Date.parse(entry.announcedAt) >= windowStart);
+        })
+        .sort((a, b) => a.startLocal.localeCompare(b.startLocal));
+}
+
+function eventIdempotencyKey(event, type) {
+    return `holistique-${type}-${event.id}`;
+}
+
+// ── Payloads ────────────────────────────────────────────────────────────────
+
+function postSummary(post) {
+    return {
+        title: post.title,
+        category: post.category,
+        date: post.date,
+        url: `${SITE_BASE_URL}/${post.file}`,
+        mediumUrl: post.mediumUrl
+    };
+}
+
+function postPayload(post) {
+    return Object.assign({ type: 'post' }, postSummary(post), { idempotencyKey: idempotencyKey(post) });
+}
+
+function digestPayload(posts) {
+    return {
+        type: 'digest',
+        posts: posts.map(postSummary),
+        idempotencyKey: digestIdempotencyKey(posts)
+    };
+}
+
+/** `type` is 'event-announcement' or 'event-reminder'. */
+function eventPayload(event, type, at) {
     const payload = {
-        title: latestPost.title,
-        category: latestPost.category,
-        date: latestPost.date,
-        url: `${SITE_BASE_URL}/${latestPost.file}`,
-        mediumUrl: latestPost.mediumUrl
+        type,
+        name: event.name,
+        description: event.description || '',
+        date: decodeHtmlEntities(formatDateTime(event.startLocal)),
+        startLocal: event.startLocal,
+        endLocal: event.endLocal || '',
+        location: eventLocation(event),
+        url: event.url,
+        calendarUrl: `${SITE_BASE_URL}/${eventCalendarPath(event.id)}`,
+        imageUrl: event.imageUrl || ''
     };
+    if (type === 'event-reminder') payload.daysUntil = Math.ceil(daysUntil(event, at));
+    payload.idempotencyKey = eventIdempotencyKey(event, type);
+    return payload;
+}
+
+// ── Sending ─────────────────────────────────────────────────────────────────
+
+/** POST one broadcast; resolves true when the webhook accepted (or already had) it. */
+async function broadcast(payload) {
+    if (isDryRun()) {
+        console.log(`  Would send (Idempotency-Key: ${payload.idempotencyKey}):`);
+        console.log(JSON.stringify(payload, null, 2).replace(/^/gm, '    '));
+        return true;
+    }
 
     try {
         const result = await post(WEBHOOK_URL, payload, {
-            'Authorization': `Bearer ${SECRET}`
+            'Authorization': `Bearer ${SECRET}`,
+            'Idempotency-Key': payload.idempotencyKey
         });
 
         if (result.status >= 200 && result.status < 300) {
-            console.log('Newsletter sent successfully.');
-        } else {
-            console.error(`Newsletter send failed: HTTP ${result.status}`, result.data);
-            process.exit(1);
+            console.log('  Newsletter sent successfully.');
+            return true;
+        }
+        if (result.status === 409) {
+            console.log('  Webhook already has this idempotency key; treating as sent.');
+            return true;
         }
+        console.error(`  Newsletter send failed: HTTP ${result.status}`, result.data);
     } catch (err) {
-        console.error('Newsletter send error:', err.message);
+        console.error('  Newsletter send error:', err.message);
+    }
+    return false;
+}
+
+/** Announce pending posts; resolves with the number that failed. */
+async function sendPostNewsletters(digest) {
+    const manifest = loadManifest(MANIFEST_PATH, { posts: [] });
+    const pending = pendingPosts(manifest);
+
+    if (pending.length === 0) {
+        console.log('No unannounced posts. Nothing to send.');
+        return 0;
+    }
+
+    console.log(`${pending.length} unannounced post(s).`);
+    let failed = 0;
+
+    // Record each success as soon as it happens, so a later failure cannot cause
+    // an earlier post to be announced twice on the next run.
+    const markSent = (posts) => {
+        const sentAt = now().toISOString();
+        for (const p of posts) p.newsletterSentAt = sentAt;
+        saveManifest(MANIFEST_PATH, manifest);
+    };
+
+    if (digest) {
+        console.log(`Sending digest for: ${pending.map(p => `"${p.title}"`).join(', ')}`);
+        if (await broadcast(digestPayload(pending))) markSent(pending);
+        else failed = pending.length;
+    } else {
+        for (const p of pending) {
+            console.log(`Sending newsletter for: "${p.title}"`);
+            if (await broadcast(postPayload(p))) markSent([p]);
+            else failed++;
+        }
+    }
+    return failed;
+}
+
+/** Send event announcements, then reminders; resolves with the number that failed. */
+async function sendEventNewsletters() {
+    const manifest = loadManifest(EVENTS_MANIFEST_PATH, null);
+    if (!manifest) {
+        console.log('events-manifest.json not found. Nothing to send.');
+        return 0;
+    }
+    manifest.newsletter = manifest.newsletter || {};
+    let failed = 0;
+
+    const record = (event, field) => {
+        const entry = manifest.newsletter[event.id] || {};
+        entry[field] = now().toISOString();
+        manifest.newsletter[event.id] = entry;
+        saveManifest(EVENTS_MANIFEST_PATH, manifest);
+    };
+
+    const announcements = pendingAnnouncements(manifest, now());
+    console.log(`${announcements.length} event announcement(s) to send.`);
+    for (const event of announcements) {
+        console.log(`Announcing event: "${event.name}" (${event.startLocal})`);
+        if (await broadcast(eventPayload(event, 'event-announcement', now()))) record(event, 'announcedAt');
+        else failed++;
+    }
+
+    // Worked out after the announcements, which can rule a reminder out.
+    const reminders = dueReminders(manifest, now(), REMINDER_DAYS);
+    console.log(`${reminders.length} event reminder(s) to send (${REMINDER_DAYS} day(s) ahead).`);
+    for (const event of reminders) {
+        console.log(`Reminding about event: "${event.name}" (${event.startLocal})`);
+        if (await broadcast(eventPayload(event, 'event-reminder', now()))) record(event, 'reminderSentAt');
+        else failed++;
+    }
+    return failed;
+}
+
+async function main() {
+    const events = process.argv.includes('--events');
+    const digest = process.argv.includes('--digest');
+    if (process.argv.includes('--dry-run')) {
+        enableDryRun();
+        console.log('--dry-run: nothing will be sent or written.');
+    }
+
+    if (!isDryRun() && !WEBHOOK_URL) {
+        console.log('NEWSLETTER_WEBHOOK_URL not set. Skipping newsletter send.');
+        return;
+    }
+
+    if (!isDryRun() && !SECRET) {
+        console.log('NEWSLETTER_SECRET not set. Skipping newsletter send.');
+        return;
+    }
+
+    const failed = events ? await sendEventNewsletters() : await sendPostNewsletters(digest);
+
+    if (failed) {
+        console.error(`${failed} newsletter(s) not sent; they stay pending for the next run.`);
         process.exit(1);
     }
 }
 
-main();
+module.exports = {
+    pendingPosts,
+    idempotencyKey,
+    digestIdempotencyKey,
+    postPayload,
+    digestPayload,
+    pendingAnnouncements,
+    dueReminders,
+    eventPayload,
+    main,
+};
+
+if (require.main === module) {
+    main().then(reportDryRun).catch(err => {
+        console.error('Newsletter send error:', err.message);
+        process.exit(1);
+    });
+}
@@ -2,26 +2,71 @@
  * Eventbrite -> Holistique UK Events Sync
  *
  * Fetches upcoming and past events from the Eventbrite API, updates
- * events-manifest.json, and injects event cards into events.html and index.html.
+ * events-manifest.json, injects event cards and their schema.org Event
+ * structured data into events.html and index.html, and writes a page for each
+ * event at events/<slug>.html (the cards link there).
  *
  * Run: node scripts/sync-events.js
  *
+ * Preview without writing anything (prints a unified diff of every file that
+ * would change, plus a summary of added, removed and changed events):
+ *      node scripts/sync-events.js --dry-run
+ *
+ * Newly listed upcoming events are marked for announcement in the manifest's
+ * `newsletter` map; send-newsletter.js --events sends them (and reminders).
+ *
  * Env vars required:
  *   EVENTBRITE_TOKEN   — Eventbrite private API token
  *   EVENTBRITE_ORG_ID  — Eventbrite organization ID
+ *
+ * Optional env vars:
+ *   EVENTBRITE_API_URL — API base to call instead of https://www.eventbriteapi.com/v3
+ *                        (tests point it at scripts/mock-server.js)
  */
 
-const https = require('https');
-const fs = require('fs');
 const path = require('path');
-
-const ROOT = path.resolve(__dirname, '..');
+const {
+    fetchJson,
+    escapeHtml,
+    decodeHtmlEntities,
+    stripHtml,
+    truncateText,
+    renderJsonLd,
+    replaceSection,
+    relativeUrl,
+    relocateUrls,
+    SITE_ROOT,
+    now,
+    enableDryRun,
+    readFile,
+    fileExists,
+    writeFile,
+    writeFileIfChanged,
+    loadManifest,
+    saveManifest,
+    summarizeChanges,
+    reportDryRun,
+} = require('./lib/sync-core');
+const { updateSitemap } = require('./build-sitemap');
+const { FEED_FILE, formatDateTime, eventCalendarPath, updateCalendars } = require('./build-calendar');
+const { slugify } = require('./lib/journal-pages');
+const { sanitizeHtml } = require('./lib/sanitize-html');
+const { renderTemplate } = require('./lib/templates');
+
+const ROOT = SITE_ROOT;
 const MANIFEST_PATH = path.join(ROOT, 'events-manifest.json');
 const EVENTS_PAGE_PATH = path.join(ROOT, 'events.html');
 const INDEX_PATH = path.join(ROOT, 'index.html');
 
 const TOKEN = process.env.EVENTBRITE_TOKEN;
 const ORG_ID = process.env.EVENTBRITE_ORG_ID;
+const API_BASE = (process.env.EVENTBRITE_API_URL || 'https://www.eventbriteapi.com/v3').replace(/\/+$/, '');
+
+const SITE_BASE_URL = 'https://holistiqueuk.com';
+const SITE_NAME = 'Holistique UK';
+const AUTHOR_NAME = 'Yvonne';
+const EVENT_PAGES_DIR = 'events';
+const DEFAULT_TIMEZONE = 'Europe/London';
 
 // ── Fallback Images ─────────────────────────────────────────────────────────
 
@@ -35,55 +80,20 @@ const DEFAULT_FALLBACK = 'https://images.unsplash.com/photo-1545389336-cf0906944
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
-function fetchJson(url) {
-    return new Promise((resolve, reject) => {
-        const doRequest = (requestUrl) => {
-            const options = {
-                headers: {
-                    'Authorization': `Bearer ${TOKEN}`,
-                    'User-Agent': 'HolistiqueSync/1.0',
-                },
-            };
-            https.get(requestUrl, options, (res) => {
-                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                    doRequest(res.headers.location);
-                    return;
-                }
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    if (res.statusCode !== 200) {
-                        reject(new Error(`HTTP ${res.statusCode}: ${data.substring(0, 200)}`));
-                        return;
-                    }
-                    try {
-                        resolve(JSON.parse(data));
-                    } catch (e) {
-                        reject(new Error(`Invalid JSON response: ${e.message}`));
-                    }
-                });
-            }).on('error', reject);
-        };
-        doRequest(url);
-    });
-}
-
 /**
  * Fetch all pages of events for a given status query.
  */
 async function fetchAllEvents(status) {
     const events = [];
-    let url = `https://www.eventbriteapi.com/v3/organizations/${ORG_ID}/events/?status=${status}&expand=venue,logo&order_by=start_${status === 'ended' ? 'desc' : 'asc'}`;
+    let url = `${API_BASE}/organizations/${ORG_ID}/events/?status=${status}&expand=venue,logo,ticket_classes,ticket_availability&order_by=start_${status === 'ended' ? 'desc' : 'asc'}`;
 
     while (url) {
-        const data = await fetchJson(url);
+        const data = await fetchJson(url, { headers: { 'Authorization': `Bearer ${TOKEN}` } });
         if (data.events) {
             events.push(...data.events);
         }
         if (data.pagination && data.pagination.has_more_items && data.pagination.continuation) {
-            // Eventbrite uses continuation tokens
-            const sep = url.includes('?') ? '&' : '?';
-            // Strip any existing continuation param first
+            // Eventbrite uses continuation tokens. Strip any existing continuation param first
             const baseUrl = url.replace(/[&?]continuation=[^&]*/, '');
             url = baseUrl + (baseUrl.includes('?') ? '&' : '?') + `continuation=${data.pagination.continuation}`;
         } else {
@@ -94,49 +104,13 @@ async function fetchAllEvents(status) {
     return events;
 }
 
-function escapeHtml(str) {
-    if (!str) return '';
-    return str
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;');
-}
-
-function stripHtml(str) {
-    if (!str) return '';
-    return str.replace(/<[^>]+>/g, '').trim();
-}
-
-function truncateText(text, maxLen) {
-    if (!text) return '';
-    const clean = stripHtml(text).replace(/\s+/g, ' ').trim();
-    if (clean.length <= maxLen) return clean;
-    const truncated = clean.substring(0, maxLen);
-    const lastSpace = truncated.lastIndexOf(' ');
-    return (lastSpace > 0 ? truncated.substring(0, lastSpace) : truncated) + '...';
-}
-
-const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-
-function formatDateTime(isoStr) {
-    if (!isoStr) return '';
-    // isoStr is like "2026-02-15T19:00:00"
-    const parts = isoStr.split('T');
-    const dateParts = parts[0].split('-');
-    const timeParts = parts[1] ? parts[1].split(':') : ['0', '0'];
-
-    const year = parseInt(dateParts[0], 10);
-    const month = parseInt(dateParts[1], 10) - 1;
-    const day = parseInt(dateParts[2], 10);
-    let hours = parseInt(timeParts[0], 10);
-    const minutes = timeParts[1];
-
-    const ampm = hours >= 12 ? 'PM' : 'AM';
-    if (hours === 0) hours = 12;
-    else if (hours > 12) hours -= 12;
-
-    return `${MONTHS[month]} ${day}, ${year} &middot; ${hours}:${minutes} ${ampm}`;
+/**
+ * An event's full HTML description. The event list only carries a summary;
+ * the description endpoint has everything the organiser wrote, images included.
+ */
+async function fetchDescription(id) {
+    const data = await fetchJson(`${API_BASE}/events/${id}/description/`, { headers: { 'Authorization': `Bearer ${TOKEN}` } });
+    return data && typeof data.description === 'string' ? data.description : null;
 }
 
 function getEventImage(event) {
@@ -166,151 +140,298 @@ function getEventLocation(event) {
     return 'Online';
 }
 
-function replaceSection(html, startMarker, endMarker, newContent) {
-    const startIdx = html.indexOf(startMarker);
-    const endIdx = html.indexOf(endMarker);
-    if (startIdx === -1 || endIdx === -1) {
-        return null; // markers not found
+// ── Newsletter Tracking ─────────────────────────────────────────────────────
+
+/**
+ * Bookkeeping for `send-newsletter.js --events`, kept in the manifest's
+ * `newsletter` map by event id. A newly listed upcoming event gets
+ *      { announcedAt: null, reminderSentAt: null }
+ * which marks its announcement as pending. Entries for events that have left
+ * both lists are dropped. With `markNew` off (the very first sync, when every
+ * event looks new) nothing is marked for announcement.
+ */
+function trackNewsletter(previous, upcoming, past, markNew) {
+    const known = new Set([...previous.upcoming, ...previous.past].map(e => e.id));
+    const current = new Set([...upcoming, ...past].map(e => e.id));
+
+    const tracked = {};
+    for (const [id, entry] of Object.entries(previous.newsletter || {})) {
+        if (current.has(id)) tracked[id] = entry;
+    }
+    if (markNew) {
+        for (const event of upcoming) {
+            if (!known.has(event.id) && !tracked[event.id]) {
+                tracked[event.id] = { announcedAt: null, reminderSentAt: null };
+            }
+        }
     }
-    const before = html.substring(0, startIdx + startMarker.length);
-    const after = html.substring(endIdx);
-    return before + '\n' + newContent + '\n' + after;
+    return tracked;
 }
 
-// ── HTML Generators ─────────────────────────────────────────────────────────
+// ── Event Records ───────────────────────────────────────────────────────────
 
-function generateEventsPageUpcomingCard(event) {
-    const name = event.name ? event.name.text : 'Untitled Event';
-    const desc = truncateText(event.description ? event.description.text : '', 150);
-    const dateStr = formatDateTime(event.start ? event.start.local : '');
-    const imageUrl = getEventImage(event);
-    const location = getEventLocation(event);
-    const eventUrl = event.url || '#';
-
-    return `                    <a href="${escapeHtml(eventUrl)}" class="event-card reveal" target="_blank" rel="noopener">
-                        <img class="event-card__img" src="${escapeHtml(imageUrl)}" alt="${escapeHtml(name)}" loading="lazy">
-                        <div class="event-card__body">
-                            <p class="event-card__date">${dateStr}</p>
-                            <h3 class="event-card__title">${escapeHtml(name)}</h3>
-                            <p class="event-card__desc">${escapeHtml(desc)}</p>
-                            <span class="event-card__tag">${escapeHtml(location)}</span>
-                            <span class="event-card__tickets">Get Tickets &rarr;</span>
-                        </div>
-                    </a>`;
-}
-
-function generateEventsPagePastCard(event) {
-    const name = event.name ? event.name.text : 'Untitled Event';
-    const desc = truncateText(event.description ? event.description.text : '', 150);
-    const dateStr = formatDateTime(event.start ? event.start.local : '');
-    const imageUrl = getEventImage(event);
-    const location = getEventLocation(event);
-    const eventUrl = event.url || '#';
-
-    return `                    <a href="${escapeHtml(eventUrl)}" class="event-card reveal" target="_blank" rel="noopener">
-                        <img class="event-card__img" src="${escapeHtml(imageUrl)}" alt="${escapeHtml(name)}" loading="lazy">
-                        <div class="event-card__body">
-                            <p class="event-card__date">${dateStr}</p>
-                            <h3 class="event-card__title">${escapeHtml(name)}</h3>
-                            <p class="event-card__desc">${escapeHtml(desc)}</p>
-                            <span class="event-card__tag">${escapeHtml(location)}</span>
-                        </div>
-                    </a>`;
-}
-
-function generateHomepageCard(event) {
-    const name = event.name ? event.name.text : 'Untitled Event';
-    const desc = truncateText(event.description ? event.description.text : '', 150);
-    const dateStr = formatDateTime(event.start ? event.start.local : '');
-    const imageUrl = getEventImage(event);
-    const location = getEventLocation(event);
-    const eventUrl = event.url || '#';
-
-    return `                    <a href="${escapeHtml(eventUrl)}" class="event-card stagger-item" target="_blank" rel="noopener">
-                        <img class="event-card__img" data-pixel-reveal
-                             src="${escapeHtml(imageUrl)}" alt="${escapeHtml(name)}" loading="lazy" crossorigin="anonymous">
-                        <div class="event-card__body">
-                            <p class="event-card__date">${dateStr}</p>
-                            <h3 class="event-card__title">${escapeHtml(name)}</h3>
-                            <p class="event-card__desc">${escapeHtml(desc)}</p>
-                            <span class="event-card__tag">${escapeHtml(location)}</span>
-                        </div>
-                    </a>`;
+/**
+ * What the manifest keeps of an Eventbrite event. The cards and event pages
+ * are rendered from these, so they can be rebuilt from the manifest alone
+ * (render-pages.js). `fullDescription` is the fetchDescription() HTML; without
+ * it the page makes do with the summary from the event list.
+ */
+function extractEventData(event, fullDescription = null) {
+    const address = (event.venue && event.venue.address) || {};
+    const body = eventBody(fullDescription !== null ? fullDescription : (event.description && event.description.html) || '');
+    return {
+        id: event.id,
+        name: event.name ? event.name.text : 'Untitled Event',
+        description: truncateText(event.description ? event.description.text : '', 150),
+        url: event.url || '',
+        seriesId: event.series_id || null,
+        startLocal: event.start ? event.start.local : '',
+        endLocal: event.end ? event.end.local : '',
+        timezone: (event.start && event.start.timezone) || null,
+        venueName: event.venue ? event.venue.name : null,
+        city: event.venue && event.venue.address ? event.venue.address.city : null,
+        address: [address.address_1, address.address_2].filter(Boolean).join(', ') || null,
+        postalCode: address.postal_code || null,
+        country: address.country || null,
+        latitude: address.latitude || null,
+        longitude: address.longitude || null,
+        online: Boolean(event.online_event),
+        imageUrl: getEventImage(event),
+        status: event.status,
+        tickets: extractTickets(event),
+        descriptionHtml: body.html,
+        gallery: body.gallery,
+    };
 }
 
-// ── Main Sync Logic ─────────────────────────────────────────────────────────
+/**
+ * An event description made safe for the site, with its images taken out for
+ * the page's gallery: { html, gallery: [{ src, alt }] }.
+ */
+function eventBody(html) {
+    const gallery = [];
+    const collect = (fragment) => {
+        if (!/<img\b/.test(fragment)) return fragment;
+        const caption = decodeHtmlEntities(stripHtml((fragment.match(/<figcaption>([\s\S]*?)<\/figcaption>/) || [])[1] || '')).trim();
+        for (const [img] of fragment.matchAll(/<img\b[^>]*>/g)) {
+            const src = decodeHtmlEntities((img.match(/\ssrc="([^"]*)"/) || [])[1] || '');
+            const alt = decodeHtmlEntities((img.match(/\salt="([^"]*)"/) || [])[1] || '').trim() || caption;
+            if (src && !gallery.some(image => image.src === src)) gallery.push({ src, alt });
+        }
+        return '';
+    };
+    const body = sanitizeHtml(html).html
+        .replace(/<figure\b[^>]*>[\s\S]*?<\/figure>|<img\b[^>]*>/g, collect)
+        .replace(/<p>\s*(?:<br>\s*)*<\/p>/g, '')
+        .trim();
+    return { html: body, gallery };
+}
 
-async function main() {
-    // Check env vars
-    if (!TOKEN || !ORG_ID) {
-        console.log('EVENTBRITE_TOKEN or EVENTBRITE_ORG_ID not set. Skipping event sync.');
-        process.exit(0);
+/**
+ * Manifest records for fetched events, each with its full description. When a
+ * description cannot be fetched, the one from the last sync is kept, or for a
+ * new event the summary stands in until the next run.
+ */
+async function eventRecords(events, previous) {
+    const known = new Map(previous.map(e => [e.id, e]));
+    const records = [];
+    for (const event of events) {
+        let description = null;
+        try {
+            description = await fetchDescription(event.id);
+        } catch (err) {
+            console.warn(`  Warning: could not fetch the description of event ${event.id}: ${err.message}`);
+        }
+        const record = extractEventData(event, description);
+        const before = known.get(record.id);
+        if (description === null && before && before.descriptionHtml !== undefined) {
+            record.descriptionHtml = before.descriptionHtml;
+            record.gallery = before.gallery || [];
+        }
+        records.push(record);
     }
+    return records;
+}
 
-    // Load or create manifest
-    let manifest;
-    const manifestExisted = fs.existsSync(MANIFEST_PATH);
-    if (manifestExisted) {
-        manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
-    } else {
-        manifest = { lastSync: null, upcoming: [], past: [] };
-        console.log('Created default events-manifest.json');
+/**
+ * What the cards need to know about an event's tickets, from its expanded
+ * ticket_classes and ticket_availability:
+ *      { free, currency, minPrice, maxPrice, remaining, soldOut, waitlist, salesEnd }
+ * Prices are in major units (25.5 for £25.50) and null for a free event;
+ * `remaining` is null when Eventbrite does not report quantities; `salesEnd` is
+ * the UTC time ticket sales close. Null when the event came without either
+ * expansion (older manifests), and the card falls back to "Get Tickets".
+ */
+function extractTickets(event) {
+    const availability = event.ticket_availability || null;
+    const classes = (event.ticket_classes || []).filter(tc => !tc.hidden);
+    if (!availability && classes.length === 0) return null;
+
+    let costs = classes.filter(tc => !tc.free && !tc.donation && tc.cost).map(tc => tc.cost);
+    if (costs.length === 0 && availability) {
+        costs = [availability.minimum_ticket_price, availability.maximum_ticket_price].filter(Boolean);
     }
+    const prices = costs.map(cost => Number(cost.major_value)).filter(value => Number.isFinite(value) && value > 0);
+    const free = classes.length ? classes.every(tc => tc.free) : Boolean(availability.is_free);
+
+    const counted = classes.length > 0 && classes.every(tc => Number.isInteger(tc.quantity_total) && Number.isInteger(tc.quantity_sold));
+    const remaining = counted
+        ? classes.reduce((sum, tc) => sum + Math.max(0, tc.quantity_total - tc.quantity_sold), 0)
+        : null;
+    const soldOut = remaining === 0 || (availability
+        ? Boolean(availability.is_sold_out)
+        : classes.every(tc => tc.on_sale_status === 'SOLD_OUT'));
+
+    const salesEnds = classes.map(tc => tc.sales_end).filter(Boolean).sort();
+    const salesEnd = availability && availability.end_sales_date && availability.end_sales_date.utc
+        ? availability.end_sales_date.utc
+        : (salesEnds[salesEnds.length - 1] || null);
+
+    return {
+        free,
+        currency: prices.length ? (costs[0].currency || 'GBP') : null,
+        minPrice: prices.length ? Math.min(...prices) : null,
+        maxPrice: prices.length ? Math.max(...prices) : null,
+        remaining,
+        soldOut,
+        waitlist: Boolean(availability && availability.waitlist_available),
+        salesEnd,
+    };
+}
 
-    const previousHash = JSON.stringify(manifest.upcoming) + JSON.stringify(manifest.past);
+// ── Series ──────────────────────────────────────────────────────────────────
 
-    // Fetch upcoming events
-    console.log('Fetching upcoming events from Eventbrite...');
-    let upcomingEvents;
-    try {
-        upcomingEvents = await fetchAllEvents('live,started');
-    } catch (err) {
-        console.error('Failed to fetch upcoming events:', err.message);
-        process.exit(1);
+/**
+ * What the dates of one recurring event have in common: Eventbrite's series_id
+ * for the dates of a series set up there, otherwise the name and venue, so a
+ * session repeated as separate events is still seen as one.
+ */
+function seriesKey(record) {
+    if (record.seriesId) return `series:${record.seriesId}`;
+    const name = String(record.name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const venue = isOnline(record) ? 'online' : String(record.venueName || record.city).toLowerCase().trim();
+    return `${name}|${venue}`;
+}
+
+/**
+ * Upcoming records grouped into series, each series as [next, ...later] and in
+ * the order of its next date (`records` are in date order). An event that does
+ * not recur is a series of one.
+ */
+function groupSeries(records) {
+    const series = new Map();
+    for (const record of records) {
+        const key = seriesKey(record);
+        if (!series.has(key)) series.set(key, []);
+        series.get(key).push(record);
     }
-    console.log(`  Found ${upcomingEvents.length} upcoming event(s).`);
+    return [...series.values()];
+}
 
-    // Fetch past events
-    console.log('Fetching past events from Eventbrite...');
-    let pastEvents;
+// ── HTML Generators ─────────────────────────────────────────────────────────
+
+/** Events with this many places left or fewer are flagged "Few spots left". */
+const FEW_SPOTS_LEFT = 5;
+
+/** A price in major units as the site shows it: £25, £12.50. */
+function formatPrice(value, currency) {
+    const digits = Number.isInteger(value) ? 0 : 2;
     try {
-        pastEvents = await fetchAllEvents('ended');
+        return new Intl.NumberFormat('en-GB', {
+            style: 'currency',
+            currency: currency || 'GBP',
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits,
+        }).format(value);
     } catch (err) {
-        console.error('Failed to fetch past events:', err.message);
-        process.exit(1);
+        return `${value.toFixed(digits)} ${currency}`;
     }
-    // Limit past events to 12 most recent (already sorted desc by API)
-    pastEvents = pastEvents.slice(0, 12);
-    console.log(`  Found ${pastEvents.length} past event(s) (limited to 12).`);
+}
 
-    // Extract event data for manifest
-    function extractEventData(event) {
-        return {
-            id: event.id,
-            name: event.name ? event.name.text : 'Untitled Event',
-            description: truncateText(event.description ? event.description.text : '', 150),
-            url: event.url || '',
-            startLocal: event.start ? event.start.local : '',
-            endLocal: event.end ? event.end.local : '',
-            venueName: event.venue ? event.venue.name : null,
-            city: event.venue && event.venue.address ? event.venue.address.city : null,
-            imageUrl: getEventImage(event),
-            status: event.status,
-        };
+/**
+ * The ticket line on a card: its text, a state for styling ('', 'free' or
+ * 'sold-out') and whether to flag that few places are left. A price always
+ * reads "From £X", whether the event has one ticket price or several.
+ */
+function ticketStatus(tickets) {
+    if (!tickets) return { label: 'Get Tickets', state: '', fewLeft: false };
+    if (tickets.soldOut) {
+        return { label: tickets.waitlist ? 'Sold out – join waitlist' : 'Sold out', state: 'sold-out', fewLeft: false };
     }
+    const fewLeft = tickets.remaining !== null && tickets.remaining !== undefined && tickets.remaining <= FEW_SPOTS_LEFT;
+    if (tickets.free) return { label: 'Free', state: 'free', fewLeft };
+    if (tickets.minPrice === null || tickets.minPrice === undefined) return { label: 'Get Tickets', state: '', fewLeft };
+    return { label: `From ${formatPrice(tickets.minPrice, tickets.currency)}`, state: '', fewLeft };
+}
 
-    const upcomingData = upcomingEvents.map(extractEventData);
-    const pastData = pastEvents.map(extractEventData);
+/**
+ * Template fields for a manifest event record, shared by every card. `later`
+ * are the series' dates after this one, which its card lists.
+ */
+function cardFields(record, later = []) {
+    const tickets = ticketStatus(record.tickets);
+    return {
+        name: record.name,
+        description: record.description,
+        date: formatDateTime(record.startLocal),
+        image: record.imageUrl,
+        location: record.city || record.venueName || 'Online',
+        // The event's own page once it has one; Eventbrite until then.
+        link: record.page || record.url || '#',
+        external: !record.page,
+        calendar: eventCalendarPath(record.id),
+        tickets: tickets.label,
+        ticketsState: tickets.state,
+        fewLeft: tickets.fewLeft,
+        laterDates: later.map(e => ({
+            date: formatDateTime(e.startLocal),
+            link: e.page || e.url || '#',
+            external: !e.page,
+        })),
+        moreDates: later.length ? `${later.length} more date${later.length === 1 ? '' : 's'}` : '',
+    };
+}
 
-    // ── Update events.html ──────────────────────────────────────────────────
+/**
+ * Upcoming cards carry a second link ("Add to calendar"), and links cannot nest,
+ * so the card is a <div> whose title link stretches over the whole card via CSS
+ * (.event-card__link::after) while the calendar link sits above it. So does
+ * the list of a series' later dates, when there are any.
+ */
+function generateEventsPageUpcomingCard(record, later = []) {
+    return renderTemplate('events/upcoming-card.html', cardFields(record, later));
+}
 
-    if (fs.existsSync(EVENTS_PAGE_PATH)) {
-        const originalEventsHtml = fs.readFileSync(EVENTS_PAGE_PATH, 'utf8');
+function generateEventsPagePastCard(record) {
+    return renderTemplate('events/past-card.html', cardFields(record));
+}
+
+function generateHomepageCard(record, later = []) {
+    return renderTemplate('events/homepage-card.html', cardFields(record, later));
+}
+
+/** A JSON-LD block listing `records` as schema.org Events (see eventJsonLd()). */
+function generateEventsSchema(records) {
+    return renderJsonLd(records.map(eventJsonLd));
+}
+
+/**
+ * Fill the event sections of events.html (upcoming and past) and index.html
+ * (the next three) from manifest records, with Event structured data for the
+ * same events, writing each page only on change. A recurring event gets one
+ * upcoming card, for its next date, listing the dates after it (groupSeries()),
+ * so the homepage shows three different events rather than one three times.
+ */
+function updateEventPages(upcoming, past) {
+    const series = groupSeries(upcoming);
+
+    if (fileExists(EVENTS_PAGE_PATH)) {
+        const originalEventsHtml = readFile(EVENTS_PAGE_PATH);
         let eventsHtml = originalEventsHtml;
 
         // Upcoming section
-        const upcomingContent = upcomingEvents.length > 0
-            ? upcomingEvents.map(e => generateEventsPageUpcomingCard(e)).join('\n')
+        const upcomingContent = series.length > 0
+            ? series.map(([next, ...later]) => generateEventsPageUpcomingCard(next, later)).join('\n')
             : '                    <p class="events__empty reveal">Events are coming soon. Follow us on <a href="https://instagram.com/yvonne.holistique/" target="_blank">Instagram</a> for updates.</p>';
 
         const updatedUpcoming = replaceSection(
@@ -326,8 +447,8 @@ async function main() {
         }
 
         // Past section
-        const pastContent = pastEvents.length > 0
-            ? pastEvents.map(e => generateEventsPagePastCard(e)).join('\n')
+        const pastContent = past.length > 0
+            ? past.map(e => generateEventsPagePastCard(e)).join('\n')
             : '                    <p class="events__empty reveal">No past events to show yet.</p>';
 
         const updatedPast = replaceSection(
@@ -342,8 +463,21 @@ async function main() {
             console.warn('  Warning: Could not find EVENTS-PAST markers in events.html. Skipping past section.');
         }
 
+        // Structured data for both lists
+        const updatedSchema = replaceSection(
+            eventsHtml,
+            '<!-- EVENTS-SCHEMA-START -->',
+            '<!-- EVENTS-SCHEMA-END -->',
+            generateEventsSchema([...upcoming, ...past])
+        );
+        if (updatedSchema) {
+            eventsHtml = updatedSchema;
+        } else {
+            console.warn('  Warning: Could not find EVENTS-SCHEMA markers in events.html. Skipping structured data.');
+        }
+
         if (eventsHtml !== originalEventsHtml) {
-            fs.writeFileSync(EVENTS_PAGE_PATH, eventsHtml, 'utf8');
+            writeFile(EVENTS_PAGE_PATH, eventsHtml);
             console.log('  Updated events.html.');
         } else {
             console.log('  events.html already up to date.');
@@ -352,24 +486,37 @@ async function main() {
         console.warn('  Warning: events.html not found. Skipping events page update.');
     }
 
-    // ── Update index.html (top 3 upcoming) ──────────────────────────────────
+    // Homepage: the next three upcoming events, one card per series
+    if (fileExists(INDEX_PATH)) {
+        const indexHtml = readFile(INDEX_PATH);
 
-    if (fs.existsSync(INDEX_PATH)) {
-        let indexHtml = fs.readFileSync(INDEX_PATH, 'utf8');
-
-        const top3 = upcomingEvents.slice(0, 3);
+        const top3 = series.slice(0, 3);
         const homepageContent = top3.length > 0
-            ? top3.map(e => generateHomepageCard(e)).join('\n')
+            ? top3.map(([next, ...later]) => generateHomepageCard(next, later)).join('\n')
             : '                    <p class="events__empty stagger-item">Events are coming soon. Follow us on <a href="https://instagram.com/yvonne.holistique/" target="_blank">Instagram</a> for updates.</p>';
 
-        const updatedIndex = replaceSection(
+        let updatedIndex = replaceSection(
             indexHtml,
             '<!-- HOMEPAGE-EVENTS-START -->',
             '<!-- HOMEPAGE-EVENTS-END -->',
             homepageContent
         );
+        if (updatedIndex) {
+            // Structured data for the same three events
+            const withSchema = replaceSection(
+                updatedIndex,
+                '<!-- HOMEPAGE-EVENTS-SCHEMA-START -->',
+                '<!-- HOMEPAGE-EVENTS-SCHEMA-END -->',
+                generateEventsSchema(top3.map(([next]) => next))
+            );
+            if (withSchema) {
+                updatedIndex = withSchema;
+            } else {
+                console.warn('  Warning: Could not find HOMEPAGE-EVENTS-SCHEMA markers in index.html. Skipping homepage structured data.');
+            }
+        }
         if (updatedIndex && updatedIndex !== indexHtml) {
-            fs.writeFileSync(INDEX_PATH, updatedIndex, 'utf8');
+            writeFile(INDEX_PATH, updatedIndex);
             console.log('  Updated index.html with top 3 upcoming events.');
         } else if (updatedIndex) {
             console.log('  index.html already up to date.');
@@ -379,6 +526,285 @@ async function main() {
     } else {
         console.warn('  Warning: index.html not found. Skipping homepage update.');
     }
+}
+
+// ── Event Pages ─────────────────────────────────────────────────────────────
+//
+// Each event gets a page at events/<slug>.html, the slug being its name and
+// start date. The path is chosen when the event is first synced and kept in the
+// manifest (`page`) from then on, so a retitle or a new date never moves it.
+// An event that drops off both lists leaves a redirect to events.html behind.
+
+/**
+ * Give every record its page: the one it had last sync, or a new path no
+ * other event has used. `previous` is the last sync's records.
+ */
+function assignEventPages(records, previous = []) {
+    const known = new Map(previous.filter(e => e.page).map(e => [e.id, e.page]));
+    const taken = new Set(known.values());
+    for (const record of records) {
+        if (known.has(record.id)) {
+            record.page = known.get(record.id);
+            continue;
+        }
+        const date = String(record.startLocal || '').slice(0, 10);
+        const base = [slugify(record.name, 60) || 'event', date || record.id].join('-');
+        let page = `${EVENT_PAGES_DIR}/${base}.html`;
+        for (let n = 2; taken.has(page); n++) page = `${EVENT_PAGES_DIR}/${base}-${n}.html`;
+        taken.add(page);
+        record.page = page;
+    }
+    return records;
+}
+
+/** Last sync's events that are on neither list now, and whose page is not reused. */
+function departedEvents(previous, records) {
+    const current = new Set(records.map(e => e.id));
+    const pages = new Set(records.map(e => e.page));
+    return previous.filter(e => e.page && !current.has(e.id) && !pages.has(e.page));
+}
+
+/**
+ * A local wall-clock time with the zone's UTC offset on the end, as schema.org
+ * wants it: "2026-09-04T18:00:00" -> "2026-09-04T18:00:00+01:00". Left as it
+ * is when it does not parse or the zone is unknown.
+ */
+function withUtcOffset(local, timezone = DEFAULT_TIMEZONE) {
+    const m = String(local || '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (!m) return local || '';
+    const wall = Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+    let format;
+    try {
+        format = new Intl.DateTimeFormat('en-GB', {
+            timeZone: timezone || DEFAULT_TIMEZONE,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+        });
+    } catch (err) {
+        return local;
+    }
+    // The zone's offset at an instant: its wall clock then, minus the instant.
+    const offsetAt = (time) => {
+        const parts = Object.fromEntries(format.formatToParts(new Date(time)).map(p => [p.type, Number(p.value)]));
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+    };
+    const offset = offsetAt(wall - offsetAt(wall)) / 60000;
+    const abs = Math.abs(offset);
+    const pad = n => String(n).padStart(2, '0');
+    return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6] || '00'}${offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/** Where an event is, one line: venue, street, city and postcode, or "Online". */
+function eventAddress(record) {
+    const town = [record.city, record.postalCode].filter(Boolean).join(' ');
+    const parts = [record.venueName, record.address, town].filter(Boolean);
+    // Venues are often named after their postcode or street; say it once.
+    return parts.filter((part, i) => !parts.some((other, j) => j !== i && other.includes(part) && (other !== part || j < i)))
+        .join(', ') || 'Online';
+}
+
+function isOnline(record) {
+    return Boolean(record.online) || !(record.venueName || record.city);
+}
+
+/** A Google Maps link for the venue (its coordinates when known), or null online. */
+function mapUrl(record) {
+    if (isOnline(record)) return null;
+    const query = record.latitude && record.longitude ? `${record.latitude},${record.longitude}` : eventAddress(record);
+    return `https://www.google.com/maps/search/?${new URLSearchParams({ api: '1', query })}`;
+}
+
+/**
+ * Rows for the page's schedule: date and time for an event that ends the day
+ * it starts, start and end otherwise. Values are HTML (formatDateTime()).
+ */
+function eventSchedule(record) {
+    const start = formatDateTime(record.startLocal);
+    if (!start) return [];
+    const [startDate, startTime] = start.split(' &middot; ');
+    if (!record.endLocal) return [{ label: 'Date', value: startDate }, { label: 'Time', value: startTime }];
+    const [endDate, endTime] = formatDateTime(record.endLocal).split(' &middot; ');
+    if (endDate === startDate) {
+        return [{ label: 'Date', value: startDate }, { label: 'Time', value: `${startTime} &ndash; ${endTime}` }];
+    }
+    return [{ label: 'Starts', value: start }, { label: 'Ends', value: formatDateTime(record.endLocal) }];
+}
+
+/** The schema.org PostalAddress of a venue, with the parts the manifest has. */
+function postalAddress(record) {
+    const address = { '@type': 'PostalAddress' };
+    if (record.address) address.streetAddress = record.address;
+    if (record.city) address.addressLocality = record.city;
+    if (record.postalCode) address.postalCode = record.postalCode;
+    if (record.country) address.addressCountry = record.country;
+    return address;
+}
+
+const EVENT_STATUS = {
+    canceled: 'https://schema.org/EventCancelled',
+    postponed: 'https://schema.org/EventPostponed',
+};
+
+/**
+ * The schema.org Event for a manifest record. Offers are left off events that
+ * have ended, whose tickets are no longer for sale.
+ */
+function eventJsonLd(record) {
+    const online = isOnline(record);
+    const schema = {
+        '@context': 'https://schema.org',
+        '@type': 'Event',
+        'name': record.name,
+        'description': record.description || record.name,
+        'url': record.page ? `${SITE_BASE_URL}/${record.page}` : record.url,
+        'image': [record.imageUrl, ...(record.gallery || []).map(image => image.src)].filter(Boolean),
+        'startDate': withUtcOffset(record.startLocal, record.timezone),
+        'endDate': withUtcOffset(record.endLocal, record.timezone),
+        'eventStatus': EVENT_STATUS[record.status] || 'https://schema.org/EventScheduled',
+        'eventAttendanceMode': online ? 'https://schema.org/OnlineEventAttendanceMode' : 'https://schema.org/OfflineEventAttendanceMode',
+        'location': online
+            ? { '@type': 'VirtualLocation', 'url': record.url }
+            : { '@type': 'Place', 'name': record.venueName || record.city, 'address': postalAddress(record) },
+        'organizer': { '@type': 'Organization', 'name': SITE_NAME, 'url': SITE_BASE_URL },
+    };
+    if (!schema.endDate) delete schema.endDate;
+
+    const tickets = record.tickets;
+    if (tickets && !['ended', 'completed', 'canceled'].includes(record.status)) {
+        const status = ticketStatus(tickets);
+        const offer = {
+            '@type': tickets.maxPrice > tickets.minPrice ? 'AggregateOffer' : 'Offer',
+            'url': record.url,
+            'priceCurrency': tickets.currency || 'GBP',
+            'availability': tickets.soldOut ? 'https://schema.org/SoldOut'
+                : status.fewLeft ? 'https://schema.org/LimitedAvailability' : 'https://schema.org/InStock',
+        };
+        if (offer['@type'] === 'AggregateOffer') {
+            offer.lowPrice = tickets.minPrice;
+            offer.highPrice = tickets.maxPrice;
+        } else {
+            offer.price = tickets.free || tickets.minPrice === null ? 0 : tickets.minPrice;
+        }
+        if (tickets.salesEnd) offer.validThrough = tickets.salesEnd;
+        schema.offers = offer;
+    }
+    return schema;
+}
+
+/**
+ * An event's page, written for record.page. `past` events say so in place of
+ * the ticket button and calendar link.
+ */
+function generateEventPageHtml(record, past = false) {
+    const tickets = ticketStatus(record.tickets);
+    const html = renderTemplate('events/page.html', {
+        title: record.name,
+        description: record.description || record.name,
+        author: AUTHOR_NAME,
+        url: `${SITE_BASE_URL}/${record.page}`,
+        image: record.imageUrl,
+        ogType: 'website',
+        publishedTime: null,
+        section: null,
+        feedLinks: `    <link rel="alternate" type="text/calendar" title="${SITE_NAME} Events" href="${SITE_BASE_URL}/${FEED_FILE}">`,
+        jsonLd: renderJsonLd(eventJsonLd(record)),
+        name: record.name,
+        past,
+        schedule: eventSchedule(record),
+        where: eventAddress(record),
+        mapUrl: mapUrl(record),
+        ticketUrl: record.url || '#',
+        tickets: tickets.label,
+        ticketsState: tickets.state,
+        fewLeft: tickets.fewLeft,
+        calendar: eventCalendarPath(record.id),
+        bodyHtml: record.descriptionHtml || (record.description ? `<p>${escapeHtml(record.description)}</p>` : ''),
+        gallery: (record.gallery || []).map(image => ({ src: image.src, alt: image.alt || record.name })),
+        newsletter: { heading: 'Hear about the next one', text: 'Get new events from Yvonne delivered to your inbox.' },
+    });
+    return `${relocateUrls(html, 'index.html', record.page)}\n`;
+}
+
+/** The stub left at the page of an event that is no longer listed. */
+function generateEventRedirectHtml(record) {
+    return `${renderTemplate('events/redirect.html', {
+        name: record.name,
+        canonical: `${SITE_BASE_URL}/events.html`,
+        href: relativeUrl(record.page, 'events.html'),
+    })}\n`;
+}
+
+/**
+ * Write the page of every listed event and a redirect stub for each departed
+ * one (see departedEvents()), each only on change. Returns the files written.
+ */
+function updateEventDetailPages(upcoming, past, departed = []) {
+    const written = [];
+    const write = (file, html) => {
+        if (writeFileIfChanged(path.join(ROOT, file), html)) written.push(file);
+    };
+    for (const record of upcoming) if (record.page) write(record.page, generateEventPageHtml(record, false));
+    for (const record of past) if (record.page) write(record.page, generateEventPageHtml(record, true));
+    for (const record of departed) write(record.page, generateEventRedirectHtml(record));
+    console.log(written.length ? `  Event pages: ${written.length} written.` : '  Event pages already up to date.');
+    return written;
+}
+
+// ── Main Sync Logic ─────────────────────────────────────────────────────────
+
+async function main() {
+    if (process.argv.includes('--dry-run')) {
+        enableDryRun();
+        console.log('--dry-run: nothing will be written.');
+    }
+
+    // Check env vars
+    if (!TOKEN || !ORG_ID) {
+        console.log('EVENTBRITE_TOKEN or EVENTBRITE_ORG_ID not set. Skipping event sync.');
+        process.exit(0);
+    }
+
+    // Load or create manifest
+    const manifestExisted = fileExists(MANIFEST_PATH);
+    const manifest = loadManifest(MANIFEST_PATH, { lastSync: null, upcoming: [], past: [] });
+    if (!manifestExisted) {
+        console.log('Created default events-manifest.json');
+    }
+
+    const previousHash = JSON.stringify(manifest.upcoming) + JSON.stringify(manifest.past);
+
+    // Fetch upcoming events
+    console.log('Fetching upcoming events from Eventbrite...');
+    let upcomingEvents;
+    try {
+        upcomingEvents = await fetchAllEvents('live,started');
+    } catch (err) {
+        console.error('Failed to fetch upcoming events:', err.message);
+        process.exit(1);
+    }
+    console.log(`  Found ${upcomingEvents.length} upcoming event(s).`);
+
+    // Fetch past events
+    console.log('Fetching past events from Eventbrite...');
+    let pastEvents;
+    try {
+        pastEvents = await fetchAllEvents('ended');
+    } catch (err) {
+        console.error('Failed to fetch past events:', err.message);
+        process.exit(1);
+    }
+    // Limit past events to 12 most recent (already sorted desc by API)
+    pastEvents = pastEvents.slice(0, 12);
+    console.log(`  Found ${pastEvents.length} past event(s) (limited to 12).`);
+
+    console.log('Fetching event descriptions...');
+    const previous = [...manifest.upcoming, ...manifest.past];
+    const upcomingData = await eventRecords(upcomingEvents, previous);
+    const pastData = await eventRecords(pastEvents, previous);
+    const records = assignEventPages([...upcomingData, ...pastData], previous);
+
+    updateEventPages(upcomingData, pastData);
+    updateEventDetailPages(upcomingData, pastData, departedEvents(previous, records));
 
     // ── Update manifest ─────────────────────────────────────────────────────
 
@@ -388,17 +814,25 @@ async function main() {
     const newHash = JSON.stringify(upcomingData) + JSON.stringify(pastData);
     const eventsChanged = newHash !== previousHash;
 
+    const describeEvent = e => `${e.startLocal ? e.startLocal.substring(0, 10) : '????-??-??'} ${e.name} (${e.id})`;
+    summarizeChanges('Upcoming events', manifest.upcoming, upcomingData, e => e.id, describeEvent);
+    summarizeChanges('Past events', manifest.past, pastData, e => e.id, describeEvent);
+
     if (eventsChanged || !manifestExisted) {
-        manifest.lastSync = new Date().toISOString();
+        manifest.newsletter = trackNewsletter(manifest, upcomingData, pastData, manifestExisted);
+        manifest.lastSync = now().toISOString();
         manifest.upcoming = upcomingData;
         manifest.past = pastData;
 
-        fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+        saveManifest(MANIFEST_PATH, manifest);
         console.log('Manifest updated.');
     } else {
         console.log('No changes — events-manifest.json is already up to date (lastSync left as-is).');
     }
 
+    updateCalendars(manifest);
+    updateSitemap();
+
     // ── Change detection ────────────────────────────────────────────────────
 
     console.log(`EVENTS_CHANGED=${eventsChanged}`);
@@ -406,7 +840,40 @@ async function main() {
     console.log(`Sync complete! ${upcomingEvents.length} upcoming, ${pastEvents.length} past event(s).`);
 }
 
-main().catch(err => {
-    console.error('Sync failed:', err);
-    process.exit(1);
-});
+module.exports = {
+    fetchAllEvents,
+    fetchDescription,
+    getEventImage,
+    getEventLocation,
+    trackNewsletter,
+    extractEventData,
+    eventBody,
+    extractTickets,
+    formatPrice,
+    ticketStatus,
+    seriesKey,
+    groupSeries,
+    generateEventsPageUpcomingCard,
+    generateEventsPagePastCard,
+    generateHomepageCard,
+    generateEventsSchema,
+    updateEventPages,
+    assignEventPages,
+    departedEvents,
+    withUtcOffset,
+    eventAddress,
+    mapUrl,
+    eventSchedule,
+    eventJsonLd,
+    generateEventPageHtml,
+    generateEventRedirectHtml,
+    updateEventDetailPages,
+    main,
+};
+
+if (require.main === module) {
+    main().then(reportDryRun).catch(err => {
+        console.error('Sync failed:', err);
+        process.exit(1);
+    });
+}
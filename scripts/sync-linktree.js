@@ -17,19 +17,44 @@
  * Refetch every auto_enrichment entry (hand entries are never touched):
  *      node scripts/sync-linktree.js --refresh-auto
  *
- * No env vars, no secrets required.
+ * Preview without writing anything (prints a unified diff of every file that
+ * would change, plus a summary of added, removed and changed products):
+ *      node scripts/sync-linktree.js --dry-run
+ *
+ * No secrets required. Optional env var:
+ *   LINKTREE_URL — page to read instead of linktr.ee/holistiqueuk (tests point it
+ *                  at scripts/mock-server.js)
  */
 
-const https = require('https');
-const http = require('http');
-const fs = require('fs');
 const path = require('path');
-
-const ROOT = path.resolve(__dirname, '..');
+const {
+    fetchText,
+    fetchPage: fetchWithCaps,
+    escapeHtml,
+    decodeHtmlEntities,
+    stripHtml,
+    truncateText,
+    renderJsonLd,
+    replaceSection,
+    SITE_ROOT,
+    now,
+    enableDryRun,
+    readFile,
+    fileExists,
+    writeFile,
+    loadManifest,
+    saveManifest,
+    summarizeChanges,
+    reportDryRun,
+} = require('./lib/sync-core');
+const { updateSitemap } = require('./build-sitemap');
+const { renderTemplate } = require('./lib/templates');
+
+const ROOT = SITE_ROOT;
 const MANIFEST_PATH = path.join(ROOT, 'linktree-manifest.json');
 const PAGE_PATH = path.join(ROOT, 'wellness-tools.html');
 
-const LINKTREE_URL = 'https://linktr.ee/holistiqueuk';
+const LINKTREE_URL = process.env.LINKTREE_URL || 'https://linktr.ee/holistiqueuk';
 const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
 
 // Fail loudly rather than publish a near-empty page.
@@ -64,91 +89,20 @@ const SCHEMA_END = '<!-- WELLNESS-TOOLS-SCHEMA-END -->';
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
-function fetchHtml(url) {
-    return new Promise((resolve, reject) => {
-        const doRequest = (requestUrl) => {
-            const options = {
-                headers: {
-                    'User-Agent': USER_AGENT,
-                    'Accept': 'text/html,application/xhtml+xml',
-                    'Accept-Language': 'en-GB,en;q=0.9',
-                },
-            };
-            https.get(requestUrl, options, (res) => {
-                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                    doRequest(new URL(res.headers.location, requestUrl).toString());
-                    return;
-                }
-                let data = '';
-                res.setEncoding('utf8');
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    if (res.statusCode !== 200) {
-                        reject(new Error(`HTTP ${res.statusCode}: ${data.substring(0, 200)}`));
-                        return;
-                    }
-                    resolve(data);
-                });
-            }).on('error', reject);
-        };
-        doRequest(url);
-    });
-}
+const BROWSER_HEADERS = {
+    'User-Agent': USER_AGENT,
+    'Accept': 'text/html,application/xhtml+xml',
+    'Accept-Language': 'en-GB,en;q=0.9',
+};
 
-function escapeHtml(str) {
-    if (!str) return '';
-    return str
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;');
+function fetchHtml(url) {
+    return fetchText(url, { headers: BROWSER_HEADERS });
 }
 
+/** Entity-decoded plain text: tags stripped, whitespace collapsed. */
 function decodeEntities(str) {
     if (!str) return '';
-    return str
-        .replace(/<[^>]+>/g, '')
-        .replace(/&mdash;/g, '—')
-        .replace(/&ndash;/g, '–')
-        .replace(/&rsquo;/g, '’')
-        .replace(/&lsquo;/g, '‘')
-        .replace(/&rdquo;/g, '”')
-        .replace(/&ldquo;/g, '“')
-        .replace(/&hellip;/g, '…')
-        .replace(/&rarr;/g, '→')
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&quot;/g, '"')
-        .replace(/&#39;/g, "'")
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&amp;/g, '&')
-        .replace(/\s+/g, ' ')
-        .trim();
-}
-
-function stripHtml(str) {
-    if (!str) return '';
-    return str.replace(/<[^>]+>/g, '').trim();
-}
-
-function truncateText(text, maxLen) {
-    if (!text) return '';
-    const clean = stripHtml(text).replace(/\s+/g, ' ').trim();
-    if (clean.length <= maxLen) return clean;
-    const truncated = clean.substring(0, maxLen);
-    const lastSpace = truncated.lastIndexOf(' ');
-    return (lastSpace > 0 ? truncated.substring(0, lastSpace) : truncated) + '...';
-}
-
-function replaceSection(html, startMarker, endMarker, newContent) {
-    const startIdx = html.indexOf(startMarker);
-    const endIdx = html.indexOf(endMarker);
-    if (startIdx === -1 || endIdx === -1 || endIdx < startIdx) {
-        return null; // markers not found
-    }
-    const before = html.substring(0, startIdx + startMarker.length);
-    const after = html.substring(endIdx);
-    return before + '\n' + newContent + '\n' + after;
+    return decodeHtmlEntities(stripHtml(str)).replace(/\s+/g, ' ').trim();
 }
 
 /**
@@ -298,81 +252,19 @@ function seedEnrichmentFromPage(html) {
 // ── Auto-Enrichment (Open Graph off the product's own site) ─────────────────
 
 /**
- * Fetch a product page. Follows redirects, hard timeout, capped body size, and
- * returns the post-redirect URL so relative image paths can be resolved.
+ * Fetch a product page. Follows redirects, hard timeout, capped body size (the head
+ * metadata is long past by then, so the body is truncated rather than rejected),
+ * and returns the post-redirect URL so relative image paths can be resolved.
  */
-function fetchPage(url) {
-    return new Promise((resolve, reject) => {
-        let settled = false;
-        let redirects = 0;
-
-        const done = (err, value) => {
-            if (settled) return;
-            settled = true;
-            if (err) reject(err); else resolve(value);
-        };
-
-        const doRequest = (requestUrl) => {
-            let parsed;
-            try {
-                parsed = new URL(requestUrl);
-            } catch (e) {
-                return done(new Error(`Invalid URL: ${requestUrl}`));
-            }
-            const transport = parsed.protocol === 'http:' ? http : https;
-
-            const req = transport.get(requestUrl, {
-                headers: {
-                    'User-Agent': USER_AGENT,
-                    'Accept': 'text/html,application/xhtml+xml',
-                    'Accept-Language': 'en-GB,en;q=0.9',
-                },
-            }, (res) => {
-                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                    res.resume();
-                    if (++redirects > AUTO_FETCH_MAX_REDIRECTS) {
-                        return done(new Error('Too many redirects'));
-                    }
-                    let next;
-                    try {
-                        next = new URL(res.headers.location, requestUrl).toString();
-                    } catch (e) {
-                        return done(new Error('Bad redirect target'));
-                    }
-                    return doRequest(next);
-                }
-                if (res.statusCode !== 200) {
-                    res.resume();
-                    return done(new Error(`HTTP ${res.statusCode}`));
-                }
-
-                let data = '';
-                let bytes = 0;
-                res.setEncoding('utf8');
-                res.on('data', (chunk) => {
-                    bytes += Buffer.byteLength(chunk, 'utf8');
-                    if (bytes <= AUTO_FETCH_MAX_BYTES) {
-                        data += chunk;
-                    } else {
-                        // Head metadata is long past by now — keep what we have and
-                        // stop reading. Settle first: destroy() raises 'aborted' on
-                        // the request, which would otherwise be read as a failure.
-                        done(null, { html: data, finalUrl: requestUrl });
-                        res.destroy();
-                    }
-                });
-                res.on('end', () => done(null, { html: data, finalUrl: requestUrl }));
-                res.on('error', err => done(err));
-            });
-
-            req.setTimeout(AUTO_FETCH_TIMEOUT_MS, () => {
-                req.destroy(new Error(`Timed out after ${AUTO_FETCH_TIMEOUT_MS}ms`));
-            });
-            req.on('error', err => done(err));
-        };
-
-        doRequest(url);
+async function fetchPage(url) {
+    const { text, finalUrl } = await fetchWithCaps(url, {
+        headers: BROWSER_HEADERS,
+        timeoutMs: AUTO_FETCH_TIMEOUT_MS,
+        maxBytes: AUTO_FETCH_MAX_BYTES,
+        maxRedirects: AUTO_FETCH_MAX_REDIRECTS,
+        truncate: true,
     });
+    return { html: text, finalUrl };
 }
 
 /**
@@ -448,7 +340,7 @@ function needsAutoFetch(key, enrichment, autoEnrichment, refreshAll) {
     if (refreshAll) return true;
     if (!auto) return true;
     if (auto.failed) {
-        const age = Date.now() - Date.parse(auto.checked_at);
+        const age = now().getTime() - Date.parse(auto.checked_at);
         return !(age >= 0) || age > AUTO_FAILED_RETRY_DAYS * 24 * 60 * 60 * 1000;
     }
     return false;
@@ -495,7 +387,7 @@ async function buildAutoEnrichment(items, enrichment, previousAuto, refreshAll)
             console.warn(`    ${item.key}: keeping the previous auto entry.`);
             auto[item.key] = previous;
         } else {
-            auto[item.key] = { failed: true, checked_at: new Date().toISOString() };
+            auto[item.key] = { failed: true, checked_at: now().toISOString() };
             console.warn(`    ${item.key}: recorded as failed; retry in ${AUTO_FAILED_RETRY_DAYS} days.`);
         }
     }
@@ -551,40 +443,19 @@ function generateCard(item, enrichment, autoEnrichment, index) {
     const labelText = (brandLabel && !flatten(titleLabel).includes(flatten(brandLabel)))
         ? `${brandLabel} ${titleLabel}`
         : titleLabel;
-    const alt = escapeHtml(labelText);
-    const comment = labelText.replace(/--+/g, '-');
-
-    const lines = [];
-    lines.push(`            <!-- ${index + 1}. ${comment} -->`);
-    lines.push('            <div class="product-card reveal">');
-    if (image) {
-        lines.push('                <div class="product-card__img-wrap">');
-        lines.push(`                    <img class="product-card__img" src="${escapeHtml(image)}" alt="${alt}" loading="lazy">`);
-        lines.push('                </div>');
-    }
-    lines.push('                <div class="product-card__body">');
-    if (brandHtml) {
-        lines.push(`                    <p class="product-card__brand">${brandHtml}</p>`);
-    }
-    lines.push(`                    <h3 class="product-card__title">${titleHtml}</h3>`);
-    if (descHtml) {
-        lines.push(`                    <p class="product-card__desc">${descHtml}</p>`);
-    }
-    if (item.code) {
-        lines.push('                    <div class="product-card__discount">');
-        lines.push(`                        <span class="product-card__code">Use code: ${escapeHtml(item.code)}</span>`);
-        lines.push('                    </div>');
-    }
-    lines.push('                    <div class="product-card__actions">');
-    lines.push(`                        <a href="${escapeHtml(href)}" class="btn btn--teal" target="_blank" rel="sponsored noopener">Shop now &rarr;</a>`);
-    if (reviewHref) {
-        lines.push(`                        <a href="${escapeHtml(reviewHref)}" class="product-card__review">Read the review &rarr;</a>`);
-    }
-    lines.push('                    </div>');
-    lines.push('                </div>');
-    lines.push('            </div>');
 
-    return lines.join('\n');
+    return renderTemplate('wellness-tools/product-card.html', {
+        number: index + 1,
+        comment: labelText.replace(/--+/g, '-'),
+        alt: labelText,
+        image,
+        brandHtml,
+        titleHtml,
+        descHtml,
+        code: item.code || '',
+        href,
+        reviewHref,
+    });
 }
 
 /**
@@ -619,12 +490,17 @@ function generateSchema(items, enrichment, autoEnrichment) {
         }),
     };
 
-    const json = JSON.stringify(list, null, 4)
-        .split('\n')
-        .map(line => '    ' + line)
-        .join('\n');
+    return renderJsonLd(list);
+}
 
-    return '    <script type="application/ld+json">\n' + json + '\n    </script>';
+/**
+ * wellness-tools.html with its product cards and ItemList structured data
+ * rebuilt for `items`, or null when either pair of markers is missing.
+ */
+function renderWellnessTools(pageHtml, items, enrichment, autoEnrichment) {
+    const cardsHtml = items.map((item, i) => generateCard(item, enrichment, autoEnrichment, i)).join('\n\n');
+    const withCards = replaceSection(pageHtml, CARD_START, CARD_END, cardsHtml);
+    return withCards && replaceSection(withCards, SCHEMA_START, SCHEMA_END, generateSchema(items, enrichment, autoEnrichment));
 }
 
 // ── Main Sync Logic ─────────────────────────────────────────────────────────
@@ -632,23 +508,27 @@ function generateSchema(items, enrichment, autoEnrichment) {
 async function main() {
     const seedMode = process.argv.includes('--seed');
     const refreshAuto = process.argv.includes('--refresh-auto');
+    if (process.argv.includes('--dry-run')) {
+        enableDryRun();
+        console.log('--dry-run: nothing will be written.');
+    }
 
-    if (!fs.existsSync(PAGE_PATH)) {
+    if (!fileExists(PAGE_PATH)) {
         console.error(`wellness-tools.html not found at ${PAGE_PATH}`);
         process.exit(1);
     }
 
     // Load or create manifest (enrichment is never pruned).
     let manifest = { synced_at: null, items: [], enrichment: {}, auto_enrichment: {} };
-    const manifestExisted = fs.existsSync(MANIFEST_PATH);
+    const manifestExisted = fileExists(MANIFEST_PATH);
     if (manifestExisted) {
-        manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+        manifest = loadManifest(MANIFEST_PATH, manifest);
         manifest.enrichment = manifest.enrichment || {};
         manifest.auto_enrichment = manifest.auto_enrichment || {};
         manifest.items = manifest.items || [];
     }
 
-    const pageHtml = fs.readFileSync(PAGE_PATH, 'utf8');
+    const pageHtml = readFile(PAGE_PATH);
 
     // ── Seed mode: harvest existing hand-written cards, write manifest, stop ────
 
@@ -661,7 +541,7 @@ async function main() {
         }
         manifest.enrichment = Object.assign({}, manifest.enrichment, seeded);
         manifest.synced_at = manifest.synced_at || null;
-        fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+        saveManifest(MANIFEST_PATH, manifest);
         console.log(`Seeded ${keys.length} enrichment entrie(s): ${keys.join(', ')}`);
         console.log(`  ${keys.filter(k => seeded[k].url).length} carried a tracked url; ${keys.filter(k => seeded[k].review_href).length} carried a review link.`);
         return;
@@ -715,29 +595,22 @@ async function main() {
 
     // ── Render, verifying both marker pairs before writing anything ──────────
 
-    const cardsHtml = items.map((item, i) => generateCard(item, enrichment, autoEnrichment, i)).join('\n\n');
-    const schemaHtml = generateSchema(items, enrichment, autoEnrichment);
-
-    const withCards = replaceSection(pageHtml, CARD_START, CARD_END, cardsHtml);
-    if (!withCards) {
-        console.error(`Could not find ${CARD_START} / ${CARD_END} markers in wellness-tools.html. No files written.`);
-        process.exit(1);
-    }
-
-    const withSchema = replaceSection(withCards, SCHEMA_START, SCHEMA_END, schemaHtml);
+    const withSchema = renderWellnessTools(pageHtml, items, enrichment, autoEnrichment);
     if (!withSchema) {
-        console.error(`Could not find ${SCHEMA_START} / ${SCHEMA_END} markers in wellness-tools.html. No files written.`);
+        console.error('Could not find the WELLNESS-TOOLS markers in wellness-tools.html. No files written.');
         process.exit(1);
     }
 
     // ── Write ───────────────────────────────────────────────────────────────
 
+    summarizeChanges('Products', manifest.items, items, i => i.key, i => `${i.key} "${i.title}"`);
+
     const itemsChanged = JSON.stringify(items) !== JSON.stringify(manifest.items);
     const autoChanged = JSON.stringify(autoEnrichment) !== JSON.stringify(sortedByKey(manifest.auto_enrichment));
     const htmlChanged = withSchema !== pageHtml;
 
     if (htmlChanged) {
-        fs.writeFileSync(PAGE_PATH, withSchema, 'utf8');
+        writeFile(PAGE_PATH, withSchema);
         console.log('  Updated wellness-tools.html.');
     } else {
         console.log('  wellness-tools.html already up to date.');
@@ -747,16 +620,18 @@ async function main() {
     // deliberately left untouched otherwise, so an unchanged run produces no file
     // writes at all and the workflow has nothing to commit.
     if (itemsChanged || autoChanged || !manifestExisted) {
-        manifest.synced_at = new Date().toISOString();
+        manifest.synced_at = now().toISOString();
         manifest.items = items;
         manifest.enrichment = enrichment;
         manifest.auto_enrichment = autoEnrichment;
-        fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+        saveManifest(MANIFEST_PATH, manifest);
         console.log('Manifest updated.');
     } else {
         console.log('No changes — linktree-manifest.json is already up to date (synced_at left as-is).');
     }
 
+    updateSitemap();
+
     console.log(`WELLNESS_TOOLS_CHANGED=${itemsChanged || autoChanged}`);
 
     const bare = items.filter(i => {
@@ -770,7 +645,28 @@ async function main() {
     console.log(`Sync complete! ${items.length} wellness tool(s).`);
 }
 
-main().catch(err => {
-    console.error('Sync failed:', err);
-    process.exit(1);
-});
+module.exports = {
+    domainKey,
+    isSkippedHost,
+    parseTitle,
+    extractNextData,
+    getLinkArray,
+    selectProductLinks,
+    toItem,
+    seedEnrichmentFromPage,
+    extractMetaTags,
+    extractShareMeta,
+    needsAutoFetch,
+    resolveCard,
+    generateCard,
+    generateSchema,
+    renderWellnessTools,
+    main,
+};
+
+if (require.main === module) {
+    main().then(reportDryRun).catch(err => {
+        console.error('Sync failed:', err);
+        process.exit(1);
+    });
+}
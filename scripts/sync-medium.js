@@ -2,64 +2,87 @@
  * Medium → Holistique UK Blog Sync
  *
  * Fetches the RSS feed from Medium, detects new posts not yet in posts-manifest.json,
- * generates individual HTML post pages, and inserts article cards into blog-post.html.
+ * generates individual HTML post pages at journal/<slug>.html, and re-renders the
+ * Journal index (blog-post.html), its archive pages (journal/page/) and category
+ * pages (journal/category/) from the manifest: see "Blog Index" below. See
+ * "Post URLs" for slugs and the redirects left at the old post-N.html paths.
+ *
+ * Posts it has synced keep a `contentHash` of their feed item. When Yvonne edits
+ * a post on Medium the hash changes, its page is rebuilt in place and the post
+ * gets an `updatedAt` for the feeds. A synced post that disappears from the feed
+ * while newer than its oldest item has been unpublished: it gets `unpublishedAt`
+ * and a warning, and drops out of the sitemap, feeds and search index. With
+ * --remove-unpublished it also leaves the Journal and its page becomes a redirect
+ * there (`removedAt`). If the post comes back, both are undone.
+ *
+ * Images are self-hosted: see "Self-Hosted Images" below. Post bodies pass
+ * through the allow-list in lib/sanitize-html.js before they are written, and
+ * anything it strips is reported.
  *
  * Run: node scripts/sync-medium.js
+ *      node scripts/sync-medium.js --remove-unpublished
+ *
+ * Preview without writing anything (prints a unified diff of every file that
+ * would change, plus a summary of added and changed posts):
+ *      node scripts/sync-medium.js --dry-run
+ *
+ * Optional env vars:
+ *   MEDIUM_RSS_URL    — feed to read instead of Medium's (tests point it at
+ *                       scripts/mock-server.js)
+ *   MEDIUM_IMAGE_CDN  — image resizer to download from instead of
+ *                       https://miro.medium.com/v2 (likewise)
  */
 
-const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const {
+    fetchText,
+    fetchBuffer,
+    escapeHtml,
+    decodeHtmlEntities,
+    stripHtml,
+    renderJsonLd,
+    SITE_ROOT,
+    now,
+    enableDryRun,
+    readFile,
+    fileExists,
+    writeFile,
+    removeFile,
+    loadManifest,
+    replaceSection,
+    relativeUrl,
+    relocateUrls,
+    serializeManifest,
+    writeFileIfChanged,
+    summarizeChanges,
+    reportDryRun,
+} = require('./lib/sync-core');
+const { imageSize } = require('./lib/image-size');
+const { safeUrl, sanitizeHtml, summarizeRemoved } = require('./lib/sanitize-html');
+const { JOURNAL_DIR, slugify, indexedPosts, journalPages } = require('./lib/journal-pages');
+const { toW3cDate, updateSitemap } = require('./build-sitemap');
+const { feedLinkTags, readPostPage, updateFeeds } = require('./build-feeds');
+const { plainText, updateSearchIndex } = require('./build-search-index');
+const { renderTemplate } = require('./lib/templates');
 
-const ROOT = path.resolve(__dirname, '..');
+const ROOT = SITE_ROOT;
 const MANIFEST_PATH = path.join(ROOT, 'posts-manifest.json');
 const BLOG_LIST_PATH = path.join(ROOT, 'blog-post.html');
-const RSS_URL = 'https://medium.com/feed/@yvonne.holistique';
-
-// ─── Helpers ────────────────────────────────────────────────────────────────
-
-function fetch(url) {
-    return new Promise((resolve, reject) => {
-        const doRequest = (requestUrl) => {
-            https.get(requestUrl, { headers: { 'User-Agent': 'HolistiqueSync/1.0' } }, (res) => {
-                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                    doRequest(res.headers.location);
-                    return;
-                }
-                if (res.statusCode !== 200) {
-                    reject(new Error(`HTTP ${res.statusCode}`));
-                    return;
-                }
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => resolve(data));
-            }).on('error', reject);
-        };
-        doRequest(url);
-    });
-}
+const RSS_URL = process.env.MEDIUM_RSS_URL || 'https://medium.com/feed/@yvonne.holistique';
+const SITE_BASE_URL = 'https://holistiqueuk.com';
+const SITE_NAME = 'Holistique UK';
+const AUTHOR_NAME = 'Yvonne Liang';
+const DEFAULT_OG_IMAGE = `${SITE_BASE_URL}/og-image.jpg?v=1`;
+const IMAGE_CDN = (process.env.MEDIUM_IMAGE_CDN || 'https://miro.medium.com/v2').replace(/\/$/, '');
+const PHOTOS_DIR = 'photos';
+const IMAGE_WIDTHS = [700, 1400];
 
-function escapeHtml(str) {
-    return str
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;');
-}
-
-function decodeHtmlEntities(str) {
-    return str
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&#39;/g, "'")
-        .replace(/&mdash;/g, '\u2014')
-        .replace(/&hellip;/g, '\u2026')
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&#x([0-9A-Fa-f]+);/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
-        .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)));
-}
+// Where each kind of image is shown: the src width to pick and the srcset sizes.
+const HERO_IMAGE = { maxWidth: 1400, sizes: '100vw' };
+const CARD_IMAGE = { maxWidth: 700, sizes: '(max-width: 768px) 100vw, 50vw' };
+const BODY_IMAGE = { maxWidth: 1400, sizes: '(max-width: 720px) 100vw, 656px' };
 
 // ─── RSS Parsing (basic XML extraction, no dependencies) ────────────────────
 
@@ -140,13 +163,41 @@ function extractSubtitle(html) {
     return excerpt;
 }
 
-function cleanBodyHtml(html) {
+/** An <img> tag's alt text as plain text, or '' when it has none. */
+function imageAlt(imgTag) {
+    const m = imgTag.match(/\balt=(?:"([^"]*)"|'([^']*)')/);
+    return m ? decodeHtmlEntities(m[1] !== undefined ? m[1] : m[2]).replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Take out the image that becomes the hero — the first one in the post — along
+ * with its figure when it has one.
+ */
+function removeHeroImage(html) {
+    const imgIdx = html.search(/<img\b/);
+    if (imgIdx === -1) return html;
+    const figStart = html.lastIndexOf('<figure', imgIdx);
+    const figEnd = figStart === -1 ? -1 : html.indexOf('</figure>', figStart);
+    if (figEnd > imgIdx) return html.slice(0, figStart) + html.slice(figEnd + '</figure>'.length);
+    return html.replace(/<img[^>]*>/, '');
+}
+
+/**
+ * Article body from Medium's content:encoded. Figures keep their <figcaption>;
+ * an image with no alt text of its own is described by its caption, else by
+ * `title` (the post's). Embeds are converted (see Embeds), dividers become the
+ * .separator element, and <pre> code blocks pass through untouched.
+ */
+function cleanBodyHtml(html, title = '') {
     // Remove the first image (it becomes the hero)
-    let body = html.replace(/<figure[\s\S]*?<\/figure>/, '');
-    // If no figure, remove first standalone img
-    if (body === html) {
-        body = html.replace(/<img[^>]*>/, '');
-    }
+    let body = removeHeroImage(html);
+
+    // Set code blocks aside so none of the clean-up below can touch them.
+    const codeBlocks = [];
+    body = body.replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/g, (_, code) => {
+        codeBlocks.push(`<pre>${code.replace(/<br\s*\/?>/g, '\n')}</pre>`);
+        return `\u0000${codeBlocks.length - 1}\u0000`;
+    });
 
     // Clean up Medium-specific markup
     body = body
@@ -158,23 +209,45 @@ function cleanBodyHtml(html) {
         .replace(/ class="[^"]*"/g, '')
         // Remove id attributes
         .replace(/ id="[^"]*"/g, '')
-        // Clean up figure/figcaption into simple images
+        // Reduce figures to the image (or embed) and its caption
         .replace(/<figure[^>]*>([\s\S]*?)<\/figure>/g, (_, inner) => {
             const imgM = inner.match(/<img[^>]+src=["']([^"']+)["'][^>]*>/);
             const capM = inner.match(/<figcaption[^>]*>([\s\S]*?)<\/figcaption>/);
-            if (imgM) {
-                let result = `<img src="${imgM[1]}" alt="">`;
-                if (capM) result += `\n<p><em>${capM[1].replace(/<[^>]+>/g, '')}</em></p>`;
-                return result;
-            }
-            return inner;
+            const iframeM = inner.match(/<iframe[\s\S]*?<\/iframe>/);
+            if (iframeM) return convertEmbed(iframeM[0], capM ? capM[1].trim() : '');
+            if (!imgM) return inner;
+            const caption = capM ? capM[1].trim() : '';
+            const captionText = decodeHtmlEntities(stripHtml(caption)).replace(/\s+/g, ' ');
+            const alt = imageAlt(imgM[0]) || captionText || title;
+            const figcaption = caption ? `<figcaption>${caption}</figcaption>` : '';
+            return `<figure><img src="${imgM[1]}" alt="${escapeHtml(alt)}">${figcaption}</figure>`;
         })
+        // Embeds outside a figure
+        .replace(/<iframe[\s\S]*?<\/iframe>/g, iframe => convertEmbed(iframe))
         // Convert h3 to h2 (Medium uses h3 for sections)
         .replace(/<h3/g, '<h2').replace(/<\/h3>/g, '</h2>')
         // Add separator divs between major sections
+        .replace(/<hr[^>]*>/g, SEPARATOR_HTML)
+        .replace(TYPED_DIVIDER, SEPARATOR_HTML)
         .trim();
 
-    return body;
+    return body.replace(/\u0000(\d+)\u0000/g, (_, i) => codeBlocks[i]);
+}
+
+/**
+ * src of every image in a cleaned body whose alt text says nothing of its own:
+ * empty, or only the post title it fell back to. Medium's 1x1 tracking pixel and
+ * decorative images (video posters) are not content and are not counted.
+ */
+function imagesWithoutAlt(bodyHtml, title) {
+    return (bodyHtml.match(/<img\b[^>]*>/g) || [])
+        .filter(tag => !(/\bwidth="1"/.test(tag) && /\bheight="1"/.test(tag)))
+        .filter(tag => !/\brole="presentation"/.test(tag))
+        .filter((tag) => {
+            const alt = imageAlt(tag);
+            return !alt || alt === title;
+        })
+        .map(tag => decodeHtmlEntities((tag.match(/\bsrc="([^"]*)"/) || [])[1] || ''));
 }
 
 function estimateReadTime(html) {
@@ -183,6 +256,12 @@ function estimateReadTime(html) {
     return Math.max(2, Math.ceil(words / 200));
 }
 
+/** RSS pubDate -> ISO 8601 for structured data, or '' when it does not parse. */
+function toIsoDate(dateStr) {
+    const d = new Date(dateStr);
+    return isNaN(d.getTime()) ? '' : d.toISOString();
+}
+
 function formatDate(dateStr) {
     const d = new Date(dateStr);
     const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
@@ -200,172 +279,1044 @@ function pickCategory(categories) {
     return 'Journal';
 }
 
+// ─── Embeds ─────────────────────────────────────────────────────────────────
+
+/*
+ * Medium's feed carries embeds as iframes, mostly through Embedly
+ * (cdn.embedly.com/widgets/media.html?url=…&display_name=…), sometimes with no
+ * src at all and only a medium.com/media/… link inside. None of them load third
+ * party code on our pages:
+ *      YouTube, Vimeo  a poster that swaps in a youtube-nocookie / dnt=1 player
+ *                      when clicked (the script in generatePostHtml), and links
+ *                      out without JavaScript
+ *      anything else   tweets, gists and the rest become a link to the original
+ */
+
+/** Where an embed points: { url, provider }, or null when there is nothing to link to. */
+function embedTarget(iframeHtml) {
+    const src = decodeHtmlEntities((iframeHtml.match(/<iframe[^>]*\bsrc="([^"]*)"/) || [])[1] || '');
+    const fallback = decodeHtmlEntities((iframeHtml.match(/<a[^>]*\bhref="([^"]*)"/) || [])[1] || '');
+    let url;
+    try {
+        url = new URL(src);
+    } catch {
+        return fallback ? { url: fallback, provider: '' } : null;
+    }
+    if (url.hostname === 'cdn.embedly.com') {
+        const target = url.searchParams.get('url') || url.searchParams.get('src');
+        if (!target) return fallback ? { url: fallback, provider: '' } : null;
+        return { url: target, provider: url.searchParams.get('display_name') || '' };
+    }
+    return { url: src, provider: '' };
+}
+
+function youtubeId(url) {
+    const m = url.match(/^https?:\/\/(?:www\.|m\.)?(?:youtube(?:-nocookie)?\.com\/(?:embed\/|shorts\/|watch\?(?:[^#]*&)?v=)|youtu\.be\/)([\w-]{11})/);
+    return m ? m[1] : '';
+}
+
+function vimeoId(url) {
+    const m = url.match(/^https?:\/\/(?:www\.|player\.)?vimeo\.com\/(?:video\/)?(\d+)/);
+    return m ? m[1] : '';
+}
+
+/**
+ * Click-to-load video: nothing is fetched from the video host until the reader
+ * asks, not even a thumbnail. Until then the frame is a plain placeholder with a
+ * play button, styled by the post page.
+ */
+function renderVideoEmbed({ player, href, label }) {
+    return `<div class="embed__frame" data-embed-src="${escapeHtml(player)}" data-embed-title="${escapeHtml(label)}">` +
+        `<a class="embed__poster" href="${escapeHtml(href)}" target="_blank" rel="noopener" aria-label="Play video: ${escapeHtml(label)}">` +
+        '<span class="embed__play" aria-hidden="true"></span></a></div>';
+}
+
+function linkLabel(url, provider) {
+    const tweet = url.match(/^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/(\w+)\/status\/\d+/);
+    if (tweet) return `View @${tweet[1]}'s post on X`;
+    if (/^https?:\/\/gist\.github\.com\//.test(url)) return 'View the code on GitHub Gist';
+    if (/^https?:\/\/medium\.com\/media\//.test(url)) return 'View the embedded content';
+    let host = '';
+    try {
+        host = new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        // fall through to the provider name
+    }
+    return `View on ${provider || host}`;
+}
+
+/**
+ * Safe replacement for one Medium embed (the iframe element, with its caption's
+ * HTML), as a <figure>; '' when it points nowhere.
+ */
+function convertEmbed(iframeHtml, caption = '') {
+    const target = embedTarget(iframeHtml);
+    if (!target || !/^https?:\/\//.test(target.url)) return '';
+    const figcaption = caption ? `<figcaption>${caption}</figcaption>` : '';
+    const label = decodeHtmlEntities(stripHtml(caption)).replace(/\s+/g, ' ') || `${target.provider || 'Embedded'} video`;
+
+    const youtube = youtubeId(target.url);
+    if (youtube) {
+        return `<figure class="embed embed--video">${renderVideoEmbed({
+            player: `https://www.youtube-nocookie.com/embed/${youtube}?autoplay=1`,
+            href: `https://www.youtube.com/watch?v=${youtube}`,
+            label: caption ? label : 'YouTube video',
+        })}${figcaption}</figure>`;
+    }
+
+    const vimeo = vimeoId(target.url);
+    if (vimeo) {
+        return `<figure class="embed embed--video">${renderVideoEmbed({
+            player: `https://player.vimeo.com/video/${vimeo}?dnt=1&autoplay=1`,
+            href: `https://vimeo.com/${vimeo}`,
+            label: caption ? label : 'Vimeo video',
+        })}${figcaption}</figure>`;
+    }
+
+    return `<figure class="embed embed--link"><a href="${escapeHtml(target.url)}" target="_blank" rel="noopener">` +
+        `${escapeHtml(linkLabel(target.url, target.provider))}</a>${figcaption}</figure>`;
+}
+
+/** A paragraph that is only a run of asterisks, dots or dashes: a hand-typed section break. */
+const TYPED_DIVIDER = /<p[^>]*>\s*(?:[*·•⁂~\-–—]\s*){3,}<\/p>/g;
+const SEPARATOR_HTML = '<div class="separator">&middot; &middot; &middot;</div>';
+
+// ─── Self-Hosted Images ─────────────────────────────────────────────────────
+
+/*
+ * Every image a synced post shows is downloaded from Medium's CDN into photos/,
+ * once per width in IMAGE_WIDTHS, under a name taken from a hash of its bytes.
+ * posts-manifest.json keeps them under `images`, keyed by Medium's image id, so
+ * later syncs reuse what is already on disk. The pages then serve the local
+ * copies with width/height and a srcset; an image that fails to download keeps
+ * its Medium URL until the next run.
+ */
+
+/** Medium's id for an image on its CDN (the last path segment), or '' for any other URL. */
+function mediumImageId(src) {
+    let u;
+    try {
+        u = new URL(src);
+    } catch {
+        return '';
+    }
+    if (!/^(?:miro|cdn-images-\d+)\.medium\.com$/.test(u.hostname)) return '';
+    const id = decodeURIComponent(u.pathname.split('/').pop() || '');
+    return /^\d*$/.test(id) ? '' : id;
+}
+
+function imageVariantUrl(id, width) {
+    return `${IMAGE_CDN}/resize:fit:${width}/${encodeURIComponent(id)}`;
+}
+
+/** Fetch every width of one image into photos/ and resolve with its manifest record. */
+async function downloadImage(id) {
+    const variants = [];
+    for (const width of IMAGE_WIDTHS) {
+        const data = await fetchBuffer(imageVariantUrl(id, width));
+        const size = imageSize(data);
+        if (!size) throw new Error(`the ${width}px download is not a JPEG, PNG, GIF or WebP image`);
+        // Medium does not upscale: a small original comes back as-is at every width.
+        if (variants.length > 0 && size.width <= variants[variants.length - 1].width) continue;
+
+        const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+        const file = `${PHOTOS_DIR}/${hash}.${size.type}`;
+        if (!fileExists(path.join(ROOT, file))) writeFile(path.join(ROOT, file), data);
+        variants.push({ file, width: size.width, height: size.height });
+    }
+    return { variants };
+}
+
+/**
+ * Self-host every Medium image in a post's HTML. Resolves with a Map of image id
+ * to manifest record for the ones available locally; new downloads are added to
+ * manifest.images.
+ */
+async function selfHostImages(html, manifest) {
+    manifest.images = manifest.images || {};
+    const images = new Map();
+    const seen = new Set();
+    for (const [, src] of html.matchAll(/<img[^>]+src=["']([^"']+)["']/g)) {
+        const id = mediumImageId(decodeHtmlEntities(src));
+        if (!id || seen.has(id)) continue;
+        seen.add(id);
+
+        const known = manifest.images[id];
+        if (known && known.variants.every(v => fileExists(path.join(ROOT, v.file)))) {
+            images.set(id, known);
+            continue;
+        }
+        try {
+            manifest.images[id] = await downloadImage(id);
+            images.set(id, manifest.images[id]);
+            console.log(`  Downloaded image ${id} (${manifest.images[id].variants.map(v => `${v.width}w`).join(', ')})`);
+        } catch (err) {
+            console.warn(`  Warning: Could not download image ${id}: ${err.message}. Keeping the Medium URL.`);
+        }
+    }
+    return images;
+}
+
+/**
+ * Self-host the images of posts already in the manifest: posts synced before
+ * images were, or whose downloads failed. Covers each live post's card image and
+ * the images on pages the post template rendered; hand-made pages are left to
+ * themselves. Resolves with the number of images downloaded.
+ */
+async function backfillImages(manifest) {
+    const before = Object.keys(manifest.images || {}).length;
+    const html = indexedPosts(manifest.posts || []).map((post) => {
+        const page = readFile(path.join(ROOT, post.file));
+        return (post.image ? `<img src="${escapeHtml(post.image)}">` : '') +
+            (page && page.includes(POST_TEMPLATE_MARK) ? page : '');
+    }).join('\n');
+    await selfHostImages(html, manifest);
+    return Object.keys(manifest.images).length - before;
+}
+
+/**
+ * The src and extra <img> attributes for an image in a given slot: the widest
+ * local copy up to `maxWidth` (or the narrowest there is), its dimensions, and a
+ * srcset of every width. Images with no local copy pass through unchanged.
+ */
+function selfHostedImage(src, images, { maxWidth, sizes }) {
+    const record = images.get(mediumImageId(decodeHtmlEntities(src)));
+    if (!record) return { src, attrs: '' };
+    const fitting = record.variants.filter(v => v.width <= maxWidth);
+    const chosen = fitting.length > 0 ? fitting[fitting.length - 1] : record.variants[0];
+    let attrs = ` width="${chosen.width}" height="${chosen.height}"`;
+    if (record.variants.length > 1) {
+        attrs += ` srcset="${record.variants.map(v => `${v.file} ${v.width}w`).join(', ')}" sizes="${sizes}"`;
+    }
+    return { src: chosen.file, attrs };
+}
+
+/** Point every Medium image in article HTML at its local copy. */
+function localizeImages(html, images, slot) {
+    return html.replace(/<img\b([^>]*?)\ssrc="([^"]*)"([^>]*)>/g, (whole, before, src, after) => {
+        const local = selfHostedImage(src, images, slot);
+        if (!local.attrs) return whole;
+        const strip = attrs => attrs.replace(/\s(?:width|height|srcset|sizes)="[^"]*"/g, '');
+        return `<img${strip(before)} src="${local.src}"${local.attrs}${strip(after)}>`;
+    });
+}
+
 // ─── HTML Generators ────────────────────────────────────────────────────────
 
-function generatePostHtml({ title, subtitle, category, date, readTime, heroImage, bodyHtml }) {
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${escapeHtml(title)} — Holistique UK</title>
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=Marcellus&family=Inter:wght@300;400;500;600&family=JetBrains+Mono:wght@400&display=swap" rel="stylesheet">
-    <style>
-        *, *::before, *::after { margin: 0; padding: 0; box-sizing: border-box; }
-        html { font-size: 16px; -webkit-font-smoothing: antialiased; }
-        body { font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; font-weight: 300; font-size: 18px; background: #FFFFFF; color: #111827; line-height: 1.8; overflow-x: hidden; opacity: 0; transition: opacity 0.6s ease; }
-        body.loaded { opacity: 1; }
-        a { text-decoration: none; color: inherit; } img { display: block; max-width: 100%; }
-        .site-header { position: sticky; top: 0; z-index: 100; height: 80px; background: #FFFFFF; border-bottom: 1px solid #E5E7EB; display: flex; align-items: center; }
-        .header-inner { display: flex; align-items: center; justify-content: space-between; width: 100%; max-width: 1280px; margin: 0 auto; padding: 0 32px; }
-        .header-logo a { font-family: 'Inter', sans-serif; font-weight: 500; font-size: 14px; text-transform: uppercase; letter-spacing: 0.2em; color: #111827; transition: opacity 200ms; }
-        .header-logo a:hover { opacity: 0.7; }
-        .header-nav { display: flex; align-items: center; gap: 32px; }
-        .header-nav a { font-family: 'Inter', sans-serif; font-weight: 500; font-size: 12px; text-transform: uppercase; letter-spacing: 0.1em; color: #9CA3AF; transition: color 200ms; }
-        .header-nav a:hover { color: #111827; }
-        .article-hero { width: 100%; max-height: 560px; overflow: hidden; }
-        .article-hero img { width: 100%; height: 560px; object-fit: cover; }
-        .article-container { max-width: 720px; margin: 0 auto; padding: 48px 32px 80px; }
-        .article-category { display: inline-block; background: #F3F4F6; padding: 4px 12px; font-family: 'Inter', sans-serif; font-weight: 500; font-size: 11px; text-transform: uppercase; letter-spacing: 0.1em; color: #111827; }
-        .article-title { font-family: 'Marcellus', Georgia, serif; font-size: clamp(2rem, 5vw, 3rem); line-height: 1.15; margin-top: 16px; color: #111827; }
-        .article-subtitle { font-weight: 300; font-size: 1.25rem; color: #6B7280; margin-top: 16px; line-height: 1.5; padding-left: 16px; border-left: 2px solid #E5E7EB; }
-        .article-meta { font-family: 'JetBrains Mono', monospace; font-size: 12px; color: #9CA3AF; text-transform: uppercase; letter-spacing: 0.05em; margin-top: 24px; padding-bottom: 32px; border-bottom: 1px solid #E5E7EB; }
-        .article-body { margin-top: 40px; }
-        .article-body p { margin-bottom: 24px; font-size: 18px; line-height: 1.8; color: #374151; }
-        .article-body p strong { font-weight: 600; color: #111827; }
-        .article-body p em { font-style: italic; color: #6B7280; }
-        .article-body h2 { font-family: 'Marcellus', Georgia, serif; font-size: 1.75rem; margin: 48px 0 24px; color: #111827; line-height: 1.2; }
-        .article-body ul { margin: 0 0 24px 0; padding-left: 0; list-style: none; }
-        .article-body ul li { padding: 8px 0 8px 24px; position: relative; font-size: 18px; line-height: 1.8; color: #374151; }
-        .article-body ul li::before { content: ''; position: absolute; left: 0; top: 18px; width: 6px; height: 6px; background: #111827; border-radius: 50%; }
-        .article-body blockquote { margin: 32px 0; padding: 24px 32px; border-left: 3px solid #111827; background: #F9FAFB; font-style: italic; color: #374151; }
-        .article-body .separator { text-align: center; margin: 48px 0; color: #D1D5DB; font-size: 1.5rem; letter-spacing: 0.5em; }
-        .article-body a { color: #111827; text-decoration: underline; text-underline-offset: 3px; text-decoration-thickness: 1px; }
-        .article-body a:hover { color: #6B7280; }
-        .author-bio { margin-top: 64px; padding-top: 32px; border-top: 1px solid #E5E7EB; font-size: 15px; color: #6B7280; line-height: 1.7; }
-        .back-link { display: inline-block; margin-top: 48px; font-family: 'Inter', sans-serif; font-weight: 500; font-size: 13px; text-transform: uppercase; letter-spacing: 0.1em; color: #9CA3AF; transition: color 200ms; }
-        .back-link:hover { color: #111827; }
-        .back-link::before { content: '\\2190\\00a0\\00a0'; }
-        .article-newsletter { margin-top: 48px; padding: 32px; border: 2px solid #111827; text-align: center; }
-        .article-newsletter__heading { font-family: 'Inter', sans-serif; font-weight: 500; font-size: 15px; color: #111827; margin-bottom: 4px; }
-        .article-newsletter__sub { font-size: 14px; color: #6B7280; margin-bottom: 16px; }
-        .article-newsletter__row { display: flex; gap: 8px; }
-        .article-newsletter__row .newsletter-input { flex: 1; border: 1px solid #E5E7EB; background: #F9FAFB; padding: 12px; font-family: 'Inter', sans-serif; font-size: 14px; font-weight: 300; color: #111827; }
-        .article-newsletter__row .newsletter-input::placeholder { color: #9CA3AF; }
-        .article-newsletter__row .newsletter-btn { background: #111827; color: #FFFFFF; text-transform: uppercase; letter-spacing: 0.1em; font-family: 'Inter', sans-serif; font-weight: 500; font-size: 12px; padding: 12px 24px; border: none; cursor: pointer; transition: background 200ms; white-space: nowrap; }
-        .article-newsletter__row .newsletter-btn:hover { background: #000000; }
-        .article-newsletter__row .newsletter-btn:disabled { opacity: 0.6; cursor: not-allowed; }
-        .newsletter-message { margin-top: 8px; font-size: 13px; text-align: center; }
-        .newsletter-message.success { color: #059669; }
-        .newsletter-message.error { color: #DC2626; }
-        @media (max-width: 480px) { .article-newsletter__row { flex-direction: column; } }
-        .site-footer { background: #F9FAFB; border-top: 1px solid #E5E7EB; padding: 32px 0; }
-        .footer-inner { display: flex; justify-content: space-between; align-items: center; max-width: 1280px; margin: 0 auto; padding: 0 32px; }
-        .footer-copy { font-family: 'JetBrains Mono', monospace; font-size: 11px; color: #9CA3AF; text-transform: uppercase; letter-spacing: 0.1em; }
-        .footer-social { display: flex; gap: 20px; }
-        .footer-social a { display: flex; align-items: center; color: #9CA3AF; transition: color 200ms; }
-        .footer-social a:hover { color: #111827; }
-        .footer-social svg { width: 20px; height: 20px; }
-        @media (max-width: 768px) { .header-inner { padding: 0 20px; } .article-container { padding: 32px 20px 64px; } .article-hero img { height: 320px; } .footer-inner { padding: 0 20px; } }
-        @media (max-width: 480px) { .header-inner { padding: 0 16px; } .header-nav { gap: 20px; } .article-container { padding: 24px 16px 48px; } .article-hero img { height: 240px; } .footer-inner { flex-direction: column; gap: 16px; padding: 0 16px; } }
-    </style>
-</head>
-<body>
-    <header class="site-header"><div class="header-inner"><div class="header-logo"><a href="index.html">HOLISTIQUE</a></div><nav class="header-nav"><a href="index.html">Home</a><a href="blog.html">Journal</a><a href="#">About</a></nav></div></header>
-
-    <div class="article-hero">
-        <img src="${heroImage}" alt="${escapeHtml(title)}">
-    </div>
-
-    <article class="article-container">
-        <span class="article-category">${escapeHtml(category)}</span>
-        <h1 class="article-title">${escapeHtml(title)}</h1>
-        <p class="article-subtitle">${escapeHtml(subtitle)}</p>
-        <p class="article-meta">By Yvonne &middot; ${date} &middot; ${readTime} Min Read</p>
-
-        <div class="article-body">
-            ${bodyHtml}
-        </div>
-
-        <div class="author-bio">
-            <p>Yvonne is a former model turned acupuncturist and sound healer. Today she organises holistic events and retreats for her community of conscious souls in London. You can find her on Instagram: <a href="https://instagram.com/yvonne.holistique/" target="_blank">@yvonne.holistique</a></p>
-        </div>
-
-        <div class="article-newsletter">
-            <p class="article-newsletter__heading">Enjoyed this article?</p>
-            <p class="article-newsletter__sub">Get new posts from Yvonne delivered to your inbox.</p>
-            <form id="newsletter-form" onsubmit="return false;">
-                <div class="article-newsletter__row">
-                    <input type="email" class="newsletter-input" placeholder="Your email address" required>
-                    <button type="submit" class="newsletter-btn">Subscribe</button>
-                </div>
-            </form>
-        </div>
-
-        <a href="blog-post.html" class="back-link">Back to Journal</a>
-    </article>
-
-    <footer class="site-footer"><div class="footer-inner"><span class="footer-copy">&copy; 2025 Holistique UK</span><div class="footer-social"><a href="https://instagram.com/yvonne.holistique/" target="_blank" aria-label="Instagram"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="2" width="20" height="20" rx="5"></rect><circle cx="12" cy="12" r="5"></circle><circle cx="17.5" cy="6.5" r="1.5" fill="currentColor" stroke="none"></circle></svg></a><a href="https://medium.com/@yvonne.holistique" target="_blank" aria-label="Medium"><svg viewBox="0 0 24 24" fill="currentColor"><path d="M13.54 12a6.8 6.8 0 01-6.77 6.82A6.8 6.8 0 010 12a6.8 6.8 0 016.77-6.82A6.8 6.8 0 0113.54 12zM20.96 12c0 3.54-1.51 6.42-3.38 6.42-1.87 0-3.39-2.88-3.39-6.42s1.52-6.42 3.39-6.42 3.38 2.88 3.38 6.42M24 12c0 3.17-.53 5.75-1.19 5.75-.66 0-1.19-2.58-1.19-5.75s.53-5.75 1.19-5.75C23.47 6.25 24 8.83 24 12z"/></svg></a></div></div></footer>
-
-    <script>
-    window.addEventListener('DOMContentLoaded', function() {
-        document.body.classList.add('loaded');
-        var SUBSCRIBE_URL = 'https://peter17tu.app.n8n.cloud/webhook/subscribe';
-        var nlForm = document.getElementById('newsletter-form');
-        if (nlForm) {
-            nlForm.addEventListener('submit', function(e) {
-                e.preventDefault();
-                var input = nlForm.querySelector('.newsletter-input');
-                var btn = nlForm.querySelector('.newsletter-btn');
-                var email = input.value.trim();
-                if (!email || !/^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/.test(email)) {
-                    showMsg(nlForm, 'Please enter a valid email address.', 'error'); return;
-                }
-                if (!SUBSCRIBE_URL) { showMsg(nlForm, 'Subscribe is not configured yet.', 'error'); return; }
-                btn.textContent = 'Subscribing...'; btn.disabled = true;
-                fetch(SUBSCRIBE_URL, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ email: email }) })
-                .then(function(r) { return r.json(); })
-                .then(function(d) {
-                    if (d.success) { showMsg(nlForm, 'Welcome aboard! Check your inbox.', 'success'); input.value = ''; }
-                    else { showMsg(nlForm, d.error || 'Something went wrong.', 'error'); }
-                })
-                .catch(function() { showMsg(nlForm, 'Network error. Please try again.', 'error'); })
-                .finally(function() { btn.textContent = 'Subscribe'; btn.disabled = false; });
-            });
+/**
+ * Everything in <head> that makes a post share and rank like the hand-made ones:
+ * description, canonical, Open Graph, Twitter card and BlogPosting structured
+ * data. Fields for the head partial.
+ */
+function postHead({ title, description, category, isoDate, heroImage, file }) {
+    const url = `${SITE_BASE_URL}/${file}`;
+    const image = heroImage ? new URL(heroImage, `${SITE_BASE_URL}/`).toString() : DEFAULT_OG_IMAGE;
+    const schema = {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        'headline': title,
+        'description': description,
+        'image': image,
+        'datePublished': isoDate,
+        'articleSection': category,
+        'author': { '@type': 'Person', 'name': AUTHOR_NAME },
+        'publisher': { '@type': 'Organization', 'name': SITE_NAME, 'url': SITE_BASE_URL },
+        'url': url,
+        'mainEntityOfPage': url,
+    };
+    if (!isoDate) delete schema.datePublished;
+
+    return {
+        title,
+        description,
+        author: AUTHOR_NAME,
+        url,
+        image,
+        ogType: 'article',
+        publishedTime: isoDate || null,
+        section: category,
+        feedLinks: feedLinkTags(),
+        jsonLd: renderJsonLd(schema),
+    };
+}
+
+/** A post page, linking as if from the site root (see relocateUrls()). */
+function generatePostHtml({ title, subtitle, description, category, date, isoDate, readTime, heroImage, heroImageAttrs = '', bodyHtml, file }) {
+    return `${renderTemplate('journal/post.html', {
+        ...postHead({ title, description, category, isoDate, heroImage, file }),
+        subtitle,
+        category,
+        date,
+        readTime,
+        heroImage,
+        heroImageAttrs,
+        bodyHtml,
+        newsletter: { heading: 'Enjoyed this article?', text: 'Get new posts from Yvonne delivered to your inbox.' },
+        relatedPostsCss: RELATED_POSTS_CSS,
+    })}\n`;
+}
+
+function generateCardHtml({ number, file, title, category, excerpt = '', readTime, date, cardImage, cardImageAttrs = '' }) {
+    return `\n${renderTemplate('journal/card.html', { number, file, title, category, excerpt, readTime, date, cardImage, cardImageAttrs })}`;
+}
+
+/** The Journal's hero: the newest post, larger, above the card grid. */
+function generateFeaturedHtml({ file, title, category, excerpt = '', readTime, date, heroImage, heroImageAttrs = '' }) {
+    return renderTemplate('journal/featured.html', { file, title, category, excerpt, readTime, date, heroImage, heroImageAttrs });
+}
+
+/**
+ * Sidebar category list: "All", then each category from journalPages() with its
+ * post count, linking to its page. `active` is the category being shown, if any.
+ */
+function generateCategoryListHtml(categories, active = null) {
+    const total = categories.reduce((sum, c) => sum + c.posts.length, 0);
+    const item = (isActive, category, href, label, count) =>
+        `                            <li${isActive ? ' class="is-active"' : ''} data-category="${escapeHtml(category)}">` +
+        `<a href="${href}"><span>${escapeHtml(label)}</span><span class="count">${count}</span></a></li>`;
+    return [
+        item(active === null, 'all', 'blog-post.html', 'All', total),
+        ...categories.map(c => item(c.category === active, c.category, c.file, c.category, c.posts.length)),
+    ].join('\n');
+}
+
+/** Newer/older links and page numbers under the grid; empty for a single page. */
+function generatePaginationHtml(archive, page) {
+    if (archive.length < 2) return '';
+    const links = archive.map(p => (p.page === page
+        ? `<span class="pagination__page" aria-current="page">${p.page}</span>`
+        : `<a class="pagination__page" href="${p.file}">${p.page}</a>`));
+    if (page > 1) links.unshift(`<a class="pagination__prev" href="${archive[page - 2].file}" rel="prev">&larr; Newer</a>`);
+    if (page < archive.length) links.push(`<a class="pagination__next" href="${archive[page].file}" rel="next">Older &rarr;</a>`);
+    return `                    <nav class="pagination" aria-label="Journal pages">
+${links.map(link => `                        ${link}`).join('\n')}
+                    </nav>`;
+}
+
+/** Heading that takes the featured post's place on archive and category pages. */
+function generateArchiveIntroHtml({ label, heading, intro }) {
+    return `            <div class="archive-intro">
+                <span class="category-tag">${escapeHtml(label)}</span>
+                <h1 class="hero-title">${escapeHtml(heading)}</h1>
+                <p class="hero-excerpt">${escapeHtml(intro)}</p>
+            </div>`;
+}
+
+/**
+ * Stand-in left at a post's old `file`: sends readers and crawlers on to
+ * `target` (a site path) and keeps the old URL out of search results. Used when
+ * Medium no longer publishes the post, and at post-N.html once a post has
+ * `moved` to its slug.
+ */
+function generateRedirectHtml({ title, file, target, moved = false }) {
+    return `${renderTemplate('journal/redirect.html', {
+        title,
+        canonical: `${SITE_BASE_URL}/${target}`,
+        href: relativeUrl(file, target),
+        moved,
+    })}\n`;
+}
+
+// ─── Post URLs ──────────────────────────────────────────────────────────────
+//
+// Posts live at journal/<slug>.html. The slug comes from the Medium URL (the
+// title, if that has none) when the post is first synced, and is kept in the
+// manifest from then on, so a retitle never moves a page. Posts from before
+// slugs were kept at post-N.html; render-pages.js (or failing that the sync)
+// moves each one once and leaves a redirect stub at the old path, as the sync
+// does when a post is taken down.
+
+/**
+ * Slug for a post: Medium's own, minus the id suffix, or else the title's. One
+ * already taken by another post gets -2, -3, ... on the end.
+ */
+function postSlug({ title, mediumUrl, number }, posts = []) {
+    const mediumSlug = urlPath(mediumUrl).split('/').pop().replace(/-[0-9a-f]{8,}$/, '');
+    const base = slugify(mediumUrl ? mediumSlug : '') || slugify(title) || `post-${number}`;
+    const taken = new Set(posts.filter(p => p.number !== number).map(p => p.slug));
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    return slug;
+}
+
+function postFile(slug) {
+    return `${JOURNAL_DIR}/${slug}.html`;
+}
+
+/** A hand-made or pre-slug page moved from `fromFile` to `toFile`: links rebased, self-URLs updated. */
+function movePage(html, fromFile, toFile) {
+    return relocateUrls(html, fromFile, toFile)
+        .split(`${SITE_BASE_URL}/${fromFile}`).join(`${SITE_BASE_URL}/${toFile}`);
+}
+
+/** The pre-slug path of a post, when it had one that is not its current file. */
+function legacyFile(post) {
+    const legacy = `post-${post.number}.html`;
+    return post.number && post.file !== legacy ? legacy : null;
+}
+
+/**
+ * Move each post from before slugs to journal/<slug>.html, leaving a redirect at
+ * post-N.html; the post gets its `slug` and new `file`. Returns the posts moved
+ * and `blogHtml` with its links pointed at their new pages.
+ */
+function migrateToSlugs(manifest, blogHtml) {
+    const moved = [];
+    for (const post of manifest.posts || []) {
+        if (post.slug || post.removedAt) continue;
+        const html = readFile(path.join(ROOT, post.file));
+        if (html === null) {
+            console.warn(`  Warning: ${post.file} not found; "${post.title}" was not moved.`);
+            continue;
         }
-        function showMsg(form, text, type) {
-            var ex = form.querySelector('.newsletter-message'); if (ex) ex.remove();
-            var m = document.createElement('p'); m.className = 'newsletter-message ' + type; m.textContent = text;
-            form.appendChild(m); setTimeout(function() { if (m.parentNode) m.remove(); }, 5000);
+        const slug = postSlug(post, manifest.posts);
+        const file = postFile(slug);
+        writeFile(path.join(ROOT, file), movePage(html, post.file, file));
+        writeFile(path.join(ROOT, post.file), generateRedirectHtml({ title: post.title, file: post.file, target: file, moved: true }));
+        blogHtml = blogHtml.split(`href="${post.file}"`).join(`href="${file}"`);
+        console.log(`  Moved ${post.file} to ${file}.`);
+        Object.assign(post, { slug, file });
+        moved.push(post);
+    }
+    return { moved, blogHtml };
+}
+
+// ─── Tracking Synced Posts ──────────────────────────────────────────────────
+
+/** Medium URL path without query string or trailing slash. */
+function urlPath(url) {
+    try {
+        return new URL(url).pathname.replace(/\/$/, '');
+    } catch {
+        return url || '';
+    }
+}
+
+/**
+ * Medium's post id: the hex suffix of the URL slug. It survives a retitle, which
+ * rewrites the rest of the slug, so it is what ties a feed item to its post.
+ */
+function mediumPostId(url) {
+    const m = urlPath(url).match(/-([0-9a-f]{8,})$/);
+    return m ? m[1] : '';
+}
+
+/** Fingerprint of everything the page and card are rendered from. */
+function contentHash(item) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([item.title, item.categories, item.contentEncoded]))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+/** The manifest post a feed item was synced to, by Medium id (or URL path). */
+function findPost(posts, item) {
+    const id = mediumPostId(item.link);
+    const itemPath = urlPath(item.link);
+    return posts.find(p => (id ? mediumPostId(p.mediumUrl) === id : urlPath(p.mediumUrl) === itemPath)) || null;
+}
+
+/**
+ * Tracked posts (those with a contentHash) that have gone from the feed. The feed
+ * only carries the latest few posts, so one is only counted as unpublished when
+ * it is newer than the oldest item still there; older posts have just scrolled
+ * off. An empty feed proves nothing and yields no candidates.
+ */
+function findUnpublished(posts, items, matched) {
+    // Compared as UTC days (YYYY-MM-DD), so the cutoff is the same on every runner.
+    const days = items.map(i => toW3cDate(toIsoDate(i.pubDate))).filter(Boolean).sort();
+    if (days.length === 0) return [];
+    const oldest = days[0];
+    return posts.filter(p => p.contentHash && !matched.has(p) && toW3cDate(p.date) > oldest);
+}
+
+// ─── Blog Index ─────────────────────────────────────────────────────────────
+//
+// blog-post.html is re-rendered from the manifest on every run, between marker
+// comments: the newest post is featured in the hero, a page of cards follows
+// newest first, and the sidebar lists their categories. Posts that have been
+// taken down (`removedAt`) are left out. The page text for each post is kept
+// in the manifest (`excerpt`, `readTime`, `image`); posts from before that
+// have it read back once from their card or the hero.
+//
+// The older archive pages and the per-category pages (see lib/journal-pages.js)
+// are copies of the rendered blog-post.html with their own sections, title,
+// description and canonical URL, and links rebased for their folder.
+
+const INDEX_SECTIONS = {
+    featured: ['<!-- BLOG-FEATURED-START -->', '<!-- BLOG-FEATURED-END -->'],
+    posts: ['<!-- BLOG-POSTS-START -->', '<!-- BLOG-POSTS-END -->'],
+    pagination: ['<!-- BLOG-PAGINATION-START -->', '<!-- BLOG-PAGINATION-END -->'],
+    categories: ['<!-- BLOG-CATEGORIES-START -->', '<!-- BLOG-CATEGORIES-END -->'],
+};
+
+const JOURNAL_PAGE_DIRS = [`${JOURNAL_DIR}/page`, `${JOURNAL_DIR}/category`];
+
+/**
+ * Fill in `excerpt`, `readTime` and `image` for posts that predate them, from
+ * the post's card (or the hero) on the current page. Returns how many it filled.
+ */
+function backfillIndexFields(posts, blogHtml) {
+    let filled = 0;
+    for (const post of posts) {
+        if (post.excerpt !== undefined || !post.file) continue;
+        const href = post.file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const card = blogHtml.match(new RegExp(`<a href="${href}" class="article-card">([\\s\\S]*?)<\\/a>`));
+        const hero = blogHtml.match(/<div class="hero-grid">[\s\S]*?<p class="hero-author">[\s\S]*?<\/p>/);
+        const html = card ? card[1] : hero && hero[0].includes(`href="${post.file}"`) ? hero[0] : null;
+        if (html === null) continue;
+
+        const grab = (re) => {
+            const m = html.match(re);
+            return m ? decodeHtmlEntities(stripHtml(m[1])).trim() : '';
+        };
+        const readTime = html.match(/(\d+)\s+min read/i);
+        post.excerpt = grab(/<p class="(?:card|hero)-excerpt">([\s\S]*?)<\/p>/);
+        post.readTime = readTime ? Number(readTime[1]) : 1;
+        post.image = decodeHtmlEntities((html.match(/<img[^>]+src="([^"]*)"/) || ['', ''])[1]);
+        filled++;
+    }
+    return filled;
+}
+
+/** Cards for `posts`, self-hosted images swapped in. */
+function renderCards(posts, images) {
+    return posts.map((post) => {
+        const card = selfHostedImage(post.image || '', images, CARD_IMAGE);
+        return generateCardHtml(Object.assign({}, post, { cardImage: card.src, cardImageAttrs: card.attrs })).replace(/^\n/, '');
+    }).join('\n\n');
+}
+
+/** `html` with each of `sections` (name -> content) put between its markers, or null if one is missing. */
+function fillSections(html, sections) {
+    return Object.keys(sections).reduce((out, name) =>
+        (out === null ? null : replaceSection(out, ...INDEX_SECTIONS[name], sections[name])), html);
+}
+
+/** The page's title, description and canonical URL, wherever the Journal's head has them. */
+function setPageMeta(html, { title, description, url }) {
+    return html
+        .replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(title)}</title>`)
+        .replace(/(<meta (?:name="(?:description|twitter:description)"|property="og:description") content=")[^"]*"/g,
+            (whole, start) => `${start}${escapeHtml(description)}"`)
+        .replace(/(<meta (?:name="twitter:title"|property="og:title") content=")[^"]*"/g, (whole, start) => `${start}${escapeHtml(title)}"`)
+        .replace(/(<link rel="canonical" href=")[^"]*"/, (whole, start) => `${start}${url}"`)
+        .replace(/(<meta property="og:url" content=")[^"]*"/, (whole, start) => `${start}${url}"`);
+}
+
+/**
+ * blog-post.html with its featured post, first page of cards, pagination and
+ * category list rendered from the manifest, or null when any of the marker
+ * pairs is missing.
+ */
+function renderBlogIndex(blogHtml, manifest) {
+    const { featured, archive, categories } = journalPages(manifest.posts);
+    const images = new Map(Object.entries(manifest.images || {}));
+
+    let featuredHtml = '';
+    if (featured) {
+        const src = featured.image ? featured.image.replace(/\/resize:fit:\d+\//, '/resize:fit:1400/') : '';
+        const hero = selfHostedImage(src, images, HERO_IMAGE);
+        featuredHtml = generateFeaturedHtml(Object.assign({}, featured, { heroImage: hero.src, heroImageAttrs: hero.attrs }));
+    }
+    return fillSections(blogHtml, {
+        featured: featuredHtml,
+        posts: renderCards(archive[0].posts, images),
+        pagination: generatePaginationHtml(archive, 1),
+        categories: generateCategoryListHtml(categories),
+    });
+}
+
+/**
+ * The archive pages after the first and the category pages, as { file: html },
+ * built from the rendered blog-post.html (`indexHtml`).
+ */
+function renderJournalPages(indexHtml, manifest) {
+    const { archive, categories } = journalPages(manifest.posts);
+    const images = new Map(Object.entries(manifest.images || {}));
+    const pages = {};
+
+    const render = ({ file, title, description, heading, intro, label, posts, pagination = '', active = null }) => {
+        const html = fillSections(indexHtml, {
+            featured: generateArchiveIntroHtml({ label, heading, intro }),
+            posts: renderCards(posts, images),
+            pagination,
+            categories: generateCategoryListHtml(categories, active),
+        });
+        const page = setPageMeta(html, { title, description, url: `${SITE_BASE_URL}/${file}` })
+            .replace(/(<h2 class="section-header">)[^<]*(<\/h2>)/, `$1${escapeHtml(heading)}$2`);
+        pages[file] = relocateUrls(page, 'blog-post.html', file);
+    };
+
+    for (const { page, file, posts } of archive.slice(1)) {
+        render({
+            file,
+            title: `Journal, Page ${page} of ${archive.length} — ${SITE_NAME}`,
+            description: `Older stories on holistic living, wellness product reviews, acupuncture and personal growth from ${AUTHOR_NAME} — page ${page} of ${archive.length}.`,
+            label: 'Journal',
+            heading: `Page ${page} of ${archive.length}`,
+            intro: 'Older stories from the Journal, newest first.',
+            posts,
+            pagination: generatePaginationHtml(archive, page),
+        });
+    }
+    for (const { category, file, posts } of categories) {
+        const count = `${posts.length} ${posts.length === 1 ? 'article' : 'articles'}`;
+        render({
+            file,
+            title: `${category} — Journal — ${SITE_NAME}`,
+            description: `${category} on the ${SITE_NAME} Journal: ${count} by ${AUTHOR_NAME}, newest first.`,
+            label: 'Category',
+            heading: category,
+            intro: `${count} from the Journal, newest first.`,
+            posts,
+            active: category,
+        });
+    }
+    return pages;
+}
+
+/**
+ * Write the archive and category pages that changed and delete ones no longer
+ * needed. Returns true when anything on disk changed (or would, in a dry run).
+ */
+function updateJournalPages(indexHtml, manifest) {
+    const pages = renderJournalPages(indexHtml, manifest);
+    const written = Object.keys(pages).filter(rel => writeFileIfChanged(path.join(ROOT, rel), pages[rel]));
+
+    const removed = [];
+    for (const dir of JOURNAL_PAGE_DIRS) {
+        const abs = path.join(ROOT, dir);
+        for (const name of fs.existsSync(abs) ? fs.readdirSync(abs) : []) {
+            const rel = `${dir}/${name}`;
+            if (name.endsWith('.html') && !pages[rel]) {
+                removeFile(path.join(abs, name));
+                removed.push(rel);
+            }
+        }
+    }
+
+    if (written.length || removed.length) {
+        console.log(`  Journal pages: ${written.length} written, ${removed.length} removed.`);
+    }
+    return written.length > 0 || removed.length > 0;
+}
+
+// ─── Related Posts ──────────────────────────────────────────────────────────
+//
+// Every post page ends with "You might also like": the three posts closest to
+// it by category, shared Medium tags and body text (TF-IDF cosine over the
+// article body). The blocks sit between RELATED-POSTS markers and are
+// refreshed on every run, so older posts pick up new ones. Pages from before
+// the block get the markers (and its styles) added above the back link.
+
+const RELATED_MARKERS = ['<!-- RELATED-POSTS-START -->', '<!-- RELATED-POSTS-END -->'];
+const RELATED_INDENT = '        ';
+const RELATED_COUNT = 3;
+const RELATED_IMAGE = { maxWidth: 700, sizes: '(max-width: 600px) 100vw, 220px' };
+const GENERIC_TAGS = ['medium', 'blog', 'writing', 'life', 'self', 'culture'];
+const STOP_WORDS = new Set(('about after again also always and any are because been before being but can could did does ' +
+    'doing down even every for from had has have her here him his how into its just like made make many more most much ' +
+    'must not now off once one only other our out over own really same she should some such than that the their them ' +
+    'then there these they thing things this those through too very was way were what when where which while who why ' +
+    'will with would you your').split(' '));
+
+const RELATED_POSTS_CSS = [
+    '        .related-posts { margin-top: 64px; padding-top: 32px; border-top: 1px solid #E5E7EB; }',
+    "        .related-posts__heading { font-family: 'Inter', sans-serif; font-weight: 500; font-size: 13px; text-transform: uppercase; letter-spacing: 0.1em; color: #111827; margin-bottom: 24px; }",
+    '        .related-posts__grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 24px; }',
+    '        .related-card { display: block; }',
+    '        .related-card__img { width: 100%; aspect-ratio: 4 / 3; object-fit: cover; margin-bottom: 12px; }',
+    "        .related-card__category { font-family: 'Inter', sans-serif; font-weight: 500; font-size: 11px; text-transform: uppercase; letter-spacing: 0.1em; color: #6B7280; }",
+    "        .related-card__title { font-family: 'Marcellus', Georgia, serif; font-weight: 400; font-size: 1.125rem; line-height: 1.3; margin-top: 6px; color: #111827; }",
+    '        .related-card:hover .related-card__title { text-decoration: underline; }',
+    "        .related-card__meta { display: block; font-family: 'JetBrains Mono', monospace; font-size: 11px; color: #9CA3AF; text-transform: uppercase; margin-top: 8px; }",
+    '        @media (max-width: 600px) { .related-posts__grid { grid-template-columns: 1fr; } }',
+].join('\n');
+
+/** Content words of `text`: lowercase, accents dropped, three letters or more, no stop words. */
+function contentWords(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['‘’]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(w => w.length >= 3 && !STOP_WORDS.has(w) && !/^\d+$/.test(w));
+}
+
+/** TF-IDF vectors (Map word -> weight, unit length) for each text, by key. */
+function textVectors(texts) {
+    const counts = new Map();
+    for (const [key, text] of texts) {
+        const tf = new Map();
+        for (const word of contentWords(text)) tf.set(word, (tf.get(word) || 0) + 1);
+        counts.set(key, tf);
+    }
+    const df = new Map();
+    for (const tf of counts.values()) for (const word of tf.keys()) df.set(word, (df.get(word) || 0) + 1);
+
+    const vectors = new Map();
+    for (const [key, tf] of counts) {
+        const vector = new Map();
+        let norm = 0;
+        for (const [word, n] of tf) {
+            const weight = (1 + Math.log(n)) * Math.log(counts.size / df.get(word));
+            if (weight <= 0) continue;
+            vector.set(word, weight);
+            norm += weight * weight;
+        }
+        norm = Math.sqrt(norm);
+        for (const [word, weight] of vector) vector.set(word, weight / norm);
+        vectors.set(key, vector);
+    }
+    return vectors;
+}
+
+function cosine(a, b) {
+    if (!a || !b) return 0;
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    let sum = 0;
+    for (const [word, weight] of small) sum += weight * (large.get(word) || 0);
+    return sum;
+}
+
+/** A post's Medium tags worth comparing: lowercased, generic ones and the category left out. */
+function topicTags(post) {
+    const category = String(post.category || '').toLowerCase();
+    return new Set((post.tags || []).map(t => t.toLowerCase()).filter(t => !GENERIC_TAGS.includes(t) && t !== category));
+}
+
+/**
+ * What tells two posts apart as stories: the Medium post id, the title with
+ * case, accents and punctuation ignored, and the Medium id of the card image.
+ * The Journal carries some stories twice (a hand-made page and its later
+ * sync), and a copy shares at least one of these with the original.
+ */
+function storyKeys(post) {
+    const title = String(post.title || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/['‘’]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+    const id = mediumPostId(post.mediumUrl || '');
+    const image = mediumImageId(post.image || '');
+    return [title && `title:${title}`, id && `id:${id}`, image && `image:${image}`].filter(Boolean);
+}
+
+/**
+ * The posts to suggest under each post, by file: up to `count` others, best
+ * first. Same category scores 3, each shared tag 2, and text similarity up to
+ * 10; ties go to the newer post. A post is never suggested alongside another
+ * copy of the same story (see storyKeys()), nor under a copy of itself.
+ * Flagged (unpublished) posts get suggestions but are never suggested. `texts`
+ * maps a post file to its body text.
+ */
+function findRelatedPosts(posts, texts, count = RELATED_COUNT) {
+    const vectors = textVectors(posts.map(p => [p.file, `${p.title} ${texts.get(p.file) || ''}`]));
+    const candidates = posts.filter(p => !p.unpublishedAt);
+    const related = new Map();
+    for (const post of posts) {
+        const tags = topicTags(post);
+        const scored = candidates.filter(other => other !== post).map((other) => {
+            const shared = [...topicTags(other)].filter(t => tags.has(t)).length;
+            const score = (other.category === post.category ? 3 : 0) + 2 * shared +
+                10 * cosine(vectors.get(post.file), vectors.get(other.file));
+            return { other, score };
+        });
+        // indexedPosts() order (newest first) breaks ties, as sort is stable.
+        const seen = new Set(storyKeys(post));
+        const picked = [];
+        for (const { other } of scored.sort((a, b) => b.score - a.score)) {
+            if (picked.length === count) break;
+            const keys = storyKeys(other);
+            if (keys.some(key => seen.has(key))) continue;
+            keys.forEach(key => seen.add(key));
+            picked.push(other);
         }
+        related.set(post.file, picked);
+    }
+    return related;
+}
+
+/** The "You might also like" block, with links from the site root. Empty with nothing to suggest. */
+function generateRelatedHtml(posts, images = new Map()) {
+    if (posts.length === 0) return '';
+    return renderTemplate('journal/related-posts.html', {
+        posts: posts.map((post) => {
+            const img = selfHostedImage(post.image || '', images, RELATED_IMAGE);
+            return {
+                file: post.file,
+                title: post.title,
+                category: post.category,
+                readTime: post.readTime || 1,
+                date: post.date,
+                image: img.src ? img : null,
+            };
+        }),
     });
-    </script>
-</body>
-</html>
-`;
 }
 
-function generateCardHtml({ number, title, category, excerpt, readTime, date, cardImage }) {
-    return `
-                        <!-- Card ${number} (auto-synced) -->
-                        <a href="post-${number}.html" class="article-card">
-                            <img class="card-img" src="${cardImage}" alt="${escapeHtml(title)}">
-                            <span class="card-category">${escapeHtml(category)}</span>
-                            <h3 class="card-title">${escapeHtml(title)}</h3>
-                            <p class="card-excerpt">${escapeHtml(excerpt)}</p>
-                            <span class="card-meta">${readTime} Min Read &middot; ${date}</span>
-                        </a>`;
+/** `html` with `blockHtml` between its RELATED-POSTS markers, both indented like the article. */
+function fillRelatedMarkers(html, blockHtml) {
+    const filled = replaceSection(html, ...RELATED_MARKERS, blockHtml);
+    return filled && filled.replace(`\n${RELATED_MARKERS[1]}`, `\n${RELATED_INDENT}${RELATED_MARKERS[1]}`);
+}
+
+/**
+ * A post page with `blockHtml` between its RELATED-POSTS markers. Pages without
+ * them get the markers above the "Back to Journal" link and the block's styles
+ * at the end of their <style>. Null when there is nowhere to put it.
+ */
+function putRelatedBlock(pageHtml, blockHtml) {
+    let html = pageHtml;
+    if (!html.includes(RELATED_MARKERS[0])) {
+        const backLink = html.search(/\n[ \t]*<a href="[^"]*blog-post\.html" class="back-link">/);
+        const styleEnd = html.indexOf('</style>');
+        if (backLink === -1 || styleEnd === -1) return null;
+        html = `${html.slice(0, backLink)}\n${RELATED_INDENT}${RELATED_MARKERS[0]}\n${RELATED_INDENT}${RELATED_MARKERS[1]}\n${html.slice(backLink)}`;
+        const styleLine = html.lastIndexOf('\n', styleEnd) + 1;
+        html = `${html.slice(0, styleLine)}${RELATED_POSTS_CSS}\n${html.slice(styleLine)}`;
+    }
+    return fillRelatedMarkers(html, blockHtml);
+}
+
+/**
+ * Refresh the related-posts block on every post page on the Journal. Returns
+ * the files it rewrote.
+ */
+function updateRelatedPosts(manifest) {
+    const posts = indexedPosts(manifest.posts || []);
+    const images = new Map(Object.entries(manifest.images || {}));
+    const pages = new Map(posts.map(p => [p.file, readFile(path.join(ROOT, p.file))]));
+    const texts = new Map([...pages].map(([file, html]) => [file, html ? plainText(readPostPage(html).content) : '']));
+    const related = findRelatedPosts(posts, texts);
+
+    const written = [];
+    for (const post of posts) {
+        const html = pages.get(post.file);
+        if (!html) continue;
+        const block = relocateUrls(generateRelatedHtml(related.get(post.file), images), 'index.html', post.file);
+        const updated = putRelatedBlock(html, block);
+        if (updated === null) {
+            console.warn(`  Warning: no place for related posts in ${post.file}; left as it is.`);
+        } else if (writeFileIfChanged(path.join(ROOT, post.file), updated)) {
+            written.push(post.file);
+        }
+    }
+    if (written.length) console.log(`  Related posts: ${written.length} page(s) updated.`);
+    return written;
+}
+
+/**
+ * Rebuild the Journal from the manifest: blog-post.html (from `blogHtml`, the
+ * page as it stands), its archive and category pages, and the related posts
+ * on every post page.
+ */
+function updateJournal(manifest, blogHtml) {
+    const indexHtml = renderBlogIndex(blogHtml, manifest);
+    if (indexHtml === null) {
+        console.warn('  Warning: Could not find the BLOG-* markers in blog-post.html. Journal index not updated.');
+    }
+    if (writeFileIfChanged(BLOG_LIST_PATH, indexHtml === null ? blogHtml : indexHtml)) {
+        console.log('  Updated blog-post.html.');
+    }
+    if (indexHtml !== null) updateJournalPages(indexHtml, manifest);
+    updateRelatedPosts(manifest);
+}
+
+// ─── Re-rendering ───────────────────────────────────────────────────────────
+//
+// render-pages.js rebuilds every post page the post template rendered, so a
+// change to a partial reaches posts that no sync would regenerate. A post's
+// content is read back out of its own page, with the manifest filling in what a
+// page lacks; only images still on Medium are fetched (backfillImages()). Hand-made pages (written by hand, or
+// by the sync before it rendered from the template) carry no
+// POST_TEMPLATE_MARK and are left alone: re-templating them would drop what was
+// written into them by hand.
+
+const POST_TEMPLATE_MARK = '<!-- Rendered from scripts/templates/journal/post.html -->';
+
+/**
+ * The generatePostHtml() fields of a post page (links as if from the site
+ * root), or null when it has no title or article body to read back. Fields the
+ * page does not carry come back empty.
+ */
+function readPostFields(html) {
+    const grab = (re) => {
+        const m = html.match(re);
+        return m ? m[1] : '';
+    };
+    const text = value => decodeHtmlEntities(value).trim();
+
+    const title = text(grab(/<h1 class="article-title">([\s\S]*?)<\/h1>/));
+    const bodyStart = html.indexOf('<div class="article-body">');
+    const bioStart = html.indexOf('<div class="author-bio">');
+    if (!title || bodyStart === -1 || bioStart < bodyStart) return null;
+    const inner = html.slice(bodyStart + '<div class="article-body">'.length, bioStart);
+
+    const [, date = '', readTime = ''] = grab(/<p class="article-meta">([\s\S]*?)<\/p>/)
+        .match(/&middot;\s*(.+?)\s*&middot;\s*(\d+)\s*Min Read/i) || [];
+    const hero = html.match(/<div class="article-hero">\s*<img src="([^"]*)"([^>]*?)\s+alt="[^"]*">/);
+    return {
+        title,
+        subtitle: text(grab(/<p class="article-subtitle">([\s\S]*?)<\/p>/)),
+        description: text(grab(/<meta name="description" content="([^"]*)"/)),
+        category: text(grab(/<span class="article-category">([\s\S]*?)<\/span>/)),
+        date,
+        isoDate: grab(/<meta property="article:published_time" content="([^"]*)"/),
+        readTime: Number(readTime) || 0,
+        heroImage: hero ? decodeHtmlEntities(hero[1]) : '',
+        heroImageAttrs: hero ? hero[2] : '',
+        bodyHtml: inner.slice(0, inner.lastIndexOf('</div>')).trim(),
+    };
+}
+
+/**
+ * `post`'s page rebuilt with the current templates, keeping its related posts,
+ * or null when `html` cannot be read back as a post page. Medium images with a
+ * local copy in `images` are pointed at it.
+ */
+function rerenderPostPage(html, post, images = new Map()) {
+    const fields = readPostFields(relocateUrls(html, post.file, 'index.html'));
+    if (!fields) return null;
+    const date = fields.date || post.date || '';
+    const hero = selfHostedImage(fields.heroImage, images, HERO_IMAGE);
+    const page = relocateUrls(generatePostHtml({
+        ...fields,
+        heroImage: hero.src,
+        heroImageAttrs: hero.attrs || fields.heroImageAttrs,
+        bodyHtml: localizeImages(fields.bodyHtml, images, BODY_IMAGE),
+        description: fields.description || post.excerpt || fields.subtitle || fields.title,
+        category: fields.category || post.category || '',
+        date,
+        isoDate: fields.isoDate || toW3cDate(date) || '',
+        readTime: fields.readTime || post.readTime || 1,
+        file: post.file,
+    }), 'index.html', post.file);
+
+    const start = html.indexOf(RELATED_MARKERS[0]);
+    const end = html.indexOf(RELATED_MARKERS[1]);
+    const related = start !== -1 && end > start
+        ? html.slice(start + RELATED_MARKERS[0].length, end).replace(/^\n|\n[ \t]*$/g, '')
+        : '';
+    return related.trim() ? fillRelatedMarkers(page, related) : page;
+}
+
+/**
+ * Rebuild every page the Medium sync generates: each live post rendered from
+ * the post template, and the redirect stubs left where posts moved from or
+ * were taken down. Stubs are only rewritten where one already exists. Returns
+ * the files written.
+ */
+function rerenderPosts(manifest) {
+    const written = [];
+    const write = (file, html) => {
+        if (writeFileIfChanged(path.join(ROOT, file), html)) written.push(file);
+    };
+    const images = new Map(Object.entries(manifest.images || {}));
+    let handMade = 0;
+    for (const post of indexedPosts(manifest.posts || [])) {
+        const html = readFile(path.join(ROOT, post.file));
+        if (html !== null && !html.includes(POST_TEMPLATE_MARK)) {
+            handMade++;
+            continue;
+        }
+        const page = html === null ? null : rerenderPostPage(html, post, images);
+        if (page === null) {
+            console.warn(`  Warning: ${post.file} could not be read back as a post page; left as it is.`);
+        } else {
+            write(post.file, page);
+        }
+    }
+    for (const post of manifest.posts || []) {
+        const stubs = post.removedAt
+            ? [[post.file, 'blog-post.html', false], [legacyFile(post), 'blog-post.html', false]]
+            : [[legacyFile(post), post.file, true]];
+        for (const [file, target, moved] of stubs) {
+            if (!file || !post.file || readFile(path.join(ROOT, file)) === null) continue;
+            write(file, generateRedirectHtml({ title: post.title, file, target, moved }));
+        }
+    }
+    console.log(`  Posts: ${written.length} page(s) re-rendered.`);
+    if (handMade) console.log(`  Left ${handMade} hand-made post page(s) as they are.`);
+    return written;
 }
 
 // ─── Main Sync Logic ────────────────────────────────────────────────────────
 
+/**
+ * Page and manifest fields for a feed item synced as post N at
+ * journal/<slug>.html, plus the body images that went out without alt text of
+ * their own and what the sanitizer stripped. `images` is what selfHostImages()
+ * resolved for it; anything missing stays on Medium.
+ */
+function renderPost(item, { number, slug }, images = new Map()) {
+    const category = pickCategory(item.categories);
+    const date = formatDate(item.pubDate);
+    const excerpt = extractExcerpt(item.contentEncoded);
+    const subtitle = extractSubtitle(item.contentEncoded);
+    const readTime = estimateReadTime(item.contentEncoded);
+    const file = postFile(slug);
+    const hero = selfHostedImage(safeUrl(extractHeroImage(item.contentEncoded), 'src') || '', images, HERO_IMAGE);
+    // The feed is third-party HTML: everything that reaches the page goes
+    // through the allow-list last, after our own rewriting.
+    const { html: bodyHtml, removed } = sanitizeHtml(
+        localizeImages(cleanBodyHtml(item.contentEncoded, item.title), images, BODY_IMAGE));
+
+    // The generators link as if from the site root; the page sits a level down.
+    const postHtml = relocateUrls(generatePostHtml({
+        title: item.title,
+        subtitle,
+        description: excerpt || subtitle || item.title,
+        category,
+        date,
+        isoDate: toIsoDate(item.pubDate),
+        readTime,
+        heroImage: hero.src,
+        heroImageAttrs: hero.attrs,
+        bodyHtml,
+        file
+    }), 'index.html', file);
+
+    const fields = {
+        title: item.title,
+        mediumUrl: item.link,
+        slug,
+        file,
+        date,
+        category,
+        tags: item.categories,
+        excerpt,
+        readTime,
+        image: safeUrl(extractCardImage(item.contentEncoded), 'src') || '',
+        contentHash: contentHash(item)
+    };
+
+    return { postHtml, fields, missingAlt: imagesWithoutAlt(bodyHtml, item.title), removed };
+}
+
+/**
+ * Name every image a page went out with no alt text of its own, and anything
+ * the sanitizer took out of it, so either can be looked at on Medium.
+ */
+function warnContentIssues({ fields, missingAlt, removed }) {
+    for (const src of missingAlt) {
+        console.warn(`  Warning: ${fields.file} has an image without alt text: ${src}`);
+    }
+    if (removed.length > 0) {
+        console.warn(`  Warning: removed unsafe markup from ${fields.file}: ${summarizeRemoved(removed)}`);
+    }
+}
+
 async function main() {
+    const removeUnpublished = process.argv.includes('--remove-unpublished');
+    if (process.argv.includes('--dry-run')) {
+        enableDryRun();
+        console.log('--dry-run: nothing will be written.');
+    }
+
     console.log('Fetching Medium RSS feed...');
     let xml;
     try {
-        xml = await fetch(RSS_URL);
+        xml = await fetchText(RSS_URL);
     } catch (err) {
         console.error('Failed to fetch RSS feed:', err.message);
         process.exit(1);
@@ -375,113 +1326,172 @@ async function main() {
     console.log(`Found ${items.length} items in RSS feed.`);
 
     // Load manifest
-    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    const manifest = loadManifest(MANIFEST_PATH, { lastPostNumber: 0, posts: [] });
+    const previousPosts = manifest.posts.map(p => Object.assign({}, p));
     const existingTitles = new Set(manifest.posts.map(p => p.title.toLowerCase()));
-    const existingUrls = new Set(manifest.posts.map(p => {
-        // Normalize URL: strip query params and trailing slashes
-        try {
-            const u = new URL(p.mediumUrl);
-            return u.pathname.replace(/\/$/, '');
-        } catch {
-            return p.mediumUrl;
-        }
-    }));
+    const existingUrls = new Set(manifest.posts.map(p => urlPath(p.mediumUrl)));
+    let blogHtml = readFile(BLOG_LIST_PATH) || '';
 
-    // Filter to new posts only
-    const newItems = items.filter(item => {
-        const titleLower = item.title.toLowerCase();
-        let pathName = '';
-        try {
-            pathName = new URL(item.link).pathname.replace(/\/$/, '');
-        } catch {
-            pathName = item.link;
+    const writeRedirect = (post, file, target, moved) => {
+        writeFile(path.join(ROOT, file), generateRedirectHtml({ title: post.title, file, target, moved }));
+    };
+
+    // Posts from before slugs, on a site render-pages.js has not migrated yet.
+    blogHtml = migrateToSlugs(manifest, blogHtml).blogHtml;
+    backfillIndexFields(manifest.posts, blogHtml);
+
+    // Posts already synced: apply Medium-side edits, and bring back any post that
+    // was flagged as unpublished but has reappeared in the feed.
+    const matched = new Set();
+    const existingItems = [];
+    let updatedCount = 0;
+    for (const item of items) {
+        const post = findPost(manifest.posts, item);
+        if (!post || matched.has(post)) continue;
+        matched.add(post);
+        existingItems.push(item);
+
+        const hash = contentHash(item);
+        const restored = Boolean(post.unpublishedAt);
+        const wasRemoved = Boolean(post.removedAt);
+        delete post.unpublishedAt;
+        delete post.removedAt;
+        if (restored) console.log(`  ${post.file} is back in the feed: "${item.title}"`);
+
+        // Posts synced before hashes were kept adopt one as-is: their pages
+        // may have been touched by hand since, and there is no edit to apply.
+        if (!post.contentHash && !wasRemoved) {
+            post.contentHash = hash;
+            continue;
         }
-        return !existingTitles.has(titleLower) && !existingUrls.has(pathName);
-    });
+        if (post.contentHash === hash && !wasRemoved) continue;
 
-    if (newItems.length === 0) {
-        console.log('No new posts found. Everything is up to date.');
-        return;
+        const images = await selfHostImages(item.contentEncoded, manifest);
+        const slug = post.slug || postSlug(post, manifest.posts);
+        const rendered = renderPost(item, { number: post.number, slug }, images);
+        writeFile(path.join(ROOT, rendered.fields.file), rendered.postHtml);
+        if (post.contentHash !== hash) post.updatedAt = now().toISOString();
+        Object.assign(post, rendered.fields);
+        if (wasRemoved && legacyFile(post)) writeRedirect(post, legacyFile(post), post.file, true);
+        updatedCount++;
+        console.log(`  Regenerated ${post.file}: "${item.title}"`);
+        warnContentIssues(rendered);
     }
 
-    console.log(`Found ${newItems.length} new post(s) to sync.`);
+    // Posts that Medium has unpublished: flag them, or with --remove-unpublished
+    // take the post off the Journal and point its page there.
+    for (const post of findUnpublished(manifest.posts, items, matched)) {
+        if (!post.unpublishedAt) {
+            post.unpublishedAt = now().toISOString();
+            console.warn(`  Warning: ${post.file} ("${post.title}") is no longer on Medium; flagged as unpublished.`);
+        }
+        if (removeUnpublished && !post.removedAt) {
+            writeRedirect(post, post.file, 'blog-post.html');
+            if (legacyFile(post)) writeRedirect(post, legacyFile(post), 'blog-post.html');
+            post.removedAt = now().toISOString();
+            console.log(`  Removed ${post.file}; it now redirects to blog-post.html.`);
+        }
+    }
+    const flagged = manifest.posts.filter(p => p.unpublishedAt && !p.removedAt);
+    if (flagged.length > 0 && !removeUnpublished) {
+        console.log(`  ${flagged.length} unpublished post(s) still live; re-run with --remove-unpublished to take them down.`);
+    }
+
+    // Filter to new posts only
+    const newItems = items.filter(item => !existingItems.includes(item) &&
+        !existingTitles.has(item.title.toLowerCase()) && !existingUrls.has(urlPath(item.link)));
+
+    if (newItems.length > 0) console.log(`Found ${newItems.length} new post(s) to sync.`);
 
     let nextNumber = manifest.lastPostNumber;
-    const newCards = [];
 
     for (const item of newItems) {
         nextNumber++;
-        const category = pickCategory(item.categories);
-        const date = formatDate(item.pubDate);
-        const heroImage = extractHeroImage(item.contentEncoded);
-        const cardImage = extractCardImage(item.contentEncoded);
-        const subtitle = extractSubtitle(item.contentEncoded);
-        const excerpt = extractExcerpt(item.contentEncoded);
-        const bodyHtml = cleanBodyHtml(item.contentEncoded);
-        const readTime = estimateReadTime(item.contentEncoded);
-
-        // Generate and write post HTML
-        const postHtml = generatePostHtml({
-            title: item.title,
-            subtitle,
-            category,
-            date,
-            readTime,
-            heroImage,
-            bodyHtml
-        });
+        const images = await selfHostImages(item.contentEncoded, manifest);
+        const slug = postSlug({ title: item.title, mediumUrl: item.link, number: nextNumber }, manifest.posts);
+        const rendered = renderPost(item, { number: nextNumber, slug }, images);
 
-        const postFile = `post-${nextNumber}.html`;
-        const postPath = path.join(ROOT, postFile);
-        fs.writeFileSync(postPath, postHtml, 'utf8');
-        console.log(`  Created ${postFile}: "${item.title}"`);
-
-        // Generate card HTML for blog list page
-        newCards.push(generateCardHtml({
-            number: nextNumber,
-            title: item.title,
-            category,
-            excerpt,
-            readTime,
-            date,
-            cardImage
-        }));
+        writeFile(path.join(ROOT, rendered.fields.file), rendered.postHtml);
+        console.log(`  Created ${rendered.fields.file}: "${item.title}"`);
+        warnContentIssues(rendered);
 
-        // Update manifest
-        manifest.posts.push({
-            number: nextNumber,
-            title: item.title,
-            mediumUrl: item.link,
-            file: postFile,
-            date,
-            category
-        });
+        manifest.posts.push(Object.assign({ number: nextNumber }, rendered.fields, {
+            newsletterSentAt: null // announced by send-newsletter.js
+        }));
     }
 
     manifest.lastPostNumber = nextNumber;
 
-    // Insert new cards into blog-post.html
-    // Insert right after the opening of article-grid, before the first existing card
-    let blogHtml = fs.readFileSync(BLOG_LIST_PATH, 'utf8');
-    const insertMarker = '<div class="article-grid">';
-    const insertIdx = blogHtml.indexOf(insertMarker);
-    if (insertIdx !== -1) {
-        const insertPos = insertIdx + insertMarker.length;
-        const cardsHtml = newCards.join('\n');
-        blogHtml = blogHtml.slice(0, insertPos) + '\n' + cardsHtml + blogHtml.slice(insertPos);
-        fs.writeFileSync(BLOG_LIST_PATH, blogHtml, 'utf8');
-        console.log(`  Updated blog-post.html with ${newCards.length} new card(s).`);
-    } else {
-        console.warn('  Warning: Could not find article-grid in blog-post.html. Cards not inserted.');
-    }
+    // The Journal is rebuilt from the manifest every run
+    updateJournal(manifest, blogHtml);
+
+    summarizeChanges('Posts', previousPosts, manifest.posts, p => p.number, p => `${p.file} "${p.title}"`);
 
     // Save manifest
-    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
-    console.log('Manifest updated.');
-    console.log(`Sync complete! ${newItems.length} new post(s) added.`);
+    if (writeFileIfChanged(MANIFEST_PATH, serializeManifest(manifest))) console.log('Manifest updated.');
+    updateSitemap();
+    updateFeeds();
+    updateSearchIndex();
+    if (newItems.length === 0 && updatedCount === 0) {
+        console.log('No new or edited posts found. Everything is up to date.');
+    } else {
+        console.log(`Sync complete! ${newItems.length} new post(s) added, ${updatedCount} regenerated.`);
+    }
 }
 
-main().catch(err => {
-    console.error('Sync failed:', err);
-    process.exit(1);
-});
+module.exports = {
+    extractItems,
+    extractHeroImage,
+    extractCardImage,
+    extractExcerpt,
+    extractSubtitle,
+    cleanBodyHtml,
+    convertEmbed,
+    renderPost,
+    imagesWithoutAlt,
+    estimateReadTime,
+    toIsoDate,
+    formatDate,
+    pickCategory,
+    postHead,
+    generatePostHtml,
+    generateCardHtml,
+    generateFeaturedHtml,
+    generateCategoryListHtml,
+    generatePaginationHtml,
+    generateRedirectHtml,
+    mediumImageId,
+    selfHostImages,
+    backfillImages,
+    selfHostedImage,
+    localizeImages,
+    slugify,
+    postSlug,
+    relocateUrls,
+    movePage,
+    migrateToSlugs,
+    mediumPostId,
+    contentHash,
+    findPost,
+    findUnpublished,
+    indexedPosts,
+    backfillIndexFields,
+    renderBlogIndex,
+    renderJournalPages,
+    findRelatedPosts,
+    generateRelatedHtml,
+    putRelatedBlock,
+    updateRelatedPosts,
+    updateJournal,
+    readPostFields,
+    rerenderPostPage,
+    rerenderPosts,
+    main,
+};
+
+if (require.main === module) {
+    main().then(reportDryRun).catch(err => {
+        console.error('Sync failed:', err);
+        process.exit(1);
+    });
+}
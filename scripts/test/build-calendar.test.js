@@ -0,0 +1,100 @@
+/**
+ * Unit tests for scripts/build-calendar.js.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { escapeText, foldLine, toLocalStamp, formatDateTime, buildCalendars } = require('../build-calendar');
+
+const MANIFEST = {
+    lastSync: '2026-08-09T18:08:23.345Z',
+    upcoming: [
+        {
+            id: '1996638594785',
+            name: 'Ecstatic Dance, West London',
+            description: 'Come experience ultimate freedom; meet like-minded people.',
+            url: 'https://www.eventbrite.co.uk/e/ecstatic-dance-tickets-1996638594785',
+            startLocal: '2026-09-19T19:15:00',
+            endLocal: '2026-09-19T21:30:00',
+            venueName: "St Philip's Church",
+            city: 'London',
+        },
+        {
+            id: '2',
+            name: 'Online Breathwork',
+            description: '',
+            url: '',
+            startLocal: '2026-11-01T09:00:00',
+            endLocal: '',
+            venueName: null,
+            city: null,
+        },
+        { id: '3', name: 'No date yet', startLocal: '' },
+    ],
+    past: [{ id: '9', name: 'Old', startLocal: '2025-01-01T10:00:00' }],
+};
+
+/** Unfold continuation lines and split into content lines. */
+function contentLines(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+test('escapeText escapes RFC 5545 TEXT specials', () => {
+    assert.equal(escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+    assert.equal(escapeText(null), '');
+});
+
+test('foldLine folds at 75 octets without splitting multi-byte characters', () => {
+    const line = 'DESCRIPTION:' + '€'.repeat(40);
+    const folded = foldLine(line);
+    for (const part of folded.split('\r\n')) {
+        assert.ok(Buffer.byteLength(part, 'utf8') <= 75);
+    }
+    assert.equal(folded.replace(/\r\n /g, ''), line);
+    assert.equal(foldLine('SHORT:x'), 'SHORT:x');
+});
+
+test('toLocalStamp keeps wall-clock time without conversion', () => {
+    assert.equal(toLocalStamp('2026-10-25T01:30:00'), '20261025T013000');
+    assert.equal(toLocalStamp('2026-10-25T01:30'), '20261025T013000');
+    assert.equal(toLocalStamp(''), '');
+});
+
+test('formatDateTime renders the local wall-clock time in 12-hour form', () => {
+    assert.equal(formatDateTime('2026-02-15T19:00:00'), 'Feb 15, 2026 &middot; 7:00 PM');
+    assert.equal(formatDateTime('2026-02-15T00:05:00'), 'Feb 15, 2026 &middot; 12:05 AM');
+    assert.equal(formatDateTime('2026-02-15T12:30:00'), 'Feb 15, 2026 &middot; 12:30 PM');
+    assert.equal(formatDateTime(''), '');
+});
+
+test('buildCalendars writes a feed plus one file per dated upcoming event', () => {
+    const files = buildCalendars(MANIFEST);
+    assert.deepEqual(Object.keys(files), ['events.ics', 'calendar/1996638594785.ics', 'calendar/2.ics']);
+    for (const ics of Object.values(files)) {
+        assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+        assert.ok(ics.includes('TZID:Europe/London'));
+    }
+    assert.equal(contentLines(files['events.ics']).filter(l => l === 'BEGIN:VEVENT').length, 2);
+});
+
+test('events carry London local times, venue and city, and the Eventbrite URL', () => {
+    const lines = contentLines(buildCalendars(MANIFEST)['calendar/1996638594785.ics']);
+    assert.ok(lines.includes('UID:1996638594785@holistiqueuk.com'));
+    assert.ok(lines.includes('DTSTAMP:20260809T180823Z'));
+    assert.ok(lines.includes('DTSTART;TZID=Europe/London:20260919T191500'));
+    assert.ok(lines.includes('DTEND;TZID=Europe/London:20260919T213000'));
+    assert.ok(lines.includes('SUMMARY:Ecstatic Dance\\, West London'));
+    assert.ok(lines.includes("LOCATION:St Philip's Church\\, London"));
+    assert.ok(lines.includes('URL:https://www.eventbrite.co.uk/e/ecstatic-dance-tickets-1996638594785'));
+});
+
+test('an event with no venue is listed as Online and may omit DTEND', () => {
+    const lines = contentLines(buildCalendars(MANIFEST)['calendar/2.ics']);
+    assert.ok(lines.includes('LOCATION:Online'));
+    assert.ok(!lines.some(l => l.startsWith('DTEND')));
+    assert.ok(!lines.some(l => l.startsWith('URL:')));
+});
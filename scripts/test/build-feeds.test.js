@@ -0,0 +1,101 @@
+/**
+ * Unit tests for scripts/build-feeds.js.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { readPostPage, collectEntries, renderRss, renderAtom, renderJsonFeed } = require('../build-feeds');
+
+const PAGE = `<html><head>
+    <meta name="description" content="Olive oil &amp; you">
+</head><body>
+    <div class="article-hero">
+        <img src="https://miro.medium.com/v2/resize:fit:1400/hero" alt="Olive Oil">
+    </div>
+    <div class="article-body">
+        <p>First <a href="post-2.html">link</a> ]]> here.</p>
+        <div class="note"><img src="photos/a.webp" srcset="photos/a.webp 700w, photos/b.webp 1400w" alt=""></div>
+    </div>
+    <div class="author-bio"><p>Bio</p></div>
+</body></html>`;
+
+const MANIFEST = {
+    posts: [
+        { number: 1, title: 'Older', file: 'post-1.html', date: 'Mar 19, 2025', category: 'Health & Wellness' },
+        { number: 2, title: 'Newer <3', file: 'post-2.html', date: 'Oct 1, 2025', category: 'Sleep', tags: ['sleep', 'wellness'], mediumUrl: 'https://medium.com/@y/newer' },
+        { number: 3, title: 'Missing page', file: 'post-3.html', date: 'Oct 2, 2025', category: 'Journal' },
+    ],
+};
+
+const readPage = file => (file === 'post-3.html' ? null : PAGE);
+
+test('readPostPage extracts hero, summary and absolutized body content', () => {
+    const page = readPostPage(PAGE);
+    assert.equal(page.heroImage, 'https://miro.medium.com/v2/resize:fit:1400/hero');
+    assert.equal(page.summary, 'Olive oil & you');
+    assert.equal(page.content, '<p>First <a href="https://holistiqueuk.com/post-2.html">link</a> ]]> here.</p>\n<div class="note"><img src="https://holistiqueuk.com/photos/a.webp" srcset="https://holistiqueuk.com/photos/a.webp 700w, https://holistiqueuk.com/photos/b.webp 1400w" alt=""></div>');
+    assert.equal(readPostPage(PAGE.replace(/src="https:[^"]*hero"/, 'src="photos/hero.jpg"')).heroImage, 'https://holistiqueuk.com/photos/hero.jpg');
+});
+
+test('readPostPage resolves relative URLs against the page it was read from', () => {
+    const html = PAGE.replace(/photos\//g, '../photos/').replace(/src="https:[^"]*hero"/, 'src="../photos/hero.jpg"');
+    const page = readPostPage(html, 'https://holistiqueuk.com/journal/olive-oil.html');
+    assert.equal(page.heroImage, 'https://holistiqueuk.com/photos/hero.jpg');
+    assert.match(page.content, /<img src="https:\/\/holistiqueuk\.com\/photos\/a\.webp" srcset="https:\/\/holistiqueuk\.com\/photos\/a\.webp 700w, https:\/\/holistiqueuk\.com\/photos\/b\.webp 1400w"/);
+    assert.match(page.content, /<a href="https:\/\/holistiqueuk\.com\/journal\/post-2\.html">/);
+});
+
+test('readPostPage keeps the whitespace inside code blocks', () => {
+    const page = PAGE.replace('<p>First', '<pre>a\n    b\n</pre>\n        <p>First');
+    assert.ok(readPostPage(page).content.startsWith('<pre>a\n    b\n</pre>\n<p>First'));
+});
+
+test('collectEntries sorts newest first, skips missing pages and merges tags', () => {
+    const entries = collectEntries(MANIFEST, readPage);
+    assert.deepEqual(entries.map(e => e.number), [2, 1]);
+    assert.deepEqual(entries[0].categories, ['Sleep', 'wellness']);
+    assert.equal(entries[0].date.toISOString(), '2025-10-01T00:00:00.000Z');
+});
+
+test('renderRss escapes titles and keeps CDATA content well-formed', () => {
+    const rss = renderRss(collectEntries(MANIFEST, readPage));
+    assert.match(rss, /<title>Newer &lt;3<\/title>/);
+    assert.match(rss, /<pubDate>Wed, 01 Oct 2025 00:00:00 GMT<\/pubDate>/);
+    assert.match(rss, /<lastBuildDate>Wed, 01 Oct 2025 00:00:00 GMT<\/lastBuildDate>/);
+    assert.match(rss, /<category>Health &amp; Wellness<\/category>/);
+    assert.ok(rss.includes(']]]]><![CDATA[>'));
+});
+
+test('renderAtom dates the feed from its newest entry', () => {
+    const atom = renderAtom(collectEntries(MANIFEST, readPage));
+    assert.match(atom, /^ {2}<updated>2025-10-01T00:00:00Z<\/updated>$/m);
+    assert.match(atom, /<category term="Health &amp; Wellness"\/>/);
+    assert.match(atom, /<content type="html">&lt;p&gt;&lt;img src=&quot;https:\/\/miro/);
+});
+
+test('an edited post is dated by its updatedAt in Atom and feed.json', () => {
+    const edited = { posts: MANIFEST.posts.map(p => (p.number === 1 ? { ...p, updatedAt: '2025-11-04T09:30:00.000Z' } : p)) };
+    const atom = renderAtom(collectEntries(edited, readPage));
+    assert.match(atom, /^ {2}<updated>2025-11-04T09:30:00Z<\/updated>$/m);
+    assert.match(atom, /<published>2025-03-19T00:00:00Z<\/published>\n {4}<updated>2025-11-04T09:30:00Z<\/updated>/);
+    assert.match(atom, /<published>2025-10-01T00:00:00Z<\/published>\n {4}<updated>2025-10-01T00:00:00Z<\/updated>/);
+
+    const feed = JSON.parse(renderJsonFeed(collectEntries(edited, readPage)));
+    assert.equal(feed.items[1].date_published, '2025-03-19T00:00:00Z');
+    assert.equal(feed.items[1].date_modified, '2025-11-04T09:30:00Z');
+    assert.equal(feed.items[0].date_modified, undefined);
+});
+
+test('renderJsonFeed produces a JSON Feed 1.1 document', () => {
+    const feed = JSON.parse(renderJsonFeed(collectEntries(MANIFEST, readPage)));
+    assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+    assert.equal(feed.items.length, 2);
+    assert.deepEqual(
+        { id: feed.items[0].id, image: feed.items[0].image, external_url: feed.items[0].external_url, tags: feed.items[0].tags },
+        { id: 'https://holistiqueuk.com/post-2.html', image: 'https://miro.medium.com/v2/resize:fit:1400/hero', external_url: 'https://medium.com/@y/newer', tags: ['Sleep', 'wellness'] }
+    );
+    assert.ok(feed.items[0].content_html.startsWith('<p><img src="https://miro.medium.com/v2/resize:fit:1400/hero"'));
+});
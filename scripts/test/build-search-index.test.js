@@ -0,0 +1,116 @@
+/**
+ * Unit tests for scripts/build-search-index.js.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { plainText, collectDocuments, renderSearchIndex } = require('../build-search-index');
+
+const PAGE = `<html><head>
+    <meta name="description" content="Olive oil &amp; you">
+</head><body>
+    <p class="article-subtitle">Liquid gold &amp; how to tell it apart</p>
+    <div class="article-body">
+        <h3>Why it matters</h3><p>Extra <em>virgin</em> olive oil&mdash;the real thing.</p>
+        <figure><img src="photos/a.webp" alt=""><figcaption>A bottle</figcaption></figure>
+    </div>
+    <div class="author-bio"><p>Bio</p></div>
+</body></html>`;
+
+const MANIFEST = {
+    posts: [
+        { number: 1, title: 'Older', file: 'post-1.html', date: 'Mar 19, 2025', category: 'Health & Wellness', tags: ['health & wellness', 'oil'] },
+        { number: 2, title: 'Newer', file: 'journal/newer.html', date: 'Oct 1, 2025', category: 'Sleep' },
+        { number: 3, title: 'Gone', file: 'journal/gone.html', date: 'Oct 2, 2025', category: 'Sleep', unpublishedAt: '2026-10-12T06:00:00.000Z' },
+        { number: 4, title: 'Taken down', file: 'journal/down.html', date: 'Oct 3, 2025', category: 'Sleep', removedAt: '2026-10-12T06:00:00.000Z' },
+    ],
+};
+
+const readPage = file => (file === 'post-1.html' ? PAGE : null);
+
+test('plainText keeps words in separate blocks apart and decodes entities', () => {
+    assert.equal(plainText('<h3>Title</h3><p>One <em>two</em>&nbsp;three&hellip;</p><ul><li>a</li><li>b</li></ul>'), 'Title One two three… a b');
+    assert.equal(plainText(''), '');
+});
+
+test('collectDocuments indexes live posts newest first, text read from their pages', () => {
+    const docs = collectDocuments(MANIFEST, readPage);
+    assert.deepEqual(docs.map(d => d.url), ['journal/newer.html', 'post-1.html']);
+    assert.deepEqual(docs[1], {
+        url: 'post-1.html',
+        title: 'Older',
+        subtitle: 'Liquid gold & how to tell it apart',
+        category: 'Health & Wellness',
+        tags: ['oil'],
+        date: 'Mar 19, 2025',
+        text: 'Why it matters Extra virgin olive oil—the real thing. A bottle',
+    });
+    // A page that cannot be read is still findable by its title and category.
+    assert.deepEqual(docs[0], { url: 'journal/newer.html', title: 'Newer', subtitle: '', category: 'Sleep', tags: [], date: 'Oct 1, 2025', text: '' });
+});
+
+test('renderSearchIndex writes one post per line and parses back', () => {
+    const docs = collectDocuments(MANIFEST, readPage);
+    const json = renderSearchIndex(docs);
+    assert.equal(json.split('\n').length, docs.length + 3);
+    assert.ok(json.endsWith(']}\n'));
+    assert.deepEqual(JSON.parse(json), { version: 1, posts: docs });
+    assert.deepEqual(JSON.parse(renderSearchIndex([])), { version: 1, posts: [] });
+});
+
+// ── The search in blog-post.html ────────────────────────────────────────────
+
+/**
+ * The named functions of the Journal search script in blog-post.html, run
+ * against a stand-in document that records what they append.
+ */
+function journalSearch() {
+    const page = fs.readFileSync(path.join(__dirname, '..', '..', 'blog-post.html'), 'utf8');
+    const source = [...page.matchAll(/^ {12}function (\w+)\([\s\S]*?\n {12}\}$/gm)]
+        .filter(m => ['fold', 'escapeRegExp', 'wordMatches', 'rankPosts', 'appendHighlighted', 'snippetFor'].includes(m[1]))
+        .map(m => m[0])
+        .join('\n');
+    const document = {
+        createTextNode: text => ({ text }),
+        createElement: () => ({ mark: true, textContent: '' }),
+    };
+    const context = { document, searchDocs: null };
+    vm.runInNewContext(`${source}\nthis.search = { fold, rankPosts, appendHighlighted, snippetFor };`, context);
+    return context;
+}
+
+/** What appendHighlighted() appends, with the marked parts in [brackets]. */
+function highlighted(search, text, terms) {
+    const children = [];
+    search.appendHighlighted({ appendChild: node => children.push(node) }, text, terms);
+    return children.map(node => (node.mark ? `[${node.textContent}]` : node.text)).join('');
+}
+
+test('the Journal search folds text without moving anything', () => {
+    const { search } = journalSearch();
+    assert.equal(search.fold('Café… ’Naïve’ ﬁg'), "cafe… 'naive' ﬁg");
+    for (const text of ['Wait… rest', 'ﬁne ﬁsh', 'İstanbul', 'emoji 🌿 then words']) {
+        assert.equal(search.fold(text).length, text.length, text);
+    }
+});
+
+test('the Journal search highlights and quotes the match after an ellipsis', () => {
+    const context = journalSearch();
+    const { search } = context;
+    assert.equal(highlighted(search, 'Wait… then rest. Rest well.', ['rest']), 'Wait… then [rest]. [Rest] well.');
+    assert.equal(highlighted(search, 'Un café… très calme', ['tres']), 'Un café… [très] calme');
+
+    const text = `${'Slow days… '.repeat(12)}and then the water filter arrived.`;
+    const doc = { title: 'A filter', subtitle: '', category: 'Water', tags: [], text };
+    context.searchDocs = [{ doc, title: search.fold(doc.title), subtitle: '', labels: search.fold('Water'), text: search.fold(text) }];
+    const [result] = search.rankPosts('water');
+    const snippet = search.snippetFor(result);
+    assert.ok(snippet.includes('and then the water filter arrived.'), snippet);
+    assert.match(highlighted(search, snippet, result.terms), /the \[water\] filter/);
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for scripts/build-sitemap.js.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { toW3cDate, collectEntries, renderSitemap, buildSitemap } = require('../build-sitemap');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+test('toW3cDate reads manifest post dates and ISO timestamps', () => {
+    assert.equal(toW3cDate('Oct 1, 2025'), '2025-10-01');
+    assert.equal(toW3cDate('Sep 28, 2025'), '2025-09-28');
+    assert.equal(toW3cDate('2026-08-09T18:08:23.345Z'), '2026-08-09');
+    assert.equal(toW3cDate('someday'), '');
+    assert.equal(toW3cDate(null), '');
+});
+
+test('collectEntries dates pages from their source and lists posts newest first', () => {
+    const entries = collectEntries({
+        posts: {
+            posts: [
+                { number: 1, file: 'post-1.html', date: 'Mar 19, 2025' },
+                { number: 2, file: 'post-2.html', date: 'Oct 1, 2025' },
+            ],
+        },
+        events: { lastSync: '2026-08-09T18:08:23.345Z' },
+        linktree: null,
+    });
+    const byLoc = Object.fromEntries(entries.map(e => [e.loc, e]));
+
+    assert.equal(byLoc['https://holistiqueuk.com/events.html'].lastmod, '2026-08-09');
+    assert.equal(byLoc['https://holistiqueuk.com/blog.html'].lastmod, '2025-10-01');
+    assert.equal(byLoc['https://holistiqueuk.com/wellness-tools.html'].lastmod, '');
+    assert.equal(byLoc['https://holistiqueuk.com/acupuncture.html'].lastmod, '');
+    assert.deepEqual(
+        entries.filter(e => e.loc.includes('post-')).map(e => e.loc),
+        ['https://holistiqueuk.com/post-2.html', 'https://holistiqueuk.com/post-1.html']
+    );
+});
+
+test('collectEntries lists the Journal archive and category pages after the static pages', () => {
+    const posts = Array.from({ length: 14 }, (_, i) => ({
+        number: i + 1,
+        file: `journal/post-${i + 1}.html`,
+        date: `Sep ${i + 1}, 2026`,
+        category: i < 2 ? 'Health & Wellness' : 'Rest',
+    }));
+    const entries = collectEntries({ posts: { posts }, events: null, linktree: null });
+    const journal = entries.filter(e => /\/journal\/(?:page|category)\//.test(e.loc));
+    assert.deepEqual(journal.map(e => [e.loc, e.lastmod]), [
+        ['https://holistiqueuk.com/journal/page/2.html', '2026-09-01'],
+        ['https://holistiqueuk.com/journal/category/health-wellness.html', '2026-09-02'],
+        ['https://holistiqueuk.com/journal/category/rest.html', '2026-09-14'],
+    ]);
+    assert.equal(entries.indexOf(journal[0]), 6);
+});
+
+test('collectEntries lists upcoming then past event pages last, skipping events without one', () => {
+    const entries = collectEntries({
+        posts: null,
+        events: {
+            lastSync: '2026-10-12T06:00:00.000Z',
+            upcoming: [{ id: '1', page: 'events/sound-bath-2026-10-26.html' }, { id: '2' }],
+            past: [{ id: '3', page: 'events/equinox-2026-03-20.html' }],
+        },
+        linktree: null,
+    });
+    assert.deepEqual(entries.slice(-2).map(e => [e.loc, e.lastmod, e.changefreq, e.priority]), [
+        ['https://holistiqueuk.com/events/sound-bath-2026-10-26.html', '2026-10-12', 'weekly', '0.7'],
+        ['https://holistiqueuk.com/events/equinox-2026-03-20.html', '2026-10-12', 'yearly', '0.4'],
+    ]);
+});
+
+test('renderSitemap omits lastmod when unknown and ends with a newline', () => {
+    const xml = renderSitemap([
+        { loc: 'https://holistiqueuk.com/', lastmod: '', changefreq: 'weekly', priority: '1.0' },
+        { loc: 'https://holistiqueuk.com/post-1.html', lastmod: '2025-10-01', changefreq: 'yearly', priority: '0.6' },
+    ]);
+    assert.equal(xml, [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        '  <url>',
+        '    <loc>https://holistiqueuk.com/</loc>',
+        '    <changefreq>weekly</changefreq>',
+        '    <priority>1.0</priority>',
+        '  </url>',
+        '  <url>',
+        '    <loc>https://holistiqueuk.com/post-1.html</loc>',
+        '    <lastmod>2025-10-01</lastmod>',
+        '    <changefreq>yearly</changefreq>',
+        '    <priority>0.6</priority>',
+        '  </url>',
+        '</urlset>',
+        '',
+    ].join('\n'));
+});
+
+test('the committed sitemap.xml is what the builder renders, and every page it lists exists', () => {
+    const xml = buildSitemap();
+    assert.equal(fs.readFileSync(path.join(ROOT, 'sitemap.xml'), 'utf8'), xml,
+        'sitemap.xml is out of date: run node scripts/build-sitemap.js and commit it');
+    for (const [, loc] of xml.matchAll(/<loc>https:\/\/holistiqueuk\.com\/([^<]*)<\/loc>/g)) {
+        assert.ok(fs.existsSync(path.join(ROOT, loc || 'index.html')), `sitemap.xml lists ${loc}, which is not in the tree`);
+    }
+});
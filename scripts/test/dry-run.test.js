@@ -0,0 +1,123 @@
+/**
+ * Tests for --dry-run: the unified diff in scripts/lib/diff.js and the write
+ * staging in scripts/lib/sync-core.js. Dry-run mode is process-wide, so these
+ * live in their own file (node --test runs each file in its own process).
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { unifiedDiff } = require('../lib/diff');
+const core = require('../lib/sync-core');
+
+test('unifiedDiff returns an empty string for identical input', () => {
+    assert.equal(unifiedDiff('a\nb\n', 'a\nb\n'), '');
+});
+
+test('unifiedDiff produces diff -u style hunks with context', () => {
+    const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n') + '\n';
+    const after = ['1', '2', '3', '4', 'five', '6', '7', '8', '9', '10', '11'].join('\n') + '\n';
+    assert.equal(unifiedDiff(before, after, { fromFile: 'a/x', toFile: 'b/x' }), [
+        '--- a/x',
+        '+++ b/x',
+        '@@ -2,9 +2,10 @@',
+        ' 2',
+        ' 3',
+        ' 4',
+        '-5',
+        '+five',
+        ' 6',
+        ' 7',
+        ' 8',
+        ' 9',
+        ' 10',
+        '+11',
+        '',
+    ].join('\n'));
+});
+
+test('unifiedDiff splits distant changes into separate hunks', () => {
+    const lines = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+    const changed = lines.slice();
+    changed[1] = 'second';
+    changed[27] = 'twenty-eighth';
+    const diff = unifiedDiff(lines.join('\n') + '\n', changed.join('\n') + '\n');
+    assert.deepEqual(diff.split('\n').filter(l => l.startsWith('@@')), ['@@ -1,5 +1,5 @@', '@@ -25,6 +25,6 @@']);
+});
+
+test('unifiedDiff shows created and deleted files against /dev/null', () => {
+    assert.equal(unifiedDiff(null, 'new\n', { toFile: 'b/new.txt' }), '--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1,1 @@\n+new\n');
+    assert.equal(unifiedDiff('old\n', null, { fromFile: 'a/old.txt' }), '--- a/old.txt\n+++ /dev/null\n@@ -1,1 +0,0 @@\n-old\n');
+});
+
+test('dry-run stages writes in memory, serves them back and reports a diff', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const page = path.join(dir, 'page.html');
+    const gone = path.join(dir, 'gone.ics');
+    const manifest = path.join(dir, 'manifest.json');
+    const photo = path.join(dir, 'photo.png');
+    fs.writeFileSync(page, '<p>old</p>\n');
+    fs.writeFileSync(gone, 'BEGIN:VCALENDAR\n');
+
+    core.enableDryRun();
+    assert.equal(core.isDryRun(), true);
+
+    assert.equal(core.writeFileIfChanged(page, '<p>new</p>\n'), true);
+    core.saveManifest(manifest, { posts: [1] });
+    core.removeFile(gone);
+    core.writeFile(photo, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+    // Later steps see the staged state...
+    assert.equal(core.readFile(page), '<p>new</p>\n');
+    assert.deepEqual(core.loadManifest(manifest, null), { posts: [1] });
+    assert.equal(core.fileExists(gone), false);
+    assert.equal(core.fileExists(photo), true);
+    assert.equal(core.writeFileIfChanged(page, '<p>new</p>\n'), false);
+
+    // ...while the disk is untouched.
+    assert.equal(fs.readFileSync(page, 'utf8'), '<p>old</p>\n');
+    assert.equal(fs.existsSync(manifest), false);
+    assert.equal(fs.existsSync(gone), true);
+    assert.equal(fs.existsSync(photo), false);
+
+    const output = [];
+    const log = console.log;
+    const write = process.stdout.write;
+    console.log = (...args) => output.push(args.join(' ') + '\n');
+    process.stdout.write = (chunk) => { output.push(String(chunk)); return true; };
+    try {
+        core.reportDryRun();
+    } finally {
+        console.log = log;
+        process.stdout.write = write;
+    }
+    const text = output.join('');
+    assert.match(text, /4 file\(s\) would change/);
+    assert.match(text, /^Binary files \/dev\/null and b\/\S*photo\.png differ$/m);
+    assert.match(text, /-<p>old<\/p>\n\+<p>new<\/p>/);
+    assert.match(text, /\+\+\+ \/dev\/null/);
+    assert.match(text, /--- \/dev\/null/);
+});
+
+test('summarizeChanges reports added, removed and changed records by key', (t) => {
+    const log = console.log;
+    const lines = [];
+    console.log = (...args) => lines.push(args.join(' '));
+    t.after(() => { console.log = log; });
+
+    const result = core.summarizeChanges(
+        'Events',
+        [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }],
+        [{ id: 'b', name: 'B2' }, { id: 'c', name: 'C' }],
+        e => e.id,
+        e => e.name
+    );
+    assert.deepEqual(result, { added: ['c'], removed: ['a'], changed: ['b'] });
+    assert.deepEqual(lines, ['  Events: 1 added, 1 removed, 1 changed.', '    + C', '    - A', '    ~ B2']);
+});
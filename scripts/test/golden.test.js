@@ -0,0 +1,81 @@
+/**
+ * Golden-file tests: each sync runs against a copy of the fixture site in
+ * scripts/test/fixtures/site/, fed by scripts/mock-server.js, and every file it
+ * writes is compared byte for byte with scripts/test/golden/<sync>/.
+ *
+ * A generator change shows up here as a diff. If the new output is intended,
+ * regenerate the snapshots and review them like any other change:
+ *      UPDATE_GOLDEN=1 node --test scripts/test/
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { startMockServer } = require('../mock-server');
+const { unifiedDiff } = require('../lib/diff');
+const { SITE_FIXTURE, GOLDEN_DIR, runScript, siteEnv, makeSite, listFiles } = require('./helpers');
+
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+/** Files in the site that differ from (or are missing in) the fixture, as rel -> Buffer. */
+function changedFiles(siteDir) {
+    const changed = {};
+    for (const rel of listFiles(siteDir)) {
+        const content = fs.readFileSync(path.join(siteDir, rel));
+        const original = path.join(SITE_FIXTURE, rel);
+        if (!fs.existsSync(original) || !fs.readFileSync(original).equals(content)) changed[rel] = content;
+    }
+    return changed;
+}
+
+function checkGolden(name, written) {
+    const goldenDir = path.join(GOLDEN_DIR, name);
+
+    if (UPDATE) {
+        fs.rmSync(goldenDir, { recursive: true, force: true });
+        for (const [rel, content] of Object.entries(written)) {
+            fs.mkdirSync(path.dirname(path.join(goldenDir, rel)), { recursive: true });
+            fs.writeFileSync(path.join(goldenDir, rel), content);
+        }
+        return;
+    }
+
+    assert.deepEqual(Object.keys(written).sort(), listFiles(goldenDir), `files written by ${name}`);
+    for (const [rel, content] of Object.entries(written)) {
+        const expected = fs.readFileSync(path.join(goldenDir, rel));
+        const diff = unifiedDiff(expected.toString('utf8'), content.toString('utf8'), {
+            fromFile: `golden/${name}/${rel}`,
+            toFile: `actual/${rel}`,
+        });
+        assert.ok(expected.equals(content), `${name}/${rel} differs from its golden file:\n${diff}`);
+    }
+}
+
+test('sync output matches the golden files', async (t) => {
+    const mock = await startMockServer();
+    t.after(() => mock.close());
+
+    for (const [name, script] of [['medium', 'sync-medium.js'], ['events', 'sync-events.js'], ['linktree', 'sync-linktree.js']]) {
+        await t.test(name, async (t) => {
+            const siteDir = makeSite(t, [SITE_FIXTURE]);
+            const env = Object.assign({}, mock.env, siteEnv(siteDir));
+
+            const first = await runScript(script, [], env);
+            assert.equal(first.code, 0, first.stderr);
+            const written = changedFiles(siteDir);
+            checkGolden(name, written);
+
+            // A second run over its own output has nothing left to do.
+            const second = await runScript(script, [], env);
+            assert.equal(second.code, 0, second.stderr);
+            assert.deepEqual(Object.keys(changedFiles(siteDir)).sort(), Object.keys(written).sort());
+            for (const [rel, content] of Object.entries(written)) {
+                assert.ok(fs.readFileSync(path.join(siteDir, rel)).equals(content), `${name}: second run rewrote ${rel}`);
+            }
+        });
+    }
+});
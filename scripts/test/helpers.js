@@ -0,0 +1,93 @@
+/**
+ * Shared by the end-to-end tests: running a script as a child process, and
+ * seeding throwaway sites for it to run against.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const SCRIPTS_DIR = path.join(ROOT, 'scripts');
+const SITE_FIXTURE = path.join(__dirname, 'fixtures', 'site');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+// Pinned so lastSync, synced_at and every date derived from them are stable.
+const SYNC_NOW = '2026-10-12T06:00:00.000Z';
+
+// ── Running Scripts ─────────────────────────────────────────────────────────
+
+/** Run scripts/<script> from the repo root; resolves with { code, stdout, stderr } whatever the exit code. */
+function runScript(script, args = [], env = {}) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [path.join(SCRIPTS_DIR, script), ...args], {
+            cwd: ROOT,
+            env: Object.assign({}, process.env, env),
+            timeout: 60000,
+            maxBuffer: 16 * 1024 * 1024, // a dry-run diff can cover every Journal page
+        }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+/** Environment that points a script at siteDir, at the pinned time, in UTC. */
+function siteEnv(siteDir) {
+    return { SITE_ROOT: siteDir, SYNC_NOW, TZ: 'UTC' };
+}
+
+// ── Seeding Sites ───────────────────────────────────────────────────────────
+
+/**
+ * A temp directory, removed when t finishes, holding copies of each of layers
+ * laid over one another in order. With no layers it starts empty.
+ */
+function makeSite(t, layers = []) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const layer of layers) fs.cpSync(layer, dir, { recursive: true });
+    return dir;
+}
+
+/** The fixture site as the three syncs leave it: every golden file laid over it. */
+function makeSyncedSite(t) {
+    return makeSite(t, [SITE_FIXTURE, ...['medium', 'events', 'linktree'].map(sync => path.join(GOLDEN_DIR, sync))]);
+}
+
+/** A posts-manifest.json record for post number, with extra fields merged in. */
+function makePost(number, extra) {
+    return Object.assign({
+        number,
+        title: `Post ${number}`,
+        mediumUrl: `https://medium.com/@yvonne.holistique/post-${number}-abc${number}?source=rss-517af46e024b------2`,
+        file: `post-${number}.html`,
+        date: 'Oct 9, 2026',
+        category: 'Rest',
+    }, extra);
+}
+
+/** Site-relative paths of every file under dir, sorted. */
+function listFiles(dir, prefix = '') {
+    if (!fs.existsSync(dir)) return [];
+    const out = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) out.push(...listFiles(path.join(dir, entry.name), rel));
+        else out.push(rel);
+    }
+    return out.sort();
+}
+
+module.exports = {
+    ROOT,
+    SITE_FIXTURE,
+    GOLDEN_DIR,
+    SYNC_NOW,
+    runScript,
+    siteEnv,
+    makeSite,
+    makeSyncedSite,
+    makePost,
+    listFiles,
+};
@@ -0,0 +1,46 @@
+/**
+ * Unit tests for scripts/lib/image-size.js.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { imageSize } = require('../lib/image-size');
+
+test('imageSize reads PNG dimensions from the IHDR chunk', () => {
+    const png = fs.readFileSync(path.join(__dirname, 'fixtures', 'medium', 'images', '1400', '1_fixture-rest-hero.png'));
+    assert.deepEqual(imageSize(png), { type: 'png', width: 1400, height: 933 });
+});
+
+test('imageSize walks JPEG segments to the frame header', () => {
+    const jpeg = Buffer.from([
+        0xff, 0xd8,                                     // SOI
+        0xff, 0xe0, 0x00, 0x04, 0x4a, 0x46,             // APP0, 2 bytes of payload
+        0xff, 0xc2, 0x00, 0x0b, 0x08,                   // SOF2 (progressive), 8-bit
+        0x02, 0x1c, 0x02, 0xbc,                         // height 540, width 700
+        0x01, 0x01, 0x11, 0x00,
+    ]);
+    assert.deepEqual(imageSize(jpeg), { type: 'jpg', width: 700, height: 540 });
+});
+
+test('imageSize reads GIF and WebP headers', () => {
+    const gif = Buffer.from('GIF89a\x40\x01\xf0\x00\x00\x00', 'latin1');
+    assert.deepEqual(imageSize(gif), { type: 'gif', width: 320, height: 240 });
+
+    const vp8x = Buffer.alloc(30);
+    vp8x.write('RIFF', 0, 'ascii');
+    vp8x.write('WEBPVP8X', 8, 'ascii');
+    vp8x.writeUIntLE(1399, 24, 3);
+    vp8x.writeUIntLE(932, 27, 3);
+    assert.deepEqual(imageSize(vp8x), { type: 'webp', width: 1400, height: 933 });
+});
+
+test('imageSize returns null for anything that is not an image', () => {
+    assert.equal(imageSize(Buffer.from('<!DOCTYPE html><html>rate limited</html>')), null);
+    assert.equal(imageSize(Buffer.from([0xff, 0xd8, 0xff])), null);
+    assert.equal(imageSize('not a buffer'), null);
+});
@@ -0,0 +1,57 @@
+/**
+ * Unit tests for scripts/lib/journal-pages.js.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { POSTS_PER_PAGE, archiveFile, journalPages } = require('../lib/journal-pages');
+
+const post = (number, category, extra = {}) => Object.assign({
+    number,
+    file: `journal/post-${number}.html`,
+    date: `Sep ${number}, 2026`,
+    category,
+}, extra);
+
+test('journalPages features the newest post and pages the rest', () => {
+    const posts = Array.from({ length: 2 * POSTS_PER_PAGE + 2 }, (_, i) => post(i + 1, 'Rest'));
+    const { featured, archive } = journalPages(posts);
+    assert.equal(featured.number, posts.length);
+    assert.deepEqual(archive.map(p => [p.page, p.file, p.posts.length]), [
+        [1, 'blog-post.html', POSTS_PER_PAGE],
+        [2, 'journal/page/2.html', POSTS_PER_PAGE],
+        [3, 'journal/page/3.html', 1],
+    ]);
+    assert.equal(archive[0].posts[0].number, posts.length - 1);
+    assert.equal(archive[2].posts[0].number, 1);
+});
+
+test('journalPages always has a first page, even with no posts', () => {
+    assert.deepEqual(journalPages([]), { featured: null, archive: [{ page: 1, file: 'blog-post.html', posts: [] }], categories: [] });
+    assert.deepEqual(journalPages(undefined).archive.map(p => p.file), ['blog-post.html']);
+});
+
+test('journalPages gives each category a page of all its posts, A–Z', () => {
+    const posts = [
+        post(1, 'Rest'),
+        post(2, 'Health & Wellness'),
+        post(3, 'Health and Wellness'),
+        post(4, 'Rest', { removedAt: '2026-10-12T06:00:00.000Z' }),
+        post(5, 'Rest'),
+    ];
+    const { categories } = journalPages(posts);
+    assert.deepEqual(categories.map(c => [c.category, c.file, c.posts.map(p => p.number)]), [
+        ['Health & Wellness', 'journal/category/health-wellness.html', [2]],
+        ['Health and Wellness', 'journal/category/health-and-wellness.html', [3]],
+        ['Rest', 'journal/category/rest.html', [5, 1]],
+    ]);
+    assert.equal(journalPages([post(1, 'Self-Care'), post(2, 'Self Care')]).categories[1].file, 'journal/category/self-care-2.html');
+});
+
+test('archiveFile is the Journal for page 1', () => {
+    assert.equal(archiveFile(1), 'blog-post.html');
+    assert.equal(archiveFile(4), 'journal/page/4.html');
+});
@@ -0,0 +1,142 @@
+/**
+ * End-to-end runs of scripts/sync-medium.js over posts it has already synced:
+ * pages still at post-N.html move to their slugs, an edit on Medium rebuilds the
+ * page and the Journal index, and a post gone from the feed is flagged, then
+ * taken down with --remove-unpublished. Runs against a copy of scripts/test/fixtures/site/ fed
+ * by scripts/mock-server.js.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { startMockServer } = require('../mock-server');
+const { SITE_FIXTURE, SYNC_NOW, runScript, siteEnv, makeSite } = require('./helpers');
+
+const read = (siteDir, rel) => fs.readFileSync(path.join(siteDir, rel), 'utf8');
+
+/**
+ * A copy of the fixture site with post 1 synced from an older revision of its feed item,
+ * and a synced post 2 that Medium no longer lists.
+ */
+function seedSite(t) {
+    const siteDir = makeSite(t, [SITE_FIXTURE]);
+
+    const manifest = JSON.parse(read(siteDir, 'posts-manifest.json'));
+    manifest.posts[0].contentHash = '0000000000000000';
+    manifest.posts.push({
+        number: 2,
+        title: 'Withdrawn Thoughts',
+        mediumUrl: 'https://medium.com/@yvonne.holistique/withdrawn-thoughts-aa11bb22cc33',
+        file: 'post-2.html',
+        date: 'Sep 1, 2026',
+        category: 'Journal',
+        tags: [],
+        contentHash: '1111111111111111',
+        newsletterSentAt: null,
+    });
+    manifest.lastPostNumber = 2;
+    fs.writeFileSync(path.join(siteDir, 'posts-manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+
+    fs.writeFileSync(path.join(siteDir, 'post-2.html'), read(siteDir, 'post-1.html'));
+    const blog = read(siteDir, 'blog-post.html').replace('<!-- BLOG-POSTS-START -->', `<!-- BLOG-POSTS-START -->
+                        <!-- Card 2 (auto-synced) -->
+                        <a href="post-2.html" class="article-card">
+                            <h3 class="card-title">Withdrawn Thoughts</h3>
+                        </a>
+`);
+    fs.writeFileSync(path.join(siteDir, 'blog-post.html'), blog);
+    return siteDir;
+}
+
+test('sync-medium applies edits and handles unpublished posts', async (t) => {
+    const mock = await startMockServer();
+    t.after(() => mock.close());
+    const siteDir = seedSite(t);
+    const env = Object.assign({}, mock.env, siteEnv(siteDir));
+    const postTwo = read(siteDir, 'post-2.html');
+
+    await t.test('pages move to their slugs, an edited post is regenerated and an unpublished one flagged', async () => {
+        const { code, stdout, stderr } = await runScript('sync-medium.js', [], env);
+        assert.equal(code, 0, stderr);
+        assert.match(stdout, /Moved post-1\.html to journal\/the-boy-who-cried-gordan-ramsey\.html\./);
+        assert.match(stdout, /Moved post-2\.html to journal\/withdrawn-thoughts\.html\./);
+        assert.match(stdout, /Regenerated journal\/the-boy-who-cried-gordan-ramsey\.html: "The Boy Who Cried “Gordan Ramsey”"/);
+        assert.match(stderr, /journal\/withdrawn-thoughts\.html \("Withdrawn Thoughts"\) is no longer on Medium; flagged as unpublished\./);
+        assert.match(stdout, /1 unpublished post\(s\) still live; re-run with --remove-unpublished/);
+
+        const manifest = JSON.parse(read(siteDir, 'posts-manifest.json'));
+        const [one, two, three] = manifest.posts;
+        assert.notEqual(one.contentHash, '0000000000000000');
+        assert.equal(one.updatedAt, SYNC_NOW);
+        assert.equal(two.updatedAt, undefined);
+        assert.equal(one.slug, 'the-boy-who-cried-gordan-ramsey');
+        assert.equal(two.file, 'journal/withdrawn-thoughts.html');
+        assert.equal(two.unpublishedAt, SYNC_NOW);
+        assert.equal(two.removedAt, undefined);
+        assert.equal(three.file, 'journal/learning-to-rest-like-it-matters.html');
+
+        // The old paths redirect to the new ones.
+        assert.match(read(siteDir, 'post-1.html'), /<meta http-equiv="refresh" content="0; url=journal\/the-boy-who-cried-gordan-ramsey\.html">/);
+        assert.match(read(siteDir, 'post-2.html'), /<link rel="canonical" href="https:\/\/holistiqueuk\.com\/journal\/withdrawn-thoughts\.html">/);
+
+        // Flagged posts stay up, moved but otherwise untouched, and leave the sitemap and feeds.
+        const movedTwo = read(siteDir, 'journal/withdrawn-thoughts.html');
+        assert.equal(movedTwo, postTwo
+            .split('https://holistiqueuk.com/post-1.html').join('https://holistiqueuk.com/journal/withdrawn-thoughts.html')
+            .replace(/href="(index|blog|blog-post)\.html"/g, 'href="../$1.html"'));
+        assert.match(read(siteDir, 'blog-post.html'), /<a href="journal\/withdrawn-thoughts\.html" class="article-card">/);
+        assert.ok(!read(siteDir, 'sitemap.xml').includes('withdrawn-thoughts'));
+        assert.ok(!read(siteDir, 'feed.json').includes('withdrawn-thoughts'));
+        assert.match(read(siteDir, 'atom.xml'), /<id>https:\/\/holistiqueuk\.com\/journal\/the-boy-who-cried-gordan-ramsey\.html<\/id>[\s\S]*?<updated>2026-10-12T06:00:00Z<\/updated>/);
+
+        const blog = read(siteDir, 'blog-post.html');
+        assert.ok(!blog.includes('href="post-'));
+        assert.equal(blog.match(/<a href="journal\/the-boy-who-cried-gordan-ramsey\.html" class="article-card">/g).length, 1);
+        assert.ok(!blog.includes('A story about friendship, cooking and honesty.'));
+        assert.match(blog, /<!-- Card 1 -->\s+<a href="journal\/the-boy-who-cried-gordan-ramsey\.html" class="article-card">[\s\S]*?<p class="card-excerpt">Already synced; the script must skip this item\.<\/p>/);
+        // The index is rebuilt newest first: the new post is featured, then 2 and 1.
+        assert.match(blog, /<h1 class="hero-title"><a href="journal\/learning-to-rest-like-it-matters\.html">/);
+        assert.ok(blog.indexOf('<!-- Card 2 -->') < blog.indexOf('<!-- Card 1 -->'));
+        assert.match(blog, /<li class="is-active" data-category="all"><a href="blog-post\.html"><span>All<\/span><span class="count">3<\/span><\/a><\/li>/);
+        assert.match(read(siteDir, 'journal/category/journal.html'), /<a href="\.\.\/withdrawn-thoughts\.html" class="article-card">/);
+        assert.match(read(siteDir, 'sitemap.xml'), /<loc>https:\/\/holistiqueuk\.com\/journal\/the-boy-who-cried-gordan-ramsey\.html<\/loc>/);
+
+        // Post pages suggest each other, but never the flagged post; its page (no back link here) is skipped.
+        const related = read(siteDir, 'journal/the-boy-who-cried-gordan-ramsey.html').match(/<!-- RELATED-POSTS-START -->[\s\S]*<!-- RELATED-POSTS-END -->/)[0];
+        assert.match(related, /<a href="learning-to-rest-like-it-matters\.html" class="related-card">/);
+        assert.ok(!related.includes('withdrawn-thoughts'));
+        assert.match(stderr, /no place for related posts in journal\/withdrawn-thoughts\.html/);
+    });
+
+    await t.test('an unchanged feed leaves everything as it is', async () => {
+        const files = ['posts-manifest.json', 'blog-post.html', 'post-1.html', 'journal/the-boy-who-cried-gordan-ramsey.html'];
+        const before = files.map(rel => read(siteDir, rel));
+        const { code, stdout, stderr } = await runScript('sync-medium.js', [], env);
+        assert.equal(code, 0, stderr);
+        assert.match(stdout, /No new or edited posts found\./);
+        assert.doesNotMatch(stdout, /Moved/);
+        assert.deepEqual(files.map(rel => read(siteDir, rel)), before);
+    });
+
+    await t.test('--remove-unpublished takes the post off the Journal and redirects the page', async () => {
+        const { code, stdout, stderr } = await runScript('sync-medium.js', ['--remove-unpublished'], env);
+        assert.equal(code, 0, stderr);
+        assert.match(stdout, /Removed journal\/withdrawn-thoughts\.html; it now redirects to blog-post\.html\./);
+
+        const two = JSON.parse(read(siteDir, 'posts-manifest.json')).posts[1];
+        assert.equal(two.unpublishedAt, SYNC_NOW);
+        assert.equal(two.removedAt, SYNC_NOW);
+        assert.match(read(siteDir, 'journal/withdrawn-thoughts.html'), /<meta http-equiv="refresh" content="0; url=\.\.\/blog-post\.html">/);
+        // The old path goes straight to the Journal rather than through the removed page.
+        assert.match(read(siteDir, 'post-2.html'), /<meta http-equiv="refresh" content="0; url=blog-post\.html">/);
+        const blog = read(siteDir, 'blog-post.html');
+        assert.ok(!blog.includes('withdrawn-thoughts'));
+        assert.ok(!blog.includes('data-category="Journal"'));
+        assert.ok(!fs.existsSync(path.join(siteDir, 'journal/category/journal.html')));
+        assert.match(blog, /<a href="journal\/the-boy-who-cried-gordan-ramsey\.html" class="article-card">/);
+    });
+});
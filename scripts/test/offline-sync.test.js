@@ -0,0 +1,89 @@
+/**
+ * End-to-end runs of the three sync scripts against scripts/mock-server.js and
+ * the recorded fixtures — no network needed. Each script runs with --dry-run, so
+ * the whole pipeline (pages, manifests, sitemap, feeds, calendars) executes
+ * against the real tree without writing to it.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { startMockServer } = require('../mock-server');
+const { ROOT, runScript } = require('./helpers');
+
+const WATCHED = ['posts-manifest.json', 'events-manifest.json', 'linktree-manifest.json', 'sitemap.xml', 'feed.xml', 'events.ics'];
+
+function snapshot() {
+    return WATCHED.map(rel => {
+        const file = path.join(ROOT, rel);
+        return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    });
+}
+
+test('offline sync pipeline', async (t) => {
+    const mock = await startMockServer();
+    t.after(() => mock.close());
+    const before = snapshot();
+
+    await t.test('sync-medium picks up only the new post from the recorded feed', async () => {
+        const { code, stdout, stderr } = await runScript('sync-medium.js', ['--dry-run'], mock.env);
+        assert.equal(code, 0, stderr);
+        assert.match(stdout, /Found 2 items in RSS feed\./);
+        assert.match(stdout, /Found 1 new post\(s\) to sync\./);
+        assert.match(stdout, /Created journal\/learning-to-rest-like-it-matters\.html: "Learning to Rest Like It Matters"/);
+        // Every post is already at its slug; the one synced from this feed
+        // before hashes were kept is not regenerated, only gains its content hash.
+        assert.doesNotMatch(stdout, /Moved/);
+        assert.match(stdout, /Posts: 1 added, 0 removed, 1 changed\./);
+        assert.doesNotMatch(stdout, /Regenerated/);
+        assert.match(stdout, /Downloaded image 1\*fixture-rest-hero\.png \(700w, 1400w\)/);
+        assert.match(stdout, /Binary files \/dev\/null and b\/photos\/[0-9a-f]{16}\.png differ/);
+        // The tea photo has neither alt text nor a caption on Medium.
+        assert.match(stderr, /Warning: journal\/learning-to-rest-like-it-matters\.html has an image without alt text: photos\/[0-9a-f]{16}\.png/);
+        assert.match(stdout, /Nothing was written\./);
+        assert.ok(mock.requests.includes('/medium/feed'));
+    });
+
+    await t.test('sync-events follows continuation tokens across pages', async () => {
+        const { code, stdout, stderr } = await runScript('sync-events.js', ['--dry-run'], mock.env);
+        assert.equal(code, 0, stderr);
+        assert.match(stdout, /Found 5 upcoming event\(s\)\./);
+        assert.match(stdout, /Found 2 past event\(s\)/);
+        assert.match(stdout, /\+\+\+ b\/calendar\/2000000000002\.ics/);
+        assert.match(stdout, /EVENTS_CHANGED=true/);
+        assert.match(stdout, /\+\+\+ b\/events\/full-moon-sound-bath-2026-10-26\.html/);
+        assert.ok(mock.requests.includes('/eventbrite/v3/events/1995462176085/description/'));
+        // No full description is recorded for the past events; their pages use the summary.
+        assert.match(stderr, /Warning: could not fetch the description of event 1900000000001: HTTP 404/);
+        const pages = mock.requests.filter(u => u.startsWith('/eventbrite/v3/organizations/fixture-org/events/?status=live'));
+        assert.equal(pages.length, 2);
+        assert.match(pages[1], /&continuation=eyJwYWdlIjogMn0$/);
+    });
+
+    await t.test('sync-linktree parses the group and skips non-product hosts', async () => {
+        const { code, stdout, stderr } = await runScript('sync-linktree.js', ['--dry-run'], mock.env);
+        assert.equal(code, 0, stderr);
+        assert.match(stdout, /Found group "Wellness Tools Discount Codes" with 5 CLASSIC link\(s\)\./);
+        assert.match(stdout, /Parsed 4 product link\(s\)\./);
+        assert.match(stdout, /Auto-enrichment: nothing to fetch\./);
+        assert.match(stdout, /Sync complete! 4 wellness tool\(s\)\./);
+    });
+
+    await t.test('a missing endpoint fails the sync instead of falling back', async () => {
+        const env = Object.assign({}, mock.env, { MEDIUM_RSS_URL: `${mock.base}/medium/missing` });
+        const { code, stderr } = await runScript('sync-medium.js', ['--dry-run'], env);
+        assert.equal(code, 1);
+        assert.match(stderr, /Failed to fetch RSS feed: HTTP 404/);
+    });
+
+    await t.test('Eventbrite calls without a token are rejected like the real API', async () => {
+        const res = await fetch(`${mock.base}/eventbrite/v3/organizations/fixture-org/events/?status=live`);
+        assert.equal(res.status, 401);
+    });
+
+    assert.deepEqual(snapshot(), before, 'a dry run must not touch the tree');
+});
@@ -0,0 +1,160 @@
+/**
+ * End-to-end tests for scripts/render-pages.js: it runs against the fixture
+ * site as the three syncs leave it (the fixture with every golden file laid
+ * over it), so a page that is already current must come out byte for byte the
+ * same, and one rendered with older templates must come out current.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { ROOT, SITE_FIXTURE, runScript, siteEnv, makeSite, makeSyncedSite, listFiles } = require('./helpers');
+const { startMockServer } = require('../mock-server');
+
+const POST_FILE = 'journal/learning-to-rest-like-it-matters.html';
+// The fixture's post 1 was written by hand; the sync only moved it to its slug.
+const HAND_MADE_FILE = 'journal/the-boy-who-cried-gordan-ramsey.html';
+
+/** Every file under dir, as site-relative path -> contents. */
+function snapshot(dir) {
+    return Object.fromEntries(listFiles(dir).map(rel => [rel, fs.readFileSync(path.join(dir, rel), 'utf8')]));
+}
+
+/** Run render-pages.js against siteDir, with the mock server standing in for Medium's image CDN. */
+async function renderPages(t, siteDir, args = [], env = siteEnv(siteDir)) {
+    const mock = await startMockServer();
+    t.after(() => mock.close());
+    return runScript('render-pages.js', args, Object.assign({}, mock.env, env));
+}
+
+test('render-pages leaves a freshly synced site as it is', async (t) => {
+    const site = makeSyncedSite(t);
+    const before = snapshot(site);
+    const { code, stdout, stderr } = await renderPages(t, site);
+    assert.equal(code, 0, stderr);
+    assert.match(stdout, /Posts: 0 page\(s\) re-rendered\./);
+    assert.match(stdout, /Left 1 hand-made post page\(s\) as they are\./);
+    assert.deepEqual(snapshot(site), before);
+});
+
+test('render-pages brings pages rendered with older templates up to date', async (t) => {
+    const site = makeSyncedSite(t);
+    const before = snapshot(site);
+    const stale = {
+        [POST_FILE]: before[POST_FILE]
+            .replace(/<nav class="header-nav">[\s\S]*?<\/nav>/, '<nav class="header-nav"><a href="#">About</a></nav>')
+            .replace(/&copy; \d{4}/, '&copy; 2024'),
+        'events.html': before['events.html'].replace(/class="event-card reveal"/g, 'class="event-card"'),
+    };
+    for (const [rel, html] of Object.entries(stale)) {
+        assert.notEqual(html, before[rel], rel);
+        fs.writeFileSync(path.join(site, rel), html);
+    }
+
+    const dry = await renderPages(t, site, ['--dry-run']);
+    assert.equal(dry.code, 0, dry.stderr);
+    assert.match(dry.stdout, /\+\+\+ b\/journal\/learning-to-rest-like-it-matters\.html/);
+    assert.equal(fs.readFileSync(path.join(site, POST_FILE), 'utf8'), stale[POST_FILE]);
+
+    const { code, stdout, stderr } = await renderPages(t, site);
+    assert.equal(code, 0, stderr);
+    assert.match(stdout, /Posts: 1 page\(s\) re-rendered\./);
+    assert.deepEqual(snapshot(site), before);
+});
+
+test('render-pages leaves hand-made post pages as they are', async (t) => {
+    const site = makeSyncedSite(t);
+    const handMade = fs.readFileSync(path.join(site, HAND_MADE_FILE), 'utf8')
+        .replace('<head>', '<head>\n    <meta property="og:description" content="Written for sharing, by hand.">');
+    fs.writeFileSync(path.join(site, HAND_MADE_FILE), handMade);
+
+    const { code, stderr } = await renderPages(t, site);
+    assert.equal(code, 0, stderr);
+    assert.equal(fs.readFileSync(path.join(site, HAND_MADE_FILE), 'utf8'), handMade);
+});
+
+test('render-pages keeps the index fields it reads off the Journal', async (t) => {
+    const site = makeSyncedSite(t);
+    const before = snapshot(site);
+    const manifest = JSON.parse(before['posts-manifest.json']);
+    for (const post of manifest.posts) {
+        delete post.excerpt;
+        delete post.readTime;
+        delete post.image;
+    }
+    fs.writeFileSync(path.join(site, 'posts-manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+
+    const { code, stderr } = await renderPages(t, site);
+    assert.equal(code, 0, stderr);
+    const kept = JSON.parse(fs.readFileSync(path.join(site, 'posts-manifest.json'), 'utf8')).posts;
+    assert.deepEqual(kept.map(p => [p.excerpt, p.readTime]), JSON.parse(before['posts-manifest.json']).posts.map(p => [p.excerpt, p.readTime]));
+    assert.ok(kept.every(p => p.image));
+});
+
+test('render-pages self-hosts the Medium images posts still show', async (t) => {
+    const site = makeSyncedSite(t);
+    const before = snapshot(site);
+    // As if post 2 were synced before images were self-hosted: its page and card
+    // show Medium's copies, and neither photos/ nor the manifest know of them.
+    const manifest = JSON.parse(before['posts-manifest.json']);
+    const ids = {};
+    for (const [id, record] of Object.entries(manifest.images)) {
+        for (const variant of record.variants) ids[variant.file] = id;
+    }
+    delete manifest.images;
+    fs.writeFileSync(path.join(site, 'posts-manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+    fs.rmSync(path.join(site, 'photos'), { recursive: true });
+    const unhosted = html => html
+        .replace(/(src="(?:\.\.\/)?photos\/[^"]+")(?: width="\d+" height="\d+")?(?: srcset="[^"]*" sizes="[^"]*")?/g, '$1')
+        .replace(/(?:\.\.\/|https:\/\/holistiqueuk\.com\/)?(photos\/[\w.]+)/g, (_, file) => `https://cdn-images-1.medium.com/max/1024/${ids[file]}`);
+    for (const rel of [POST_FILE, 'blog-post.html']) {
+        fs.writeFileSync(path.join(site, rel), unhosted(before[rel]));
+    }
+    assert.ok(!fs.readFileSync(path.join(site, POST_FILE), 'utf8').includes('photos/'));
+
+    const { code, stdout, stderr } = await renderPages(t, site);
+    assert.equal(code, 0, stderr);
+    assert.match(stdout, /Downloaded image 1\*fixture-rest-hero\.png \(700w, 1400w\)/);
+    assert.match(stdout, /Downloaded image 1\*fixture-rest-tea\.png \(640w\)/);
+    // Post 1's image is not on the CDN: it keeps its Medium URL.
+    assert.match(stderr, /Could not download image 1\*fixture-gordan\.jpeg/);
+    assert.deepEqual(snapshot(site), before);
+});
+
+test('render-pages moves posts from before slugs to their own pages, once', async (t) => {
+    // The fixture's post 1 is still at post-N.html, as the Journal was before slugs.
+    const site = makeSite(t, [SITE_FIXTURE]);
+    const read = rel => fs.readFileSync(path.join(site, rel), 'utf8');
+    const original = read('post-1.html');
+
+    const { code, stdout, stderr } = await renderPages(t, site);
+    assert.equal(code, 0, stderr);
+    assert.match(stdout, /Moved post-1\.html to journal\/the-boy-who-cried-gordan-ramsey\.html\./);
+    const [post] = JSON.parse(read('posts-manifest.json')).posts;
+    assert.equal(post.slug, 'the-boy-who-cried-gordan-ramsey');
+    assert.equal(post.file, HAND_MADE_FILE);
+    // The hand-made page moves as it is (it has no relative links to rebase).
+    assert.equal(read(HAND_MADE_FILE), original);
+    assert.match(read('post-1.html'), /<meta http-equiv="refresh" content="0; url=journal\/the-boy-who-cried-gordan-ramsey\.html">/);
+    assert.ok(!read('blog-post.html').includes('href="post-1.html"'));
+    assert.match(read('blog-post.html'), /<h1 class="hero-title"><a href="journal\/the-boy-who-cried-gordan-ramsey\.html">/);
+    assert.match(read('sitemap.xml'), /<loc>https:\/\/holistiqueuk\.com\/journal\/the-boy-who-cried-gordan-ramsey\.html<\/loc>/);
+    assert.ok(!read('feed.json').includes('post-1.html'));
+
+    const before = snapshot(site);
+    const again = await renderPages(t, site);
+    assert.equal(again.code, 0, again.stderr);
+    assert.doesNotMatch(again.stdout, /Moved/);
+    assert.deepEqual(snapshot(site), before);
+});
+
+test('the committed site is already as render-pages renders it', async (t) => {
+    // Otherwise the render workflow would push the difference, unreviewed.
+    const { code, stdout, stderr } = await renderPages(t, ROOT, ['--dry-run'], { SITE_ROOT: ROOT });
+    assert.equal(code, 0, stderr);
+    assert.match(stdout, /Dry run: no files would change\./);
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for scripts/lib/sanitize-html.js, most of them against the hostile
+ * post body in scripts/test/fixtures/medium/hostile.html.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { safeUrl, sanitizeHtml, summarizeRemoved } = require('../lib/sanitize-html');
+const { renderPost } = require('../sync-medium');
+
+const HOSTILE = fs.readFileSync(path.join(__dirname, 'fixtures', 'medium', 'hostile.html'), 'utf8');
+
+test('sanitizeHtml leaves nothing executable in the hostile fixture', () => {
+    const { html } = sanitizeHtml(HOSTILE);
+    assert.doesNotMatch(html, /<(?:script|style|iframe|object|embed|svg|form|input|button|meta|base)\b/i);
+    assert.doesNotMatch(html, /\son\w+=/i);
+    assert.doesNotMatch(html, /\sstyle=/i);
+    assert.doesNotMatch(html, /="\s*(?:javascript|vbscript|data):/i);
+    assert.ok(!html.includes('evil.example/x.js'));
+    assert.ok(!html.includes('document.cookie'));
+    assert.ok(!html.includes('<!--'));
+});
+
+test('sanitizeHtml keeps the allowed markup and text', () => {
+    const { html } = sanitizeHtml(HOSTILE);
+    assert.match(html, /<h3>Nothing to see here<\/h3>/);
+    assert.match(html, /<p>A paragraph with a handler and a style\.<\/p>/);
+    assert.match(html, /<p><a>plain javascript: link<\/a><\/p>/);
+    assert.match(html, /<a href="mailto:yvonne@holistiqueuk\.com">mail link<\/a>/);
+    assert.match(html, /<img src="https:\/\/cdn\.example\/a\.png" srcset="https:\/\/cdn\.example\/a@2x\.png 2x" alt="mixed srcset">/);
+    // A quoted ">" stays inside its attribute, re-escaped.
+    assert.match(html, /alt="quoted &quot;&gt; &lt;script&gt;alert\(9\)&lt;\/script&gt;"/);
+    // Unwrapped elements keep their text.
+    assert.match(html, /\bPay\b/);
+});
+
+test('sanitizeHtml drops tags named after Object.prototype keys', () => {
+    assert.deepEqual(sanitizeHtml('<p>a<constructor>b</constructor></p>'), { html: '<p>ab</p>', removed: ['<constructor>'] });
+    assert.deepEqual(sanitizeHtml('<constructor onclick=alert(1)>x</constructor>'), { html: 'x', removed: ['<constructor>'] });
+    const { html } = sanitizeHtml(HOSTILE);
+    assert.match(html, /<p>ab<\/p>/);
+    assert.match(html, /<p>prototype-named tag<\/p>/);
+});
+
+test('sanitizeHtml balances end tags so the body cannot close the page around it', () => {
+    const { html } = sanitizeHtml(HOSTILE);
+    assert.match(html, /<p>Unbalanced close tags try to escape the article body\.<\/p>/);
+    assert.doesNotMatch(html, /<\/(?:div|article|main)>\s*<\/p>/);
+    assert.ok(html.trimEnd().endsWith('<p>An unclosed <strong>bold run\n</strong></p>'));
+    assert.equal(sanitizeHtml('<ul><li>one<li>two</ul></div>').html, '<ul><li>one<li>two</li></li></ul>');
+});
+
+test('sanitizeHtml gives links to other sites rel="noopener"', () => {
+    assert.equal(sanitizeHtml('<a href="https://evil.example/" target="_top" rel="opener">x</a>').html,
+        '<a href="https://evil.example/" rel="noopener">x</a>');
+    assert.equal(sanitizeHtml('<a href="https://example.com/" target="_blank" rel="nofollow">x</a>').html,
+        '<a href="https://example.com/" target="_blank" rel="nofollow noopener">x</a>');
+    assert.equal(sanitizeHtml('<a href="https://holistiqueuk.com/events.html">x</a>').html,
+        '<a href="https://holistiqueuk.com/events.html">x</a>');
+    assert.equal(sanitizeHtml('<a href="post-2.html">x</a>').html, '<a href="post-2.html">x</a>');
+});
+
+test('sanitizeHtml keeps the click-to-load embeds sync-medium writes', () => {
+    const embed = '<figure class="embed embed--video"><div class="embed__frame" ' +
+        'data-embed-src="https://www.youtube-nocookie.com/embed/aBcD3fGh1jK?autoplay=1" data-embed-title="Body scan">' +
+        '<a class="embed__poster" href="https://www.youtube.com/watch?v=aBcD3fGh1jK" target="_blank" rel="noopener" aria-label="Play video: Body scan">' +
+        '<span class="embed__play" aria-hidden="true"></span></a></div><figcaption>Body scan</figcaption></figure>' +
+        '<div class="separator">&middot; &middot; &middot;</div><pre><code>const a = 1 &lt; 2;</code></pre>';
+    assert.deepEqual(sanitizeHtml(embed), { html: embed, removed: [] });
+});
+
+test('sanitizeHtml reports what it removed', () => {
+    const { removed } = sanitizeHtml(HOSTILE);
+    assert.equal(summarizeRemoved(removed),
+        'onclick on <p>, style on <p>, <script> ×2, <style>, unsafe href on <a> ×5, target on <a>, ' +
+        'onerror on <img> ×2, unsafe srcset entry on <img>, unsafe data-embed-src on <div> ×2, <iframe>, ' +
+        '<object>, <svg>, <form>, <input>, <button>, <meta>, <base>, <constructor> ×2');
+    assert.deepEqual(sanitizeHtml('<p>fine</p>').removed, []);
+});
+
+test('safeUrl allows web, mail and relative URLs only', () => {
+    assert.equal(safeUrl('https://example.com/a'), 'https://example.com/a');
+    assert.equal(safeUrl('post-2.html#top'), 'post-2.html#top');
+    assert.equal(safeUrl('//cdn.example/a.png', 'src'), 'https://cdn.example/a.png');
+    assert.equal(safeUrl('mailto:a@b.c'), 'mailto:a@b.c');
+    assert.equal(safeUrl('mailto:a@b.c', 'src'), null);
+    assert.equal(safeUrl('java\nscript:alert(1)'), null);
+    assert.equal(safeUrl('\u0001javascript:alert(1)'), null);
+    assert.equal(safeUrl('https://player.vimeo.com/video/1?dnt=1', 'data-embed-src'), 'https://player.vimeo.com/video/1?dnt=1');
+    assert.equal(safeUrl('http://player.vimeo.com/video/1', 'data-embed-src'), null);
+    assert.equal(safeUrl('https://www.youtube.com/embed/x', 'data-embed-src'), null);
+});
+
+test('renderPost sanitizes the body and hero image of a hostile feed item', () => {
+    const item = {
+        title: 'Hostile',
+        link: 'https://medium.com/@yvonne.holistique/hostile-0123456789ab',
+        pubDate: 'Mon, 12 Oct 2026 06:00:00 GMT',
+        contentEncoded: '<figure><img src="javascript:alert(0)"></figure>' + HOSTILE,
+        categories: [],
+    };
+    const rendered = renderPost(item, { number: 99, slug: 'hostile' });
+    const body = rendered.postHtml.match(/<div class="article-body">([\s\S]*?)<div class="author-bio">/);
+    assert.ok(body, 'article body found');
+    assert.doesNotMatch(body[1], /<script|\son\w+=|="javascript:/i);
+    assert.doesNotMatch(rendered.postHtml, /src="javascript:|evil\.example\/x\.js|onerror=/);
+    assert.ok(rendered.removed.includes('<script>'));
+    assert.ok(rendered.removed.includes('onerror on <img>'));
+});
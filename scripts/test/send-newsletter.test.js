@@ -0,0 +1,289 @@
+/**
+ * Tests for scripts/send-newsletter.js: which posts and events are pending, the
+ * idempotency keys, and full runs against a local webhook over temp copies of
+ * the manifests.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    pendingPosts,
+    idempotencyKey,
+    digestIdempotencyKey,
+    postPayload,
+    digestPayload,
+    pendingAnnouncements,
+    dueReminders,
+    eventPayload,
+} = require('../send-newsletter');
+
+const { runScript, siteEnv, makeSite, makePost } = require('./helpers');
+
+// ── Selecting & Keys ────────────────────────────────────────────────────────
+
+test('the sender loads neither sync script', () => {
+    const loaded = Object.keys(require.cache).map(file => path.basename(file));
+    assert.ok(!loaded.includes('sync-events.js'));
+    assert.ok(!loaded.includes('sync-medium.js'));
+});
+
+test('only posts with newsletterSentAt: null are pending, oldest first', () => {
+    const manifest = {
+        posts: [
+            makePost(1),                                             // synced before tracking
+            makePost(3, { newsletterSentAt: null }),
+            makePost(2, { newsletterSentAt: null }),
+            makePost(4, { newsletterSentAt: '2026-10-01T09:00:00.000Z' }),
+        ],
+    };
+    assert.deepEqual(pendingPosts(manifest).map(p => p.number), [2, 3]);
+    assert.deepEqual(pendingPosts({}), []);
+});
+
+test('idempotency keys follow the Medium URL, not the feed query or post number', () => {
+    const a = makePost(2);
+    const b = Object.assign({}, a, { number: 9, file: 'renamed.html', mediumUrl: a.mediumUrl.replace(/\?.*$/, '/') });
+    assert.equal(idempotencyKey(a), idempotencyKey(b));
+    assert.match(idempotencyKey(a), /^holistique-post-[0-9a-f]{24}$/);
+    assert.notEqual(idempotencyKey(a), idempotencyKey(makePost(3)));
+});
+
+test('digest keys depend on the set of posts, not their order', () => {
+    const posts = [makePost(2), makePost(3)];
+    assert.equal(digestIdempotencyKey(posts), digestIdempotencyKey(posts.slice().reverse()));
+    assert.notEqual(digestIdempotencyKey(posts), digestIdempotencyKey(posts.slice(0, 1)));
+});
+
+test('post payloads keep the existing fields and add a type and the key', () => {
+    assert.deepEqual(postPayload(makePost(2)), {
+        type: 'post',
+        title: 'Post 2',
+        category: 'Rest',
+        date: 'Oct 9, 2026',
+        url: 'https://holistiqueuk.com/post-2.html',
+        mediumUrl: makePost(2).mediumUrl,
+        idempotencyKey: idempotencyKey(makePost(2)),
+    });
+    const digest = digestPayload([makePost(2), makePost(3)]);
+    assert.equal(digest.type, 'digest');
+    assert.deepEqual(digest.posts.map(p => p.title), ['Post 2', 'Post 3']);
+    assert.equal(digest.idempotencyKey, digestIdempotencyKey([makePost(2), makePost(3)]));
+});
+
+test('post payloads link to the page at its slug', () => {
+    const post = makePost(2, { slug: 'post-2-moved', file: 'journal/post-2-moved.html' });
+    assert.equal(postPayload(post).url, 'https://holistiqueuk.com/journal/post-2-moved.html');
+    assert.equal(postPayload(post).idempotencyKey, idempotencyKey(makePost(2)));
+});
+
+// ── Events ──────────────────────────────────────────────────────────────────
+
+const AT = new Date('2026-10-12T06:00:00.000Z');
+
+function makeEvent(id, startLocal) {
+    return {
+        id,
+        name: `Event ${id}`,
+        description: 'An evening of sound.',
+        url: `https://www.eventbrite.co.uk/e/event-tickets-${id}`,
+        startLocal,
+        endLocal: '',
+        venueName: "St Philip's Church",
+        city: 'London',
+        imageUrl: 'https://img.evbuc.com/x.jpg',
+        status: 'live',
+    };
+}
+
+test('only marked events that have not started are announced, soonest first', () => {
+    const manifest = {
+        upcoming: [makeEvent('b', '2026-11-20T19:00:00'), makeEvent('a', '2026-10-20T19:00:00'), makeEvent('c', '2026-10-12T05:00:00'), makeEvent('d', '2026-12-01T19:00:00')],
+        newsletter: {
+            a: { announcedAt: null, reminderSentAt: null },
+            b: { announcedAt: null, reminderSentAt: null },
+            c: { announcedAt: null, reminderSentAt: null },
+        },
+    };
+    assert.deepEqual(pendingAnnouncements(manifest, AT).map(e => e.id), ['a', 'b']);
+});
+
+test('reminders go to events inside the window that were announced before it', () => {
+    const manifest = {
+        upcoming: [
+            makeEvent('old', '2026-10-14T19:00:00'),        // synced before tracking: no entry
+            makeEvent('early', '2026-10-13T19:00:00'),      // announced a month ago
+            makeEvent('late', '2026-10-14T04:00:00'),       // announced yesterday, inside the window
+            makeEvent('pending', '2026-10-13T10:00:00'),    // announcement not sent yet
+            makeEvent('done', '2026-10-13T12:00:00'),       // already reminded
+            makeEvent('far', '2026-10-30T19:00:00'),        // outside the window
+        ],
+        newsletter: {
+            early: { announcedAt: '2026-09-10T06:00:00.000Z', reminderSentAt: null },
+            late: { announcedAt: '2026-10-11T06:00:00.000Z', reminderSentAt: null },
+            pending: { announcedAt: null, reminderSentAt: null },
+            done: { announcedAt: '2026-09-10T06:00:00.000Z', reminderSentAt: '2026-10-11T06:00:00.000Z' },
+        },
+    };
+    assert.deepEqual(dueReminders(manifest, AT, 3).map(e => e.id), ['early', 'old']);
+    assert.deepEqual(dueReminders(manifest, AT, 0), []);
+});
+
+test('event payloads carry a type, plain-text date, location, links and a per-type key', () => {
+    const event = makeEvent('42', '2026-10-14T19:30:00');
+    assert.deepEqual(eventPayload(event, 'event-announcement', AT), {
+        type: 'event-announcement',
+        name: 'Event 42',
+        description: 'An evening of sound.',
+        date: 'Oct 14, 2026 · 7:30 PM',
+        startLocal: '2026-10-14T19:30:00',
+        endLocal: '',
+        location: "St Philip's Church, London",
+        url: 'https://www.eventbrite.co.uk/e/event-tickets-42',
+        calendarUrl: 'https://holistiqueuk.com/calendar/42.ics',
+        imageUrl: 'https://img.evbuc.com/x.jpg',
+        idempotencyKey: 'holistique-event-announcement-42',
+    });
+    const reminder = eventPayload(event, 'event-reminder', AT);
+    assert.equal(reminder.daysUntil, 3);
+    assert.equal(reminder.idempotencyKey, 'holistique-event-reminder-42');
+});
+
+// ── Full Runs ───────────────────────────────────────────────────────────────
+
+/** Local webhook; `respond(body)` picks the status for each request. */
+function startWebhook(respond) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const payload = JSON.parse(body);
+            received.push({ headers: req.headers, payload });
+            res.writeHead(respond(payload), { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/webhook` });
+        });
+    });
+}
+
+function sendNewsletter(siteDir, webhookUrl, args = [], env = {}) {
+    return runScript('send-newsletter.js', args, Object.assign(siteEnv(siteDir), {
+        NEWSLETTER_WEBHOOK_URL: webhookUrl,
+        NEWSLETTER_SECRET: 'shh',
+    }, env));
+}
+
+/** A site holding only a posts-manifest.json with posts. */
+function postsSite(t, posts) {
+    const dir = makeSite(t);
+    fs.writeFileSync(path.join(dir, 'posts-manifest.json'), JSON.stringify({ lastPostNumber: posts.length, posts }, null, 2) + '\n');
+    return dir;
+}
+
+function readPosts(dir) {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'posts-manifest.json'), 'utf8')).posts;
+}
+
+test('every pending post is announced once and recorded; a re-run sends nothing', async (t) => {
+    const hook = await startWebhook(() => 200);
+    t.after(() => hook.server.close());
+    const dir = postsSite(t, [makePost(1), makePost(2, { newsletterSentAt: null }), makePost(3, { newsletterSentAt: null })]);
+
+    const first = await sendNewsletter(dir, hook.url);
+    assert.equal(first.code, 0, first.stderr);
+    assert.deepEqual(hook.received.map(r => r.payload.title), ['Post 2', 'Post 3']);
+    for (const { headers, payload } of hook.received) {
+        assert.equal(headers.authorization, 'Bearer shh');
+        assert.equal(headers['idempotency-key'], payload.idempotencyKey);
+    }
+    assert.deepEqual(readPosts(dir).map(p => p.newsletterSentAt), [undefined, '2026-10-12T06:00:00.000Z', '2026-10-12T06:00:00.000Z']);
+
+    const second = await sendNewsletter(dir, hook.url);
+    assert.equal(second.code, 0, second.stderr);
+    assert.match(second.stdout, /No unannounced posts/);
+    assert.equal(hook.received.length, 2);
+});
+
+test('a failed send leaves that post pending and fails the run, keeping earlier successes', async (t) => {
+    const hook = await startWebhook(payload => (payload.title === 'Post 3' ? 500 : 200));
+    t.after(() => hook.server.close());
+    const dir = postsSite(t, [makePost(2, { newsletterSentAt: null }), makePost(3, { newsletterSentAt: null }), makePost(4, { newsletterSentAt: null })]);
+
+    const { code, stderr } = await sendNewsletter(dir, hook.url);
+    assert.equal(code, 1);
+    assert.match(stderr, /1 newsletter\(s\) not sent/);
+    assert.deepEqual(readPosts(dir).map(p => p.newsletterSentAt), ['2026-10-12T06:00:00.000Z', null, '2026-10-12T06:00:00.000Z']);
+});
+
+test('a 409 for a known idempotency key counts as sent', async (t) => {
+    const hook = await startWebhook(() => 409);
+    t.after(() => hook.server.close());
+    const dir = postsSite(t, [makePost(2, { newsletterSentAt: null })]);
+
+    const { code, stderr } = await sendNewsletter(dir, hook.url);
+    assert.equal(code, 0, stderr);
+    assert.equal(readPosts(dir)[0].newsletterSentAt, '2026-10-12T06:00:00.000Z');
+});
+
+test('--digest sends one broadcast covering every pending post', async (t) => {
+    const hook = await startWebhook(() => 200);
+    t.after(() => hook.server.close());
+    const dir = postsSite(t, [makePost(2, { newsletterSentAt: null }), makePost(3, { newsletterSentAt: null })]);
+
+    const { code, stderr } = await sendNewsletter(dir, hook.url, ['--digest']);
+    assert.equal(code, 0, stderr);
+    assert.equal(hook.received.length, 1);
+    assert.deepEqual(hook.received[0].payload.posts.map(p => p.title), ['Post 2', 'Post 3']);
+    assert.ok(readPosts(dir).every(p => p.newsletterSentAt === '2026-10-12T06:00:00.000Z'));
+});
+
+test('--dry-run sends nothing and leaves the manifest alone', async (t) => {
+    const hook = await startWebhook(() => 200);
+    t.after(() => hook.server.close());
+    const dir = postsSite(t, [makePost(2, { newsletterSentAt: null })]);
+
+    const { code, stdout, stderr } = await sendNewsletter(dir, hook.url, ['--dry-run']);
+    assert.equal(code, 0, stderr);
+    assert.equal(hook.received.length, 0);
+    assert.match(stdout, /Would send \(Idempotency-Key: holistique-post-/);
+    assert.match(stdout, /\+      "newsletterSentAt": "2026-10-12T06:00:00.000Z"/);
+    assert.equal(readPosts(dir)[0].newsletterSentAt, null);
+});
+
+test('--events announces marked events, then reminds, recording both', async (t) => {
+    const hook = await startWebhook(() => 200);
+    t.after(() => hook.server.close());
+    const dir = makeSite(t);
+    const manifestPath = path.join(dir, 'events-manifest.json');
+    fs.writeFileSync(manifestPath, JSON.stringify({
+        lastSync: '2026-10-11T06:00:00.000Z',
+        upcoming: [makeEvent('soon', '2026-10-13T19:00:00'), makeEvent('new', '2026-11-20T19:00:00')],
+        past: [],
+        newsletter: { new: { announcedAt: null, reminderSentAt: null } },
+    }, null, 2) + '\n');
+
+    const first = await sendNewsletter(dir, hook.url, ['--events'], { EVENT_REMINDER_DAYS: '2' });
+    assert.equal(first.code, 0, first.stderr);
+    assert.deepEqual(hook.received.map(r => `${r.payload.type} ${r.payload.name}`), [
+        'event-announcement Event new',
+        'event-reminder Event soon',
+    ]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(manifestPath, 'utf8')).newsletter, {
+        new: { announcedAt: '2026-10-12T06:00:00.000Z', reminderSentAt: null },
+        soon: { reminderSentAt: '2026-10-12T06:00:00.000Z' },
+    });
+
+    const second = await sendNewsletter(dir, hook.url, ['--events'], { EVENT_REMINDER_DAYS: '2' });
+    assert.equal(second.code, 0, second.stderr);
+    assert.equal(hook.received.length, 2);
+});
@@ -0,0 +1,228 @@
+/**
+ * Unit tests for scripts/lib/sync-core.js.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const core = require('../lib/sync-core');
+
+// ── HTTP ────────────────────────────────────────────────────────────────────
+
+/** Start a throwaway server on a random port; resolves with its base URL. */
+function startServer(handler) {
+    return new Promise((resolve) => {
+        const server = http.createServer(handler);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({ server, base: `http://127.0.0.1:${port}` });
+        });
+    });
+}
+
+test('request follows relative redirects and reports the final URL', async (t) => {
+    const { server, base } = await startServer((req, res) => {
+        if (req.url === '/start') {
+            res.writeHead(302, { Location: '/end' });
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('arrived');
+    });
+    t.after(() => server.close());
+
+    const { text, finalUrl } = await core.fetchPage(`${base}/start`);
+    assert.equal(text, 'arrived');
+    assert.equal(finalUrl, `${base}/end`);
+});
+
+test('request gives up after maxRedirects', async (t) => {
+    const { server, base } = await startServer((req, res) => {
+        res.writeHead(301, { Location: '/loop' });
+        res.end();
+    });
+    t.after(() => server.close());
+
+    await assert.rejects(core.fetchText(`${base}/loop`, { maxRedirects: 2 }), /Too many redirects/);
+});
+
+test('fetchText rejects non-200 responses with the status and a body snippet', async (t) => {
+    const { server, base } = await startServer((req, res) => {
+        res.writeHead(404);
+        res.end('not here');
+    });
+    t.after(() => server.close());
+
+    await assert.rejects(core.fetchText(`${base}/missing`), (err) => {
+        assert.equal(err.statusCode, 404);
+        assert.match(err.message, /^HTTP 404: not here/);
+        return true;
+    });
+});
+
+test('request enforces the size cap, or truncates when asked to', async (t) => {
+    const { server, base } = await startServer((req, res) => {
+        res.writeHead(200);
+        res.end('x'.repeat(5000));
+    });
+    t.after(() => server.close());
+
+    await assert.rejects(core.fetchText(base, { maxBytes: 100 }), /exceeded 100 bytes/);
+
+    const res = await core.request(base, { maxBytes: 100, truncate: true });
+    assert.equal(res.truncated, true);
+    assert.equal(res.body.length, 100);
+});
+
+test('request times out on a server that never answers', async (t) => {
+    const { server, base } = await startServer(() => { /* hang */ });
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    await assert.rejects(core.fetchText(base, { timeoutMs: 50 }), /Timed out after 50ms/);
+});
+
+test('fetchBuffer returns the body bytes untouched', async (t) => {
+    const bytes = Buffer.from([0xff, 0xd8, 0x00, 0xe2, 0x82]);
+    const { server, base } = await startServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        res.end(bytes);
+    });
+    t.after(() => server.close());
+
+    assert.ok((await core.fetchBuffer(`${base}/photo.jpg`)).equals(bytes));
+});
+
+test('fetchJson parses JSON and reports invalid bodies', async (t) => {
+    const { server, base } = await startServer((req, res) => {
+        res.writeHead(200);
+        res.end(req.url === '/ok' ? '{"a":1}' : '{nope');
+    });
+    t.after(() => server.close());
+
+    assert.deepEqual(await core.fetchJson(`${base}/ok`), { a: 1 });
+    await assert.rejects(core.fetchJson(`${base}/bad`), /Invalid JSON response/);
+});
+
+test('postJson sends JSON with the given headers and parses the reply', async (t) => {
+    let seen;
+    const { server, base } = await startServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            seen = { method: req.method, auth: req.headers.authorization, type: req.headers['content-type'], body };
+            res.writeHead(201);
+            res.end('{"ok":true}');
+        });
+    });
+    t.after(() => server.close());
+
+    const result = await core.postJson(base, { title: 'Hi' }, { Authorization: 'Bearer s3cret' });
+    assert.deepEqual(result, { status: 201, data: { ok: true } });
+    assert.deepEqual(seen, {
+        method: 'POST',
+        auth: 'Bearer s3cret',
+        type: 'application/json',
+        body: '{"title":"Hi"}',
+    });
+});
+
+test('multi-byte characters split across chunks decode intact', async (t) => {
+    const bytes = Buffer.from('café — ☕', 'utf8');
+    const { server, base } = await startServer((req, res) => {
+        res.writeHead(200);
+        res.write(bytes.subarray(0, 4));
+        res.end(bytes.subarray(4));
+    });
+    t.after(() => server.close());
+
+    assert.equal(await core.fetchText(base), 'café — ☕');
+});
+
+// ── HTML Text ───────────────────────────────────────────────────────────────
+
+test('escapeHtml escapes markup and tolerates null/undefined/numbers', () => {
+    assert.equal(core.escapeHtml('<a href="x">Tom & Jerry</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&lt;/a&gt;');
+    assert.equal(core.escapeHtml(null), '');
+    assert.equal(core.escapeHtml(undefined), '');
+    assert.equal(core.escapeHtml(42), '42');
+});
+
+test('decodeHtmlEntities decodes named and numeric references in one pass', () => {
+    assert.equal(core.decodeHtmlEntities('Rock &amp; Roll &mdash; &#39;live&#39; &#x2014; &hellip;'), "Rock & Roll — 'live' — …");
+    assert.equal(core.decodeHtmlEntities('&amp;lt;b&amp;gt;'), '&lt;b&gt;');
+    assert.equal(core.decodeHtmlEntities('&#128512;'), '😀');
+    assert.equal(core.decodeHtmlEntities('&unknown; stays'), '&unknown; stays');
+    assert.equal(core.decodeHtmlEntities(null), '');
+});
+
+test('truncateText strips tags and cuts on a word boundary', () => {
+    assert.equal(core.truncateText('<p>Short  text</p>', 50), 'Short text');
+    assert.equal(core.truncateText('one two three four', 10), 'one two...');
+    assert.equal(core.truncateText('', 10), '');
+});
+
+test('renderJsonLd indents the block and escapes closing tags', () => {
+    const out = core.renderJsonLd({ name: 'a</script>b' });
+    assert.equal(out, '    <script type="application/ld+json">\n    {\n        "name": "a<\\/script>b"\n    }\n    </script>');
+    assert.deepEqual(JSON.parse(out.split('\n').slice(1, -1).join('\n')), { name: 'a</script>b' });
+});
+
+// ── Marker Sections ─────────────────────────────────────────────────────────
+
+test('replaceSection swaps content between markers and keeps them', () => {
+    const html = 'a<!-- S -->old<!-- E -->b';
+    assert.equal(core.replaceSection(html, '<!-- S -->', '<!-- E -->', 'new'), 'a<!-- S -->\nnew\n<!-- E -->b');
+});
+
+test('replaceSection returns null for missing or out-of-order markers', () => {
+    assert.equal(core.replaceSection('<!-- S -->x', '<!-- S -->', '<!-- E -->', 'y'), null);
+    assert.equal(core.replaceSection('<!-- E -->x<!-- S -->', '<!-- S -->', '<!-- E -->', 'y'), null);
+});
+
+test('replaceSection pairs the first start marker with the next end marker', () => {
+    const html = '<!-- E -->a<!-- S -->b<!-- E -->c<!-- S -->d<!-- E -->';
+    assert.equal(
+        core.replaceSection(html, '<!-- S -->', '<!-- E -->', 'x'),
+        '<!-- E -->a<!-- S -->\nx\n<!-- E -->c<!-- S -->d<!-- E -->'
+    );
+});
+
+test('replaceSection inserts content literally and is stable when re-applied', () => {
+    const html = '<!-- S -->\nold\n<!-- E -->';
+    const once = core.replaceSection(html, '<!-- S -->', '<!-- E -->', "$& $1 $' costs £5");
+    assert.equal(once, "<!-- S -->\n$& $1 $' costs £5\n<!-- E -->");
+    assert.equal(core.replaceSection(once, '<!-- S -->', '<!-- E -->', "$& $1 $' costs £5"), once);
+});
+
+// ── Files & Manifests ───────────────────────────────────────────────────────
+
+test('manifests round-trip with two-space JSON and a trailing newline', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-core-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'manifest.json');
+
+    assert.deepEqual(core.loadManifest(file, { posts: [] }), { posts: [] });
+    core.saveManifest(file, { posts: [1] });
+    assert.equal(fs.readFileSync(file, 'utf8'), '{\n  "posts": [\n    1\n  ]\n}\n');
+    assert.deepEqual(core.loadManifest(file, null), { posts: [1] });
+});
+
+test('writeFileIfChanged only writes when the content differs', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-core-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'page.html');
+
+    assert.equal(core.writeFileIfChanged(file, 'one'), true);
+    assert.equal(core.writeFileIfChanged(file, 'one'), false);
+    assert.equal(core.writeFileIfChanged(file, 'two'), true);
+    assert.equal(fs.readFileSync(file, 'utf8'), 'two');
+});
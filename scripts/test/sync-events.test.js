@@ -0,0 +1,347 @@
+/**
+ * Unit tests for scripts/sync-events.js. The Eventbrite API is played by
+ * scripts/mock-server.js; the script reads its endpoint and credentials from the
+ * environment when it loads, so it is required only once the mock is up.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startMockServer } = require('../mock-server');
+
+let mock;
+let sync;
+
+test.before(async () => {
+    mock = await startMockServer();
+    Object.assign(process.env, mock.env);
+    sync = require('../sync-events');
+});
+
+test.after(() => mock.close());
+
+const EVENT = {
+    id: '42',
+    name: { text: 'Gong Bath & Tea' },
+    description: { text: 'An evening of sound.' },
+    url: 'https://www.eventbrite.co.uk/e/gong-bath-tickets-42',
+    start: { local: '2026-12-01T19:30:00' },
+    venue: { name: 'The Light Centre', address: { city: 'London' } },
+    logo: null,
+};
+
+// ── Fetching ────────────────────────────────────────────────────────────────
+
+test('fetchAllEvents follows continuation tokens until has_more_items is false', async () => {
+    mock.requests.length = 0;
+    const events = await sync.fetchAllEvents('live,started');
+    assert.deepEqual(events.map(e => e.id), ['1995462176085', '2000000000001', '2000000000003', '2000000000002', '2000000000004']);
+    assert.equal(mock.requests.length, 2);
+    assert.match(mock.requests[0], /\/organizations\/fixture-org\/events\/\?status=live,started&expand=venue,logo,ticket_classes,ticket_availability&order_by=start_asc$/);
+    assert.match(mock.requests[1], /&continuation=eyJwYWdlIjogMn0$/);
+});
+
+test('fetchAllEvents orders ended events newest first in a single page', async () => {
+    mock.requests.length = 0;
+    const events = await sync.fetchAllEvents('ended');
+    assert.equal(events.length, 2);
+    assert.equal(mock.requests.length, 1);
+    assert.match(mock.requests[0], /order_by=start_desc$/);
+});
+
+// ── Formatting ──────────────────────────────────────────────────────────────
+
+test('getEventImage prefers the original logo, then keyword fallbacks', () => {
+    assert.equal(sync.getEventImage({ logo: { url: 'a.jpg', original: { url: 'b.jpg' } } }), 'b.jpg');
+    assert.equal(sync.getEventImage({ logo: { url: 'a.jpg' } }), 'a.jpg');
+    assert.match(sync.getEventImage({ name: { text: 'Morning Breathwork' } }), /photo-1544367567/);
+    assert.match(sync.getEventImage({ name: { text: 'Something else' } }), /photo-1545389336/);
+});
+
+test('getEventLocation prefers the city, then the venue name, then Online', () => {
+    assert.equal(sync.getEventLocation(EVENT), 'London');
+    assert.equal(sync.getEventLocation({ venue: { name: 'Studio', address: {} } }), 'Studio');
+    assert.equal(sync.getEventLocation({ venue: null }), 'Online');
+});
+
+// ── Newsletter Tracking ─────────────────────────────────────────────────────
+
+test('trackNewsletter marks newly listed upcoming events and prunes departed ones', () => {
+    const previous = {
+        upcoming: [{ id: 'kept' }, { id: 'gone' }],
+        past: [{ id: 'old' }],
+        newsletter: {
+            kept: { announcedAt: '2026-09-01T00:00:00.000Z', reminderSentAt: null },
+            gone: { announcedAt: null, reminderSentAt: null },
+        },
+    };
+    const upcoming = [{ id: 'kept' }, { id: 'new' }];
+    const past = [{ id: 'old' }, { id: 'moved-to-past-unseen' }];
+    assert.deepEqual(sync.trackNewsletter(previous, upcoming, past, true), {
+        kept: { announcedAt: '2026-09-01T00:00:00.000Z', reminderSentAt: null },
+        new: { announcedAt: null, reminderSentAt: null },
+    });
+    assert.deepEqual(sync.trackNewsletter({ upcoming: [], past: [] }, upcoming, past, false), {});
+});
+
+// ── Tickets ─────────────────────────────────────────────────────────────────
+
+const gbp = (major) => ({ currency: 'GBP', value: Math.round(major * 100), major_value: major.toFixed(2), display: `£${major.toFixed(2)}` });
+const ticketClass = (fields) => Object.assign({ free: false, donation: false, hidden: false, on_sale_status: 'AVAILABLE' }, fields);
+
+test('extractTickets reads the price range, places left and sales end from the visible ticket classes', () => {
+    const tickets = sync.extractTickets({
+        ticket_classes: [
+            ticketClass({ cost: gbp(18), quantity_total: 20, quantity_sold: 12, sales_end: '2026-11-30T18:00:00Z' }),
+            ticketClass({ cost: gbp(12.5), quantity_total: 10, quantity_sold: 10, on_sale_status: 'SOLD_OUT', sales_end: '2026-11-20T18:00:00Z' }),
+            ticketClass({ free: true, cost: null, hidden: true, quantity_total: 5, quantity_sold: 0 }),
+        ],
+    });
+    assert.deepEqual(tickets, {
+        free: false, currency: 'GBP', minPrice: 12.5, maxPrice: 18, remaining: 8, soldOut: false, waitlist: false, salesEnd: '2026-11-30T18:00:00Z',
+    });
+});
+
+test('extractTickets falls back to ticket_availability and is null without either expansion', () => {
+    const tickets = sync.extractTickets({
+        ticket_availability: {
+            minimum_ticket_price: gbp(0), maximum_ticket_price: gbp(0), is_free: true, is_sold_out: true, waitlist_available: true,
+            end_sales_date: { local: '2026-12-01T18:00:00', utc: '2026-12-01T18:00:00Z' },
+        },
+    });
+    assert.deepEqual(tickets, {
+        free: true, currency: null, minPrice: null, maxPrice: null, remaining: null, soldOut: true, waitlist: true, salesEnd: '2026-12-01T18:00:00Z',
+    });
+    assert.equal(sync.extractTickets(EVENT), null);
+    assert.equal(sync.extractEventData(EVENT).tickets, null);
+});
+
+test('ticketStatus says what a ticket costs, whether it is free and when it is nearly or fully booked', () => {
+    const paid = { free: false, currency: 'GBP', minPrice: 25, maxPrice: 40, remaining: 30, soldOut: false, waitlist: false, salesEnd: null };
+    assert.deepEqual(sync.ticketStatus(paid), { label: 'From £25', state: '', fewLeft: false });
+    assert.deepEqual(sync.ticketStatus({ ...paid, maxPrice: 25, remaining: 5 }), { label: 'From £25', state: '', fewLeft: true });
+    assert.deepEqual(sync.ticketStatus({ ...paid, remaining: null }), { label: 'From £25', state: '', fewLeft: false });
+    assert.deepEqual(sync.ticketStatus({ ...paid, minPrice: 12.5, maxPrice: 12.5 }), { label: 'From £12.50', state: '', fewLeft: false });
+    assert.deepEqual(sync.ticketStatus({ ...paid, free: true, minPrice: null, maxPrice: null, remaining: 2 }), { label: 'Free', state: 'free', fewLeft: true });
+    assert.deepEqual(sync.ticketStatus({ ...paid, soldOut: true, remaining: 0, waitlist: true }), { label: 'Sold out – join waitlist', state: 'sold-out', fewLeft: false });
+    assert.deepEqual(sync.ticketStatus({ ...paid, soldOut: true, remaining: 0 }), { label: 'Sold out', state: 'sold-out', fewLeft: false });
+    assert.deepEqual(sync.ticketStatus(null), { label: 'Get Tickets', state: '', fewLeft: false });
+});
+
+test('formatPrice drops the pence from whole amounts only', () => {
+    assert.equal(sync.formatPrice(25, 'GBP'), '£25');
+    assert.equal(sync.formatPrice(12.5, 'GBP'), '£12.50');
+    assert.equal(sync.formatPrice(30, 'EUR'), '€30');
+});
+
+// ── Series ──────────────────────────────────────────────────────────────────
+
+test('seriesKey prefers the Eventbrite series and otherwise matches on name and venue', () => {
+    const bath = { name: 'Full Moon Sound Bath', venueName: "St Philip's Church", city: 'London' };
+    assert.equal(sync.seriesKey(Object.assign({ seriesId: '7' }, bath)), 'series:7');
+    assert.equal(sync.seriesKey(bath), sync.seriesKey(Object.assign({}, bath, { name: 'Full moon sound-bath!' })));
+    assert.notEqual(sync.seriesKey(bath), sync.seriesKey(Object.assign({}, bath, { venueName: 'The Light Centre' })));
+    assert.equal(sync.seriesKey({ name: 'Breathwork', online: true, venueName: 'Zoom' }), sync.seriesKey({ name: 'Breathwork' }));
+});
+
+test('groupSeries keeps one group per series, in order of its next date', () => {
+    const records = [
+        { id: '1', name: 'Sound Bath', venueName: 'Hall', startLocal: '2026-11-01T19:00:00' },
+        { id: '2', name: 'Breathwork', seriesId: 's', startLocal: '2026-11-02T09:00:00' },
+        { id: '3', name: 'Sound Bath', venueName: 'Hall', startLocal: '2026-11-08T19:00:00' },
+        { id: '4', name: 'Breathwork (week 2)', seriesId: 's', startLocal: '2026-11-09T09:00:00' },
+        { id: '5', name: 'Retreat', venueName: 'Barn', startLocal: '2026-11-10T18:00:00' },
+    ];
+    assert.deepEqual(sync.groupSeries(records).map(group => group.map(r => r.id)), [['1', '3'], ['2', '4'], ['5']]);
+    assert.deepEqual(sync.groupSeries([]), []);
+});
+
+// ── HTML Generators ─────────────────────────────────────────────────────────
+
+test('upcoming cards escape the name and link both Eventbrite and the .ics file', () => {
+    const card = sync.generateEventsPageUpcomingCard(sync.extractEventData(EVENT));
+    assert.match(card, /class="event-card__link" target="_blank" rel="noopener">Gong Bath &amp; Tea<\/a>/);
+    assert.match(card, /href="https:\/\/www\.eventbrite\.co\.uk\/e\/gong-bath-tickets-42"/);
+    assert.match(card, /<a href="calendar\/42\.ics" class="event-card__calendar" download>/);
+    assert.match(sync.generateHomepageCard(sync.extractEventData(EVENT)), /<a href="calendar\/42\.ics" class="event-card__calendar" download>/);
+});
+
+test('cards show the ticket line, flagging sold-out events and the last few places', () => {
+    const record = Object.assign(sync.extractEventData(EVENT), {
+        tickets: { free: false, currency: 'GBP', minPrice: 15, maxPrice: 20, remaining: 3, soldOut: false, waitlist: false, salesEnd: null },
+    });
+    const card = sync.generateEventsPageUpcomingCard(record);
+    assert.match(card, /<span class="event-card__tickets">From £15 &rarr;<\/span>\n\s*<span class="event-card__availability">Few spots left<\/span>/);
+    assert.match(sync.generateHomepageCard(record), /<span class="event-card__tickets">From £15<\/span>/);
+
+    record.tickets = Object.assign({}, record.tickets, { remaining: 0, soldOut: true, waitlist: true });
+    assert.match(sync.generateEventsPageUpcomingCard(record), /<span class="event-card__tickets event-card__tickets--sold-out">Sold out – join waitlist &rarr;<\/span>/);
+    assert.ok(!sync.generateEventsPageUpcomingCard(record).includes('Few spots left'));
+    assert.match(sync.generateEventsPageUpcomingCard(sync.extractEventData(EVENT)), /<span class="event-card__tickets">Get Tickets &rarr;<\/span>/);
+});
+
+test('generateEventsSchema lists each event as a schema.org Event, without offers once it is over', () => {
+    const upcoming = Object.assign(sync.extractEventData(EVENT), {
+        tickets: { free: true, currency: 'GBP', minPrice: 0, maxPrice: 0, remaining: null, soldOut: false, waitlist: false, salesEnd: null },
+    });
+    const past = Object.assign({}, upcoming, { id: '41', name: 'Spring Gong Bath', status: 'ended' });
+    const block = sync.generateEventsSchema([upcoming, past]);
+    assert.match(block, /^    <script type="application\/ld\+json">\n    \[\n/);
+    const events = JSON.parse(block.replace(/<\/?script[^>]*>/g, ''));
+    assert.deepEqual(events.map(e => [e['@type'], e.name, e.startDate]), [
+        ['Event', 'Gong Bath & Tea', '2026-12-01T19:30:00+00:00'],
+        ['Event', 'Spring Gong Bath', '2026-12-01T19:30:00+00:00'],
+    ]);
+    assert.deepEqual(events[0].offers, { '@type': 'Offer', 'url': EVENT.url, 'priceCurrency': 'GBP', 'availability': 'https://schema.org/InStock', 'price': 0 });
+    assert.equal(events[1].offers, undefined);
+});
+
+test('a series card lists its later dates, and the homepage card counts them', () => {
+    const next = Object.assign(sync.extractEventData(EVENT), { page: 'events/gong-bath-tea-2026-12-01.html' });
+    const later = [
+        Object.assign(sync.extractEventData(Object.assign({}, EVENT, { id: '43', start: { local: '2026-12-08T19:30:00' } })), { page: 'events/gong-bath-tea-2026-12-08.html' }),
+        sync.extractEventData(Object.assign({}, EVENT, { id: '44', url: 'https://www.eventbrite.co.uk/e/44', start: { local: '2026-12-15T19:30:00' } })),
+    ];
+    const card = sync.generateEventsPageUpcomingCard(next, later);
+    assert.match(card, /<summary>2 more dates<\/summary>/);
+    assert.match(card, /<li><a href="events\/gong-bath-tea-2026-12-08\.html">Dec 8, 2026 &middot; 7:30 PM<\/a><\/li>/);
+    assert.match(card, /<li><a href="https:\/\/www\.eventbrite\.co\.uk\/e\/44" target="_blank" rel="noopener">Dec 15, 2026 &middot; 7:30 PM<\/a><\/li>/);
+    assert.match(sync.generateHomepageCard(next, later.slice(1)), /<span class="event-card__more-dates">\+ 1 more date<\/span>/);
+
+    assert.ok(!sync.generateEventsPageUpcomingCard(next).includes('<details'));
+    assert.ok(!sync.generateHomepageCard(next).includes('more-dates'));
+});
+
+test('past cards are a single link with no calendar entry', () => {
+    const card = sync.generateEventsPagePastCard(sync.extractEventData(EVENT));
+    assert.ok(card.trimStart().startsWith('<a href="https://www.eventbrite.co.uk/e/gong-bath-tickets-42" class="event-card reveal"'));
+    assert.ok(!card.includes('.ics'));
+});
+
+test('cards link to the event page when it has one, in the same tab', () => {
+    const record = Object.assign(sync.extractEventData(EVENT), { page: 'events/gong-bath-tea-2026-12-01.html' });
+    const card = sync.generateEventsPageUpcomingCard(record);
+    assert.match(card, /<a href="events\/gong-bath-tea-2026-12-01\.html" class="event-card__link">/);
+    assert.ok(!card.includes('target="_blank"'));
+    assert.ok(sync.generateEventsPagePastCard(record).trimStart().startsWith('<a href="events/gong-bath-tea-2026-12-01.html" class="event-card reveal"'));
+});
+
+// ── Event Pages ─────────────────────────────────────────────────────────────
+
+test('fetchDescription returns the full description HTML', async () => {
+    assert.match(await sync.fetchDescription('1995462176085'), /<img /);
+    await assert.rejects(sync.fetchDescription('1900000000001'), /404/);
+});
+
+test('eventBody sanitises the description and moves its images to the gallery in order', () => {
+    const body = sync.eventBody([
+        '<p>Intro</p><script>alert(1)</script>',
+        '<p><img src="https://img.example/a.jpg" alt="Gongs"></p>',
+        '<figure><img src="https://img.example/b.jpg"><figcaption>The hall &amp; garden</figcaption></figure>',
+        '<p><img src="https://img.example/a.jpg" alt="Again"></p>',
+    ].join(''));
+    assert.equal(body.html, '<p>Intro</p>');
+    assert.deepEqual(body.gallery, [
+        { src: 'https://img.example/a.jpg', alt: 'Gongs' },
+        { src: 'https://img.example/b.jpg', alt: 'The hall & garden' },
+    ]);
+    assert.deepEqual(sync.eventBody(''), { html: '', gallery: [] });
+});
+
+test('assignEventPages keeps each event at its page and numbers clashing names', () => {
+    const records = [
+        { id: '1', name: 'Gong Bath', startLocal: '2026-12-01T19:30:00' },
+        { id: '2', name: 'Gong Bath!', startLocal: '2026-12-01T21:00:00' },
+        { id: '3', name: 'Sound Healing', startLocal: '2026-12-02T10:00:00' },
+    ];
+    const previous = [{ id: '3', page: 'events/sound-healing-2026-11-30.html' }];
+    sync.assignEventPages(records, previous);
+    assert.deepEqual(records.map(r => r.page), [
+        'events/gong-bath-2026-12-01.html',
+        'events/gong-bath-2026-12-01-2.html',
+        'events/sound-healing-2026-11-30.html',
+    ]);
+});
+
+test('departedEvents lists the previously paged events that are no longer listed', () => {
+    const previous = [{ id: '1', page: 'events/a.html' }, { id: '2', page: 'events/b.html' }, { id: '3' }];
+    assert.deepEqual(sync.departedEvents(previous, [{ id: '1', page: 'events/a.html' }]), [{ id: '2', page: 'events/b.html' }]);
+});
+
+test('withUtcOffset adds the zone offset in force on the day', () => {
+    assert.equal(sync.withUtcOffset('2026-07-01T19:30:00', 'Europe/London'), '2026-07-01T19:30:00+01:00');
+    assert.equal(sync.withUtcOffset('2026-12-01T19:30:00', 'Europe/London'), '2026-12-01T19:30:00+00:00');
+    assert.equal(sync.withUtcOffset('2026-12-01T19:30', 'America/New_York'), '2026-12-01T19:30:00-05:00');
+    assert.equal(sync.withUtcOffset('2026-12-01T19:30:00', 'Not/AZone'), '2026-12-01T19:30:00');
+    assert.equal(sync.withUtcOffset(''), '');
+});
+
+test('eventAddress says each part once and mapUrl has no map for online events', () => {
+    const record = { venueName: 'BS1 6QA', address: '1 Mill Lane', city: 'Bristol', postalCode: 'BS1 6QA' };
+    assert.equal(sync.eventAddress(record), '1 Mill Lane, Bristol BS1 6QA');
+    assert.equal(sync.mapUrl(record), 'https://www.google.com/maps/search/?api=1&query=1+Mill+Lane%2C+Bristol+BS1+6QA');
+    assert.equal(sync.mapUrl(Object.assign({}, record, { latitude: '51.45', longitude: '-2.58' })), 'https://www.google.com/maps/search/?api=1&query=51.45%2C-2.58');
+    assert.equal(sync.eventAddress({}), 'Online');
+    assert.equal(sync.mapUrl({ online: true, venueName: 'Zoom' }), null);
+});
+
+test('eventSchedule gives one date for a same-day event and both ends otherwise', () => {
+    assert.deepEqual(sync.eventSchedule({ startLocal: '2026-12-01T19:30:00', endLocal: '2026-12-01T21:00:00' }), [
+        { label: 'Date', value: 'Dec 1, 2026' },
+        { label: 'Time', value: '7:30 PM &ndash; 9:00 PM' },
+    ]);
+    assert.deepEqual(sync.eventSchedule({ startLocal: '2026-12-01T16:00:00', endLocal: '2026-12-03T11:00:00' }), [
+        { label: 'Starts', value: 'Dec 1, 2026 &middot; 4:00 PM' },
+        { label: 'Ends', value: 'Dec 3, 2026 &middot; 11:00 AM' },
+    ]);
+    assert.deepEqual(sync.eventSchedule({ startLocal: '' }), []);
+});
+
+test('eventJsonLd describes the place, times and offers of an event', () => {
+    const record = Object.assign(sync.extractEventData(Object.assign({}, EVENT, { end: { local: '2026-12-01T21:00:00' } })), {
+        page: 'events/gong-bath-tea-2026-12-01.html',
+        tickets: { free: false, currency: 'GBP', minPrice: 15, maxPrice: 20, remaining: 3, soldOut: false, waitlist: false, salesEnd: '2026-12-01T18:00:00Z' },
+    });
+    const schema = sync.eventJsonLd(record);
+    assert.equal(schema.url, 'https://holistiqueuk.com/events/gong-bath-tea-2026-12-01.html');
+    assert.equal(schema.startDate, '2026-12-01T19:30:00+00:00');
+    assert.equal(schema.endDate, '2026-12-01T21:00:00+00:00');
+    assert.equal(schema.eventAttendanceMode, 'https://schema.org/OfflineEventAttendanceMode');
+    assert.deepEqual(schema.location, {
+        '@type': 'Place',
+        'name': 'The Light Centre',
+        'address': { '@type': 'PostalAddress', 'addressLocality': 'London' },
+    });
+    assert.deepEqual(schema.offers, {
+        '@type': 'AggregateOffer',
+        'url': EVENT.url,
+        'priceCurrency': 'GBP',
+        'availability': 'https://schema.org/LimitedAvailability',
+        'lowPrice': 15,
+        'highPrice': 20,
+        'validThrough': '2026-12-01T18:00:00Z',
+    });
+
+    const online = sync.eventJsonLd(Object.assign({}, record, { online: true, status: 'ended' }));
+    assert.deepEqual(online.location, { '@type': 'VirtualLocation', 'url': EVENT.url });
+    assert.equal(online.offers, undefined);
+});
+
+test('event pages link back up a level, and past ones drop the ticket button', () => {
+    const record = Object.assign(sync.extractEventData(EVENT), { page: 'events/gong-bath-tea-2026-12-01.html' });
+    const page = sync.generateEventPageHtml(record);
+    assert.match(page, /<h1[^>]*>Gong Bath &amp; Tea<\/h1>/);
+    assert.match(page, /href="\.\.\/events\.html"/);
+    assert.match(page, /href="\.\.\/calendar\/42\.ics"/);
+    assert.match(page, /href="https:\/\/www\.eventbrite\.co\.uk\/e\/gong-bath-tickets-42"/);
+    assert.match(page, /<script type="application\/ld\+json">/);
+
+    const past = sync.generateEventPageHtml(record, true);
+    assert.match(past, /This event has ended/);
+    assert.ok(!past.includes('gong-bath-tickets-42" class'));
+    assert.ok(!past.includes('calendar/42.ics'));
+
+    assert.match(sync.generateEventRedirectHtml(record), /url=\.\.\/events\.html/);
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for the parsing, keying and card-resolution helpers in
+ * scripts/sync-linktree.js.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    domainKey,
+    isSkippedHost,
+    parseTitle,
+    extractNextData,
+    getLinkArray,
+    selectProductLinks,
+    toItem,
+    needsAutoFetch,
+    resolveCard,
+} = require('../sync-linktree');
+
+const PAGE = fs.readFileSync(path.join(__dirname, 'fixtures', 'linktree', 'holistiqueuk.html'), 'utf8');
+
+/** selectProductLinks logs which group it used; keep test output quiet. */
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+// ── Keys & Titles ───────────────────────────────────────────────────────────
+
+test('domainKey reduces a URL to its registrable domain', () => {
+    assert.equal(domainKey('https://www.curoskin.co.uk/VONNYLANG'), 'curoskin.co.uk');
+    assert.equal(domainKey('https://shop.organised.co/VONNY10'), 'organised.co');
+    assert.equal(domainKey('http://aduna.com/VONNY20'), 'aduna.com');
+    assert.equal(domainKey('https://uk.store.example.com.au/x'), 'example.com.au');
+    assert.equal(domainKey('not a url'), '');
+});
+
+test('isSkippedHost filters socials, events and unparseable links', () => {
+    assert.equal(isSkippedHost('https://www.instagram.com/yvonne.holistique/'), true);
+    assert.equal(isSkippedHost('https://www.eventbrite.co.uk/o/x'), true);
+    assert.equal(isSkippedHost(''), true);
+    assert.equal(isSkippedHost('https://nurateethcare.com/YVONNE'), false);
+});
+
+test('parseTitle splits a trailing discount code after the last colon', () => {
+    assert.deepEqual(parseTitle('Organised: Grass Fed Beef Protein Powder: VONNY10'), {
+        title: 'Organised: Grass Fed Beef Protein Powder',
+        code: 'VONNY10',
+    });
+    assert.deepEqual(parseTitle('Olive oil:  OLIVEYVONNE10 '), { title: 'Olive oil', code: 'OLIVEYVONNE10' });
+    assert.deepEqual(parseTitle('Note: read this first'), { title: 'Note: read this first', code: null });
+    assert.deepEqual(parseTitle('No code here'), { title: 'No code here', code: null });
+});
+
+// ── Linktree Parsing ────────────────────────────────────────────────────────
+
+test('extractNextData parses the __NEXT_DATA__ script and reports bad markup', () => {
+    assert.equal(extractNextData(PAGE).props.pageProps.account.username, 'holistiqueuk');
+    assert.throws(() => extractNextData('<html></html>'), /Could not find __NEXT_DATA__/);
+    assert.throws(() => extractNextData('<script id="__NEXT_DATA__">{oops</script>'), /was not valid JSON/);
+});
+
+test('getLinkArray falls back to account.links when pageProps.links is empty', () => {
+    const thin = [{ id: '1', type: 'CLASSIC' }];
+    assert.equal(getLinkArray({ props: { pageProps: { links: [], account: { links: thin } } } }), thin);
+    assert.throws(() => getLinkArray({ props: {} }), /Could not find a links array/);
+});
+
+test('selectProductLinks keeps the group members in position order, minus skipped hosts', () => {
+    const links = getLinkArray(extractNextData(PAGE));
+    const selected = quietly(() => selectProductLinks(links));
+    assert.deepEqual(selected.map(l => domainKey(l.url)), ['nurateethcare.com', 'cogcogcog.com', 'organised.co', 'aduna.com']);
+});
+
+test('selectProductLinks falls back to every CLASSIC link when there is no group', () => {
+    const links = [
+        { type: 'CLASSIC', url: 'https://b.com', position: 2 },
+        { type: 'CLASSIC', url: 'https://a.com', position: 1 },
+        { type: 'CLASSIC', url: 'https://medium.com/@x', position: 0 },
+        { type: 'HEADER', title: 'Shop', position: 3 },
+    ];
+    assert.deepEqual(quietly(() => selectProductLinks(links)).map(l => l.url), ['https://a.com', 'https://b.com']);
+});
+
+test('toItem takes the key, code and description from a link', () => {
+    const item = toItem({
+        title: 'Aduna Superfoods: VONNY20',
+        url: 'http://aduna.com/VONNY20',
+        thumbnail: '',
+        metaData: { description: 'Superfoods.', image: 'meta.png' },
+    });
+    assert.deepEqual(item, {
+        key: 'aduna.com',
+        title: 'Aduna Superfoods',
+        code: 'VONNY20',
+        url: 'http://aduna.com/VONNY20',
+        description: 'Superfoods.',
+        thumbnail: 'meta.png',
+    });
+});
+
+// ── Enrichment ──────────────────────────────────────────────────────────────
+
+test('needsAutoFetch skips hand entries and retries failures only after a week', () => {
+    const week = 7 * 24 * 60 * 60 * 1000;
+    const recent = { failed: true, checked_at: new Date(Date.now() - 60000).toISOString() };
+    const stale = { failed: true, checked_at: new Date(Date.now() - week - 60000).toISOString() };
+    assert.equal(needsAutoFetch('a.com', { 'a.com': {} }, {}, true), false);
+    assert.equal(needsAutoFetch('a.com', {}, {}, false), true);
+    assert.equal(needsAutoFetch('a.com', {}, { 'a.com': { brand: 'A' } }, false), false);
+    assert.equal(needsAutoFetch('a.com', {}, { 'a.com': { brand: 'A' } }, true), true);
+    assert.equal(needsAutoFetch('a.com', {}, { 'a.com': recent }, false), false);
+    assert.equal(needsAutoFetch('a.com', {}, { 'a.com': stale }, false), true);
+});
+
+test('resolveCard: hand > auto > Linktree, escaping only plain-text sources', () => {
+    const item = { key: 'a.com', title: 'Tea & Co', url: 'https://a.com/CODE', description: 'From Linktree', thumbnail: 'lt.png' };
+
+    const bare = resolveCard(item, {}, {});
+    assert.equal(bare.href, 'https://a.com/CODE');
+    assert.equal(bare.image, 'lt.png');
+    assert.equal(bare.titleHtml, 'Tea &amp; Co');
+    assert.equal(bare.titleText, 'Tea & Co');
+    assert.equal(bare.brandHtml, '');
+
+    const auto = resolveCard(item, {}, { 'a.com': { brand: 'A & B', image: 'og.png' } });
+    assert.equal(auto.brandHtml, 'A &amp; B');
+    assert.equal(auto.brandText, 'A & B');
+    assert.equal(auto.image, 'og.png');
+    assert.equal(auto.descHtml, 'From Linktree');
+
+    const hand = resolveCard(item, { 'a.com': { description: 'Hand&mdash;made', url: 'https://a.com/?ref=1', review_href: 'post-4.html' } }, { 'a.com': { description: 'OG' } });
+    assert.equal(hand.descHtml, 'Hand&mdash;made');
+    assert.equal(hand.descText, 'Hand—made');
+    assert.equal(hand.href, 'https://a.com/?ref=1');
+    assert.equal(hand.reviewHref, 'post-4.html');
+});
+
+test('resolveCard ignores failed auto-enrichment stubs', () => {
+    const item = { key: 'a.com', title: 'T', url: 'https://a.com', description: 'D', thumbnail: '' };
+    const card = resolveCard(item, {}, { 'a.com': { failed: true, checked_at: '2026-01-01T00:00:00Z' } });
+    assert.equal(card.descHtml, 'D');
+    assert.equal(card.brandHtml, '');
+});
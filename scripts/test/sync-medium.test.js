@@ -0,0 +1,639 @@
+/**
+ * Unit tests for the parsing and rendering helpers in scripts/sync-medium.js.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    extractItems,
+    extractHeroImage,
+    extractCardImage,
+    extractExcerpt,
+    extractSubtitle,
+    cleanBodyHtml,
+    convertEmbed,
+    imagesWithoutAlt,
+    estimateReadTime,
+    pickCategory,
+    generateCardHtml,
+    generateRedirectHtml,
+    slugify,
+    postSlug,
+    relocateUrls,
+    movePage,
+    mediumPostId,
+    contentHash,
+    findPost,
+    findUnpublished,
+    mediumImageId,
+    selfHostImages,
+    selfHostedImage,
+    localizeImages,
+    generateCategoryListHtml,
+    generatePaginationHtml,
+    indexedPosts,
+    backfillIndexFields,
+    renderBlogIndex,
+    renderJournalPages,
+    findRelatedPosts,
+    generateRelatedHtml,
+    putRelatedBlock,
+    readPostFields,
+    rerenderPostPage,
+} = require('../sync-medium');
+
+const FEED = fs.readFileSync(path.join(__dirname, 'fixtures', 'medium', 'feed.xml'), 'utf8');
+
+// ── RSS Parsing ─────────────────────────────────────────────────────────────
+
+test('extractItems reads title, link, date, categories and content from CDATA', () => {
+    const items = extractItems(FEED);
+    assert.equal(items.length, 2);
+    const [first, second] = items;
+    assert.equal(first.title, 'Learning to Rest Like It Matters');
+    assert.equal(first.link, 'https://medium.com/@yvonne.holistique/learning-to-rest-like-it-matters-0f1e2d3c4b5a?source=rss-517af46e024b------2');
+    assert.equal(first.pubDate, 'Fri, 09 Oct 2026 17:40:12 GMT');
+    assert.deepEqual(first.categories, ['rest', 'wellness', 'self']);
+    assert.ok(first.contentEncoded.startsWith('<h4>Why doing nothing'));
+    assert.equal(second.title, 'The Boy Who Cried “Gordan Ramsey”');
+});
+
+test('extractItems decodes entities in plain (non-CDATA) fields', () => {
+    const xml = '<item><title>Rest &amp; Recovery</title><link>https://medium.com/p/1</link>' +
+        '<category>breath</category></item>';
+    const [item] = extractItems(xml);
+    assert.equal(item.title, 'Rest & Recovery');
+    assert.equal(item.contentEncoded, '');
+    assert.deepEqual(item.categories, ['breath']);
+});
+
+// ── Content Processing ──────────────────────────────────────────────────────
+
+test('hero and card images are the first image, resized for their slot', () => {
+    const html = '<p>x</p><img src="https://miro.medium.com/v2/resize:fit:1024/abc.jpeg"><img src="second.jpg">';
+    assert.equal(extractHeroImage(html), 'https://miro.medium.com/v2/resize:fit:1400/abc.jpeg');
+    assert.equal(extractCardImage(html), 'https://miro.medium.com/v2/resize:fit:700/abc.jpeg');
+    assert.equal(extractHeroImage('<p>no images</p>'), '');
+});
+
+test('extractExcerpt takes the first paragraph as text, capped at 160 characters', () => {
+    assert.equal(extractExcerpt('<h4>Sub</h4><p>Calm <em>&amp;</em> kind.</p><p>Second</p>'), 'Calm & kind.');
+    const long = extractExcerpt(`<p>${'word '.repeat(60)}</p>`);
+    assert.equal(long.length, 160);
+    assert.ok(long.endsWith('...'));
+});
+
+test('extractSubtitle prefers the h4 and falls back to the excerpt', () => {
+    assert.equal(extractSubtitle('<h4>Why <b>rest</b> matters</h4><p>Body</p>'), 'Why rest matters');
+    assert.equal(extractSubtitle('<p>Just a paragraph.</p>'), 'Just a paragraph.');
+});
+
+test('cleanBodyHtml drops the hero figure, Medium attributes and empty paragraphs', () => {
+    const html = '<figure><img src="hero.jpg"><figcaption>Hero</figcaption></figure>' +
+        '<p class="graf" id="p1" data-selectable-paragraph="">Hello</p><p> </p>' +
+        '<h3 class="h">Section</h3>' +
+        '<figure><img src="inline.jpg" alt="x"><figcaption>A <a href="#">caption</a></figcaption></figure>';
+    assert.equal(
+        cleanBodyHtml(html),
+        '<p>Hello</p><h2>Section</h2><figure><img src="inline.jpg" alt="x"><figcaption>A <a href="#">caption</a></figcaption></figure>'
+    );
+});
+
+test('cleanBodyHtml falls back to the caption, then the post title, for alt text', () => {
+    const html = '<figure><img src="hero.jpg"></figure>' +
+        '<figure><img alt="" src="a.jpg"><figcaption>Tea &amp; <a href="#">biscuits</a></figcaption></figure>' +
+        '<figure><img src="b.jpg" alt="  "></figure>' +
+        '<figure><img src="c.jpg" alt="Gong &quot;bath&quot;"></figure>';
+    assert.equal(
+        cleanBodyHtml(html, 'Rest & Tea'),
+        '<figure><img src="a.jpg" alt="Tea &amp; biscuits"><figcaption>Tea &amp; <a href="#">biscuits</a></figcaption></figure>' +
+        '<figure><img src="b.jpg" alt="Rest &amp; Tea"></figure>' +
+        '<figure><img src="c.jpg" alt="Gong &quot;bath&quot;"></figure>'
+    );
+});
+
+test('cleanBodyHtml keeps code blocks intact and turns dividers into separators', () => {
+    const code = '<pre class="graf--pre">if (a &lt; b) {<br>    rest(&quot;now&quot;);<br>}</pre>';
+    const html = '<p>Intro</p><hr class="section-divider"><p>* * *</p><p>— — —</p>' + code + '<h3>After</h3>';
+    assert.equal(
+        cleanBodyHtml(html),
+        '<p>Intro</p>' + '<div class="separator">&middot; &middot; &middot;</div>'.repeat(3) +
+        '<pre>if (a &lt; b) {\n    rest(&quot;now&quot;);\n}</pre><h2>After</h2>'
+    );
+});
+
+test('cleanBodyHtml keeps a leading embed and takes the first image as the hero', () => {
+    const html = '<figure><iframe src="https://www.youtube.com/embed/aBcD3fGh1jK"></iframe></figure>' +
+        '<figure><img src="hero.jpg"><figcaption>Hero</figcaption></figure><p>Body</p>';
+    const body = cleanBodyHtml(html);
+    assert.match(body, /^<figure class="embed embed--video">/);
+    assert.ok(!body.includes('hero.jpg'));
+    assert.ok(body.endsWith('<p>Body</p>'));
+});
+
+test('convertEmbed swaps YouTube for a click-to-load youtube-nocookie player', () => {
+    const iframe = '<iframe src="https://cdn.embedly.com/widgets/media.html?src=https%3A%2F%2Fwww.youtube.com%2Fembed%2FaBcD3fGh1jK&amp;display_name=YouTube&amp;url=https%3A%2F%2Fwww.youtube.com%2Fwatch%3Fv%3DaBcD3fGh1jK&amp;schema=youtube" width="854" height="480"></iframe>';
+    const html = convertEmbed(iframe, 'Body &amp; breath');
+    assert.match(html, /^<figure class="embed embed--video"><div class="embed__frame" data-embed-src="https:\/\/www\.youtube-nocookie\.com\/embed\/aBcD3fGh1jK\?autoplay=1" data-embed-title="Body &amp; breath">/);
+    assert.match(html, /<a class="embed__poster" href="https:\/\/www\.youtube\.com\/watch\?v=aBcD3fGh1jK"/);
+    // No thumbnail either: nothing loads from YouTube before the reader clicks.
+    assert.match(html, /aria-label="Play video: Body &amp; breath"><span class="embed__play" aria-hidden="true"><\/span><\/a><\/div>/);
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.endsWith('<figcaption>Body &amp; breath</figcaption></figure>'));
+    assert.ok(!html.includes('<iframe'));
+});
+
+test('convertEmbed plays Vimeo with dnt=1 and links everything else out', () => {
+    assert.match(convertEmbed('<iframe src="https://player.vimeo.com/video/76979871"></iframe>'),
+        /data-embed-src="https:\/\/player\.vimeo\.com\/video\/76979871\?dnt=1&amp;autoplay=1" data-embed-title="Vimeo video"/);
+
+    const tweet = '<iframe src="https://cdn.embedly.com/widgets/media.html?url=https%3A%2F%2Ftwitter.com%2Fholistique%2Fstatus%2F123&amp;schema=twitter"></iframe>';
+    assert.equal(convertEmbed(tweet),
+        '<figure class="embed embed--link"><a href="https://twitter.com/holistique/status/123" target="_blank" rel="noopener">View @holistique\'s post on X</a></figure>');
+
+    const gist = '<iframe src="https://cdn.embedly.com/widgets/media.html?url=https%3A%2F%2Fgist.github.com%2Fy%2Fabc"></iframe>';
+    assert.match(convertEmbed(gist), />View the code on GitHub Gist<\/a>/);
+
+    const bare = '<iframe src="" width="0" height="0"><a href="https://medium.com/media/3c1f/href">https://medium.com/media/3c1f/href</a></iframe>';
+    assert.match(convertEmbed(bare), /<a href="https:\/\/medium\.com\/media\/3c1f\/href" target="_blank" rel="noopener">View the embedded content<\/a>/);
+
+    const spotify = '<iframe src="https://cdn.embedly.com/widgets/media.html?url=https%3A%2F%2Fopen.spotify.com%2Fepisode%2F1&amp;display_name=Spotify"></iframe>';
+    assert.match(convertEmbed(spotify), />View on Spotify<\/a>/);
+    assert.equal(convertEmbed('<iframe src="javascript:alert(1)"></iframe>'), '');
+    assert.equal(convertEmbed('<iframe></iframe>'), '');
+});
+
+test('imagesWithoutAlt lists images left with no description of their own', () => {
+    const body = '<figure><img src="a.jpg" alt="Tea"></figure><figure><img src="b.jpg" alt="Rest &amp; Tea"></figure>' +
+        '<img src="c.jpg" alt=""><img src="https://medium.com/_/stat?a=1&amp;b=2" width="1" height="1" alt="">';
+    assert.deepEqual(imagesWithoutAlt(body, 'Rest & Tea'), ['b.jpg', 'c.jpg']);
+});
+
+test('cleanBodyHtml removes the first bare image when there is no figure', () => {
+    assert.equal(cleanBodyHtml('<img src="hero.jpg"><p>Text</p><img src="keep.jpg">'), '<p>Text</p><img src="keep.jpg">');
+});
+
+test('estimateReadTime is words / 200 rounded up, never below two minutes', () => {
+    assert.equal(estimateReadTime('<p>short</p>'), 2);
+    assert.equal(estimateReadTime(`<p>${'word '.repeat(601)}</p>`), 4);
+});
+
+test('pickCategory skips generic Medium tags and title-cases the first real one', () => {
+    assert.equal(pickCategory(['Self', 'life', 'sound-healing', 'yoga']), 'Sound Healing');
+    assert.equal(pickCategory(['medium', 'writing']), 'Journal');
+    assert.equal(pickCategory([]), 'Journal');
+});
+
+// ── HTML Generators ─────────────────────────────────────────────────────────
+
+test('generateCardHtml escapes text fields', () => {
+    const card = generateCardHtml({
+        number: 7,
+        file: 'journal/salt-and-light.html',
+        title: 'Salt & "Light"',
+        category: 'Rest',
+        excerpt: '<b>bold</b>',
+        readTime: 3,
+        date: 'Oct 9, 2026',
+        cardImage: 'img.jpg',
+    });
+    assert.match(card, /<!-- Card 7 -->/);
+    assert.match(card, /<a href="journal\/salt-and-light\.html" class="article-card">/);
+    assert.match(card, /<h3 class="card-title">Salt &amp; &quot;Light&quot;<\/h3>/);
+    assert.match(card, /<p class="card-excerpt">&lt;b&gt;bold&lt;\/b&gt;<\/p>/);
+    assert.match(card, /3 Min Read &middot; Oct 9, 2026/);
+});
+
+test('generateRedirectHtml sends readers on and keeps the page out of search', () => {
+    const html = generateRedirectHtml({ title: 'Gone & Back', file: 'journal/gone.html', target: 'blog-post.html' });
+    assert.match(html, /<title>Gone &amp; Back — Holistique UK<\/title>/);
+    assert.match(html, /<meta name="robots" content="noindex">/);
+    assert.match(html, /<meta http-equiv="refresh" content="0; url=\.\.\/blog-post\.html">/);
+    assert.match(html, /<link rel="canonical" href="https:\/\/holistiqueuk\.com\/blog-post\.html">/);
+    assert.match(html, /no longer available\. <a href="\.\.\/blog-post\.html">Continue to the Journal<\/a>/);
+
+    const moved = generateRedirectHtml({ title: 'Moved', file: 'post-3.html', target: 'journal/moved.html', moved: true });
+    assert.match(moved, /<meta http-equiv="refresh" content="0; url=journal\/moved\.html">/);
+    assert.match(moved, /<link rel="canonical" href="https:\/\/holistiqueuk\.com\/journal\/moved\.html">/);
+    assert.match(moved, /This post has moved\. <a href="journal\/moved\.html">Continue reading<\/a>/);
+});
+
+// ── Post URLs ───────────────────────────────────────────────────────────────
+
+test('slugify keeps plain words, drops apostrophes and accents, and cuts at a hyphen', () => {
+    assert.equal(slugify('I’ve Finally Found the Right Home Water Filter'), 'ive-finally-found-the-right-home-water-filter');
+    assert.equal(slugify('Salt & "Light": Café Notes'), 'salt-and-light-cafe-notes');
+    assert.equal(slugify('  --  '), '');
+    assert.equal(slugify('one two three four', 12), 'one-two');
+});
+
+test('postSlug takes Medium\'s slug without the id, or the title, and never reuses one', () => {
+    const posts = [{ number: 1, slug: 'dream-it-see-it-manifest-it' }];
+    const medium = 'https://medium.com/@y/dream-it-see-it-manifest-it-a4c08416f80d?source=rss';
+    assert.equal(postSlug({ number: 1, title: 'Dream It', mediumUrl: medium }, posts), 'dream-it-see-it-manifest-it');
+    assert.equal(postSlug({ number: 2, title: 'Dream It', mediumUrl: medium }, posts), 'dream-it-see-it-manifest-it-2');
+    assert.equal(postSlug({ number: 3, title: 'Written Here First' }, posts), 'written-here-first');
+    assert.equal(postSlug({ number: 4, title: '!!!' }, posts), 'post-4');
+});
+
+test('relocateUrls rebases relative links and sources for a page one level down', () => {
+    const html = '<a href="blog-post.html#top">x</a><a href="#top">y</a><a href="https://example.com/">z</a>' +
+        '<img src="photos/a.png" srcset="photos/a.png 700w, photos/b.png 1400w" data-embed-src="https://player.vimeo.com/video/1">';
+    assert.equal(relocateUrls(html, 'index.html', 'journal/a.html'),
+        '<a href="../blog-post.html#top">x</a><a href="#top">y</a><a href="https://example.com/">z</a>' +
+        '<img src="../photos/a.png" srcset="../photos/a.png 700w, ../photos/b.png 1400w" data-embed-src="https://player.vimeo.com/video/1">');
+    assert.equal(relocateUrls(html, 'post-1.html', 'index.html'), html);
+});
+
+test('movePage also points the page\'s own absolute URLs at the new path', () => {
+    const html = '<link rel="canonical" href="https://holistiqueuk.com/post-1.html"><a href="index.html">Home</a>';
+    assert.equal(movePage(html, 'post-1.html', 'journal/one.html'),
+        '<link rel="canonical" href="https://holistiqueuk.com/journal/one.html"><a href="../index.html">Home</a>');
+});
+
+// ── Tracking Synced Posts ───────────────────────────────────────────────────
+
+test('mediumPostId is the hex suffix of the slug, ignoring the query string', () => {
+    assert.equal(mediumPostId('https://medium.com/@y/the-boy-who-cried-gordan-ramsey-b562dbe1c3df?source=rss-517af46e024b------2'), 'b562dbe1c3df');
+    assert.equal(mediumPostId('https://medium.com/@y/retitled-entirely-b562dbe1c3df/'), 'b562dbe1c3df');
+    assert.equal(mediumPostId('https://medium.com/p/about'), '');
+});
+
+test('contentHash changes with the title, tags or body but not the link', () => {
+    const item = { title: 'T', link: 'https://medium.com/@y/t-0f1e2d3c4b5a', categories: ['rest'], contentEncoded: '<p>a</p>' };
+    const same = contentHash(item);
+    assert.equal(contentHash(Object.assign({}, item, { link: `${item.link}?source=rss` })), same);
+    assert.notEqual(contentHash(Object.assign({}, item, { title: 'T2' })), same);
+    assert.notEqual(contentHash(Object.assign({}, item, { categories: ['sleep'] })), same);
+    assert.notEqual(contentHash(Object.assign({}, item, { contentEncoded: '<p>b</p>' })), same);
+});
+
+test('findPost matches on the Medium id, so a retitled post is still found', () => {
+    const posts = [
+        { number: 1, mediumUrl: 'https://medium.com/@y/old-title-0f1e2d3c4b5a?source=rss' },
+        { number: 2, mediumUrl: 'https://medium.com/@y/other-1a2b3c4d5e6f' },
+    ];
+    assert.equal(findPost(posts, { link: 'https://medium.com/@y/new-title-0f1e2d3c4b5a' }).number, 1);
+    assert.equal(findPost(posts, { link: 'https://medium.com/@y/unknown-99999999aaaa' }), null);
+});
+
+test('findUnpublished only counts tracked posts newer than the oldest feed item', () => {
+    const items = [{ pubDate: 'Fri, 09 Oct 2026 17:40:12 GMT' }, { pubDate: 'Sat, 23 Aug 2025 11:02:31 GMT' }];
+    const inFeed = { file: 'post-1.html', date: 'Oct 9, 2026', contentHash: 'a' };
+    const missing = { file: 'post-2.html', date: 'Sep 1, 2025', contentHash: 'b' };
+    const sameDayAsOldest = { file: 'post-3.html', date: 'Aug 23, 2025', contentHash: 'c' };
+    const handMade = { file: 'post-4.html', date: 'Sep 2, 2025' };
+    const posts = [inFeed, missing, sameDayAsOldest, handMade];
+    assert.deepEqual(findUnpublished(posts, items, new Set([inFeed])), [missing]);
+    assert.deepEqual(findUnpublished(posts, [], new Set()), []);
+});
+
+test('findUnpublished does not depend on the runner\'s timezone', () => {
+    const items = [{ pubDate: 'Sat, 23 Aug 2025 23:30:00 GMT' }];
+    const nextDay = { file: 'post-2.html', date: 'Aug 24, 2025', contentHash: 'b' };
+    const tz = process.env.TZ;
+    try {
+        for (const zone of ['UTC', 'Asia/Tokyo', 'America/Los_Angeles']) {
+            process.env.TZ = zone;
+            assert.deepEqual(findUnpublished([nextDay], items, new Set()), [nextDay], zone);
+        }
+    } finally {
+        if (tz === undefined) delete process.env.TZ;
+        else process.env.TZ = tz;
+    }
+});
+
+// ── Self-Hosted Images ──────────────────────────────────────────────────────
+
+const HERO = {
+    variants: [
+        { file: 'photos/aaaa.jpg', width: 700, height: 467 },
+        { file: 'photos/bbbb.jpg', width: 1400, height: 933 },
+    ],
+};
+const IMAGES = new Map([['1*hero.jpeg', HERO], ['0*small', { variants: [{ file: 'photos/cccc.png', width: 500, height: 500 }] }]]);
+
+test('mediumImageId takes the id from either Medium CDN and ignores other hosts', () => {
+    assert.equal(mediumImageId('https://cdn-images-1.medium.com/max/1024/1*hero.jpeg'), '1*hero.jpeg');
+    assert.equal(mediumImageId('https://miro.medium.com/v2/resize:fit:1400/1*hero.jpeg'), '1*hero.jpeg');
+    assert.equal(mediumImageId('https://cdn-images-1.medium.com/max/1024/0*yLWMqLZjVfLFcAXb'), '0*yLWMqLZjVfLFcAXb');
+    assert.equal(mediumImageId('https://medium.com/_/stat?event=post.clientViewed'), '');
+    assert.equal(mediumImageId('photos/aaaa.jpg'), '');
+});
+
+test('selfHostedImage picks the widest copy that fits the slot and lists them all', () => {
+    const src = 'https://miro.medium.com/v2/resize:fit:1400/1*hero.jpeg';
+    assert.deepEqual(selfHostedImage(src, IMAGES, { maxWidth: 700, sizes: '50vw' }), {
+        src: 'photos/aaaa.jpg',
+        attrs: ' width="700" height="467" srcset="photos/aaaa.jpg 700w, photos/bbbb.jpg 1400w" sizes="50vw"',
+    });
+    assert.equal(selfHostedImage(src, IMAGES, { maxWidth: 1400, sizes: '100vw' }).src, 'photos/bbbb.jpg');
+    assert.equal(selfHostedImage(src, IMAGES, { maxWidth: 300, sizes: '100vw' }).src, 'photos/aaaa.jpg');
+    assert.deepEqual(selfHostedImage('https://cdn-images-1.medium.com/max/1024/0*small', IMAGES, { maxWidth: 700, sizes: '50vw' }), {
+        src: 'photos/cccc.png',
+        attrs: ' width="500" height="500"',
+    });
+    assert.deepEqual(selfHostedImage('https://example.com/x.jpg', IMAGES, { maxWidth: 700 }), { src: 'https://example.com/x.jpg', attrs: '' });
+});
+
+test('localizeImages rewrites Medium images in place and leaves the rest alone', () => {
+    const html = '<p>a</p><img width="1024" src="https://cdn-images-1.medium.com/max/1024/1*hero.jpeg" alt="">' +
+        '<img src="https://medium.com/_/stat?x=1" width="1" height="1" alt="">';
+    assert.equal(
+        localizeImages(html, IMAGES, { maxWidth: 1400, sizes: '656px' }),
+        '<p>a</p><img src="photos/bbbb.jpg" width="1400" height="933" srcset="photos/aaaa.jpg 700w, photos/bbbb.jpg 1400w" sizes="656px" alt="">' +
+        '<img src="https://medium.com/_/stat?x=1" width="1" height="1" alt="">'
+    );
+});
+
+test('selfHostImages reuses recorded images whose files are still on disk', async () => {
+    const record = { variants: [{ file: 'photos/IMG_0593.webp', width: 500, height: 666 }] };
+    const manifest = { posts: [], images: { '1*kept.jpeg': record } };
+    const images = await selfHostImages('<img src="https://miro.medium.com/v2/resize:fit:1024/1*kept.jpeg">', manifest);
+    assert.equal(images.get('1*kept.jpeg'), record);
+    assert.deepEqual(Object.keys(manifest.images), ['1*kept.jpeg']);
+});
+
+// ── Blog Index ──────────────────────────────────────────────────────────────
+
+const INDEX_PAGE = `<section class="hero-featured">
+            <!-- BLOG-FEATURED-START -->
+<!-- BLOG-FEATURED-END -->
+</section>
+<div class="article-grid">
+                        <!-- BLOG-POSTS-START -->
+<!-- BLOG-POSTS-END -->
+</div>
+                    <!-- BLOG-PAGINATION-START -->
+<!-- BLOG-PAGINATION-END -->
+<ul class="category-list">
+                            <!-- BLOG-CATEGORIES-START -->
+<!-- BLOG-CATEGORIES-END -->
+</ul>`;
+
+const indexPost = (number, date, category, extra = {}) => Object.assign({
+    number,
+    title: `Post ${number}`,
+    file: `journal/post-${number}.html`,
+    date,
+    category,
+    excerpt: `Excerpt ${number}`,
+    readTime: 3,
+    image: '',
+}, extra);
+
+test('indexedPosts sorts newest first and leaves out removed posts', () => {
+    const posts = [
+        indexPost(1, 'Aug 23, 2025', 'Rest'),
+        indexPost(2, 'Oct 9, 2026', 'Rest'),
+        indexPost(3, 'Aug 23, 2025', 'Rest'),
+        indexPost(4, 'Sep 1, 2026', 'Rest', { removedAt: '2026-10-12T06:00:00.000Z' }),
+        indexPost(5, 'Sep 2, 2026', 'Rest', { unpublishedAt: '2026-10-12T06:00:00.000Z' }),
+    ];
+    assert.deepEqual(indexedPosts(posts).map(p => p.number), [2, 5, 3, 1]);
+});
+
+test('generateCategoryListHtml links each category to its page, with counts', () => {
+    const categories = [
+        { category: 'Health & Wellness', file: 'journal/category/health-wellness.html', posts: [{}] },
+        { category: 'Rest', file: 'journal/category/rest.html', posts: [{}, {}] },
+    ];
+    assert.deepEqual(generateCategoryListHtml(categories).split('\n').map(l => l.trim()), [
+        '<li class="is-active" data-category="all"><a href="blog-post.html"><span>All</span><span class="count">3</span></a></li>',
+        '<li data-category="Health &amp; Wellness"><a href="journal/category/health-wellness.html"><span>Health &amp; Wellness</span><span class="count">1</span></a></li>',
+        '<li data-category="Rest"><a href="journal/category/rest.html"><span>Rest</span><span class="count">2</span></a></li>',
+    ]);
+    const active = generateCategoryListHtml(categories, 'Rest');
+    assert.match(active, /<li data-category="all">/);
+    assert.match(active, /<li class="is-active" data-category="Rest">/);
+});
+
+test('generatePaginationHtml links newer and older pages around the current one', () => {
+    const archive = [1, 2, 3].map(page => ({ page, file: page === 1 ? 'blog-post.html' : `journal/page/${page}.html` }));
+    const nav = generatePaginationHtml(archive, 2);
+    assert.match(nav, /<a class="pagination__prev" href="blog-post\.html" rel="prev">&larr; Newer<\/a>/);
+    assert.match(nav, /<span class="pagination__page" aria-current="page">2<\/span>/);
+    assert.match(nav, /<a class="pagination__page" href="journal\/page\/3\.html">3<\/a>/);
+    assert.match(nav, /<a class="pagination__next" href="journal\/page\/3\.html" rel="next">Older &rarr;<\/a>/);
+    assert.doesNotMatch(generatePaginationHtml(archive, 1), /pagination__prev/);
+    assert.doesNotMatch(generatePaginationHtml(archive, 3), /pagination__next/);
+    assert.equal(generatePaginationHtml(archive.slice(0, 1), 1), '');
+});
+
+test('renderBlogIndex features the newest post and renders the rest as cards', () => {
+    const manifest = {
+        posts: [
+            indexPost(1, 'Aug 23, 2025', 'Friendship', { image: 'https://cdn-images-1.medium.com/max/1024/0*small' }),
+            indexPost(2, 'Oct 9, 2026', 'Rest', { image: 'https://miro.medium.com/v2/resize:fit:700/1*hero.jpeg', excerpt: 'Salt & light' }),
+            indexPost(3, 'Sep 1, 2026', 'Rest', { removedAt: '2026-10-12T06:00:00.000Z' }),
+        ],
+        images: Object.fromEntries(IMAGES),
+    };
+    const html = renderBlogIndex(INDEX_PAGE, manifest);
+    assert.match(html, /<!-- BLOG-FEATURED-START -->\n            <div class="hero-grid">[\s\S]*<a href="journal\/post-2\.html">\s*<img class="hero-img" src="photos\/bbbb\.jpg" width="1400"/);
+    assert.match(html, /<p class="hero-excerpt">Salt &amp; light<\/p>/);
+    assert.match(html, /<!-- BLOG-POSTS-START -->\n                        <!-- Card 1 -->\n                        <a href="journal\/post-1\.html" class="article-card">\n\s+<img class="card-img" src="photos\/cccc\.png"/);
+    assert.ok(!html.includes('post-3'));
+    assert.match(html, /data-category="all"><a href="blog-post\.html"><span>All<\/span><span class="count">2<\/span>/);
+    assert.match(html, /<!-- BLOG-PAGINATION-START -->\s*<!-- BLOG-PAGINATION-END -->/);
+    // Deterministic: rendering the result again changes nothing.
+    assert.equal(renderBlogIndex(html, manifest), html);
+    assert.equal(renderBlogIndex('<div class="article-grid"></div>', manifest), null);
+});
+
+test('renderBlogIndex leaves out images a post does not have', () => {
+    const html = renderBlogIndex(INDEX_PAGE, { posts: [indexPost(1, 'Oct 9, 2026', 'Rest'), indexPost(2, 'Sep 1, 2026', 'Rest')] });
+    assert.ok(!html.includes('<img'));
+    assert.match(html, /<div class="hero-grid">\n                <div class="hero-content">/);
+    assert.match(html, /class="article-card">\n                            <span class="card-category">/);
+});
+
+test('renderBlogIndex puts the first page of cards on the Journal and paginates the rest', () => {
+    const posts = Array.from({ length: 15 }, (_, i) => indexPost(i + 1, `Sep ${i + 1}, 2026`, 'Rest'));
+    const html = renderBlogIndex(INDEX_PAGE, { posts });
+    assert.match(html, /<h1 class="hero-title"><a href="journal\/post-15\.html">/);
+    assert.equal(html.match(/class="article-card"/g).length, 12);
+    assert.ok(html.includes('<!-- Card 3 -->') && !html.includes('<!-- Card 2 -->'));
+    assert.match(html, /<a class="pagination__next" href="journal\/page\/2\.html" rel="next">/);
+});
+
+test('renderJournalPages builds the older archive pages and one page per category', () => {
+    const posts = Array.from({ length: 14 }, (_, i) => indexPost(i + 1, `Sep ${i + 1}, 2026`, i === 0 ? 'Health & Wellness' : 'Rest'));
+    const template = `<head>
+    <title>Holistique UK — Journal</title>
+    <meta name="description" content="Read stories.">
+    <link rel="canonical" href="https://holistiqueuk.com/blog.html">
+    <meta property="og:url" content="https://holistiqueuk.com/blog.html">
+</head>
+<a href="index.html">Home</a>
+<h2 class="section-header">Latest Articles</h2>
+${INDEX_PAGE}`;
+    const index = renderBlogIndex(template, { posts });
+    const pages = renderJournalPages(index, { posts });
+    assert.deepEqual(Object.keys(pages), ['journal/page/2.html', 'journal/category/health-wellness.html', 'journal/category/rest.html']);
+
+    const two = pages['journal/page/2.html'];
+    assert.match(two, /<title>Journal, Page 2 of 2 — Holistique UK<\/title>/);
+    assert.match(two, /<link rel="canonical" href="https:\/\/holistiqueuk\.com\/journal\/page\/2\.html">/);
+    assert.match(two, /<meta property="og:url" content="https:\/\/holistiqueuk\.com\/journal\/page\/2\.html">/);
+    assert.match(two, /<meta name="description" content="Older stories [^"]*page 2 of 2\.">/);
+    assert.match(two, /<a href="\.\.\/\.\.\/index\.html">Home<\/a>/);
+    assert.match(two, /<h1 class="hero-title">Page 2 of 2<\/h1>/);
+    assert.equal(two.match(/class="article-card"/g).length, 1);
+    assert.match(two, /<a href="\.\.\/post-1\.html" class="article-card">/);
+    assert.match(two, /<a class="pagination__prev" href="\.\.\/\.\.\/blog-post\.html" rel="prev">/);
+
+    const health = pages['journal/category/health-wellness.html'];
+    assert.match(health, /<title>Health &amp; Wellness — Journal — Holistique UK<\/title>/);
+    assert.match(health, /<meta name="description" content="Health &amp; Wellness on the Holistique UK Journal: 1 article by Yvonne Liang, newest first\.">/);
+    assert.match(health, /<h2 class="section-header">Health &amp; Wellness<\/h2>/);
+    assert.match(health, /<li class="is-active" data-category="Health &amp; Wellness"><a href="health-wellness\.html">/);
+    assert.match(health, /<li data-category="all"><a href="\.\.\/\.\.\/blog-post\.html">/);
+    assert.match(health, /<!-- BLOG-PAGINATION-START -->\s*<!-- BLOG-PAGINATION-END -->/);
+    assert.equal(pages['journal/category/rest.html'].match(/class="article-card"/g).length, 13);
+});
+
+test('backfillIndexFields reads card and hero text back for posts without it', () => {
+    const page = `<div class="hero-grid">
+                <div class="hero-image">
+                    <a href="journal/two.html">
+                        <img class="hero-img" src="https://miro.medium.com/v2/resize:fit:1400/1*two.jpeg" alt="Two">
+                    </a>
+                </div>
+                <div class="hero-content">
+                    <p class="hero-excerpt">Wild things &amp; more.</p>
+                    <p class="hero-author">By Yvonne &mdash; Oct 1, 2025 &middot; 4 min read</p>
+                </div>
+            </div>
+                        <a href="journal/one.html" class="article-card">
+                            <img class="card-img" src="https://cdn-images-1.medium.com/max/1024/0*one" alt="One">
+                            <p class="card-excerpt">For years, I&#8217;ve gone back and forth...</p>
+                        </a>`;
+    const posts = [
+        { number: 1, file: 'journal/one.html' },
+        { number: 2, file: 'journal/two.html' },
+        { number: 3, file: 'journal/three.html' },
+        { number: 4, file: 'journal/four.html', excerpt: 'Kept', readTime: 2, image: '' },
+    ];
+    assert.equal(backfillIndexFields(posts, page), 2);
+    assert.deepEqual(posts[0], { number: 1, file: 'journal/one.html', excerpt: 'For years, I’ve gone back and forth...', readTime: 1, image: 'https://cdn-images-1.medium.com/max/1024/0*one' });
+    assert.deepEqual(posts[1], { number: 2, file: 'journal/two.html', excerpt: 'Wild things & more.', readTime: 4, image: 'https://miro.medium.com/v2/resize:fit:1400/1*two.jpeg' });
+    assert.equal(posts[2].excerpt, undefined);
+    assert.equal(posts[3].excerpt, 'Kept');
+});
+
+// ── Related Posts ───────────────────────────────────────────────────────────
+
+const RELATED = [
+    { number: 1, file: 'post-1.html', title: 'Olive oil', date: 'Mar 1, 2025', category: 'Nutrition', tags: ['olive oil'] },
+    { number: 2, file: 'journal/greens.html', title: 'Spring greens', date: 'Apr 1, 2025', category: 'Nutrition', tags: [] },
+    { number: 3, file: 'journal/sleep.html', title: 'Sleep', date: 'May 1, 2025', category: 'Sleep', tags: ['rest'] },
+    { number: 4, file: 'journal/press.html', title: 'Pressing olives', date: 'Jun 1, 2025', category: 'Travel', tags: ['Olive Oil', 'medium'] },
+    { number: 5, file: 'journal/gone.html', title: 'Gone', date: 'Jul 1, 2025', category: 'Nutrition', tags: ['olive oil'], unpublishedAt: '2026-10-12T06:00:00.000Z' },
+];
+const RELATED_TEXTS = new Map([
+    ['post-1.html', 'Cold pressed olive oil from the harvest, peppery and green.'],
+    ['journal/greens.html', 'Nettles and wild garlic for a spring soup.'],
+    ['journal/sleep.html', 'Magnesium, dark rooms and a steady bedtime.'],
+    ['journal/press.html', 'We watched the olive harvest pressed into oil at the mill.'],
+    ['journal/gone.html', 'Olive oil olive oil olive oil.'],
+]);
+
+test('findRelatedPosts ranks by category, shared tags and text, never suggesting unpublished posts', () => {
+    const related = findRelatedPosts(indexedPosts(RELATED), RELATED_TEXTS);
+    assert.deepEqual(related.get('post-1.html').map(p => p.number), [4, 2, 3]);
+    assert.deepEqual(related.get('journal/greens.html').map(p => p.number).slice(0, 1), [1]);
+    // Flagged posts still get suggestions of their own.
+    assert.equal(related.get('journal/gone.html').length, 3);
+    for (const posts of related.values()) assert.ok(posts.every(p => p.number !== 5));
+    assert.equal(findRelatedPosts(RELATED.slice(0, 2), RELATED_TEXTS, 1).get('post-1.html').length, 1);
+});
+
+test('findRelatedPosts suggests each story once, and never a copy of the post itself', () => {
+    const posts = indexedPosts([
+        { number: 1, file: 'post-1.html', title: 'Dream It', date: 'Oct 1, 2025', category: 'Manifestation', mediumUrl: 'https://medium.com/@y/dream-it-a4c08416f80d' },
+        { number: 2, file: 'post-2.html', title: "I've Found the Right Water Filter", date: 'Sep 28, 2025', category: 'Manifestation', mediumUrl: 'https://medium.com/@y/water-e48ec397daa0' },
+        { number: 3, file: 'post-3.html', title: 'I’ve Found the Right Water Filter', date: 'Sep 28, 2025', category: 'Manifestation', mediumUrl: 'https://medium.com/@y/water-7d880ceed531' },
+        { number: 4, file: 'post-4.html', title: "The Boy Who Cried 'Gordan Ramsay'", date: 'Aug 23, 2025', category: 'Manifestation', mediumUrl: 'https://medium.com/@y/boy-d6f7e8a91b23', image: 'https://miro.medium.com/v2/resize:fit:700/0*yLWMqLZjVfLFcAXb' },
+        { number: 5, file: 'post-5.html', title: 'The Boy Who Cried “Gordan Ramsey”', date: 'Aug 23, 2025', category: 'Manifestation', mediumUrl: 'https://medium.com/@y/boy-b562dbe1c3df', image: 'https://cdn-images-1.medium.com/max/1024/0*yLWMqLZjVfLFcAXb' },
+        { number: 6, file: 'post-6.html', title: 'Dream It, Retitled', date: 'Jul 1, 2025', category: 'Manifestation', mediumUrl: 'https://medium.com/@y/dream-it-retitled-a4c08416f80d' },
+        { number: 7, file: 'post-7.html', title: 'Sleep', date: 'Jun 1, 2025', category: 'Manifestation', mediumUrl: 'https://medium.com/@y/sleep-bb59d3b2d3dc' },
+    ]);
+    const related = findRelatedPosts(posts, new Map());
+    // Copies: 2 and 3 differ only by apostrophe, 4 and 5 share a card image, 1 and 6 a Medium id.
+    const story = n => ({ 3: 2, 5: 4, 6: 1 })[n] || n;
+    for (const post of posts) {
+        const stories = related.get(post.file).map(p => story(p.number));
+        assert.equal(stories.length, 3, post.file);
+        assert.equal(new Set(stories).size, 3, `${post.file} suggests one story twice`);
+        assert.ok(!stories.includes(story(post.number)), `${post.file} suggests a copy of itself`);
+    }
+});
+
+test('generateRelatedHtml renders a card per post and nothing without any', () => {
+    const html = generateRelatedHtml([
+        { ...RELATED[3], readTime: 3, image: '' },
+        { ...RELATED[0], title: 'Oil & vinegar', readTime: 2, image: 'images/journal/oil.webp' },
+    ]);
+    assert.match(html, /<h2 class="related-posts__heading" id="related-posts-heading">You might also like<\/h2>/);
+    assert.equal(html.match(/class="related-card"/g).length, 2);
+    assert.match(html, /<a href="journal\/press.html" class="related-card">\s*<span class="related-card__category">Travel/);
+    assert.match(html, /<img class="related-card__img" src="images\/journal\/oil.webp"[^>]*alt="Oil &amp; vinegar" loading="lazy">/);
+    assert.match(html, /3 Min Read &middot; Jun 1, 2025/);
+    assert.equal(generateRelatedHtml([]), '');
+});
+
+test('putRelatedBlock fills the markers, adding them above the back link the first time', () => {
+    const page = `<style>
+        .back-link { color: red; }
+    </style>
+    <article>
+        <div class="author-bio"></div>
+
+        <a href="../blog-post.html" class="back-link">Back to Journal</a>
+    </article>`;
+    const once = putRelatedBlock(page, '<section>one</section>');
+    assert.match(once, /\.related-posts \{[^}]*\}[\s\S]*<\/style>/);
+    assert.match(once, /<!-- RELATED-POSTS-START -->\n<section>one<\/section>\n {8}<!-- RELATED-POSTS-END -->\n\n\s*<a href="..\/blog-post.html" class="back-link">/);
+    const twice = putRelatedBlock(once, '<section>two</section>');
+    assert.equal(twice, once.replace('one', 'two'));
+    assert.equal(twice.match(/\.related-posts \{/g).length, 1);
+    assert.equal(putRelatedBlock('<style></style><p>No way back</p>', 'x'), null);
+});
+
+// ── Re-rendering ────────────────────────────────────────────────────────────
+
+const GOLDEN_POST_FILE = 'journal/learning-to-rest-like-it-matters.html';
+const GOLDEN_POST = fs.readFileSync(path.join(__dirname, 'golden', 'medium', GOLDEN_POST_FILE), 'utf8');
+const GOLDEN_POST_ENTRY = { number: 2, title: 'Learning to Rest Like It Matters', file: GOLDEN_POST_FILE, date: 'Oct 9, 2026', category: 'Rest', readTime: 2 };
+
+test('readPostFields reads a post page back into generatePostHtml fields', () => {
+    const fields = readPostFields(relocateUrls(GOLDEN_POST, GOLDEN_POST_FILE, 'index.html'));
+    assert.equal(fields.title, 'Learning to Rest Like It Matters');
+    assert.equal(fields.category, 'Rest');
+    assert.equal(fields.date, 'Oct 9, 2026');
+    assert.equal(fields.readTime, 2);
+    assert.match(fields.heroImage, /^photos\//);
+    assert.ok(fields.bodyHtml.startsWith('<'));
+    assert.ok(!fields.bodyHtml.includes('author-bio'));
+    assert.equal(readPostFields('<html><body><p>Not a post</p></body></html>'), null);
+});
+
+test('rerenderPostPage rebuilds a current page unchanged, related posts and all', (t) => {
+    process.env.SYNC_NOW = '2026-10-12T06:00:00.000Z';
+    t.after(() => { delete process.env.SYNC_NOW; });
+    assert.equal(rerenderPostPage(GOLDEN_POST, GOLDEN_POST_ENTRY), GOLDEN_POST);
+
+    // An older page picks up the current header and footer but keeps its content.
+    const old = GOLDEN_POST
+        .replace(/<nav class="header-nav">[\s\S]*?<\/nav>/, '<nav class="header-nav"><a href="../index.html">Home</a> <a href="#">About</a></nav>')
+        .replace(/&copy; \d{4}/, '&copy; 2024');
+    assert.match(old, /href="#">About/);
+    assert.match(old, /&copy; 2024/);
+    assert.equal(rerenderPostPage(old, GOLDEN_POST_ENTRY), GOLDEN_POST);
+});
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for scripts/lib/templates.js.
+ *
+ * Run: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { render, renderTemplate } = require('../lib/templates');
+
+test('render escapes {{values}} and leaves {{{raw}}} ones as they are', () => {
+    const data = { title: 'Rest & <Sleep>', body: '<p>Hi</p>', none: null };
+    assert.equal(render('<h1>{{title}}</h1>{{{body}}}', data), '<h1>Rest &amp; &lt;Sleep&gt;</h1><p>Hi</p>');
+    assert.equal(render('[{{none}}][{{{none}}}]', data), '[][]');
+    assert.equal(render('{{post.title}}', { post: { title: 'Dotted' } }), 'Dotted');
+});
+
+test('render repeats sections per item and shows inverted ones when empty', () => {
+    const source = '{{#tags}}<b>{{.}}</b>{{/tags}}{{^tags}}none{{/tags}}';
+    assert.equal(render(source, { tags: ['a', 'b'] }), '<b>a</b><b>b</b>');
+    assert.equal(render(source, { tags: [] }), 'none');
+    assert.equal(render('{{#image}}<img src="{{image}}">{{/image}}', { image: '' }), '');
+    // Items see the outer scope as well as their own fields.
+    assert.equal(render('{{#posts}}{{title}} ({{category}}) {{/posts}}', { category: 'Sleep', posts: [{ title: 'One' }, { title: 'Two', category: 'Rest' }] }),
+        'One (Sleep) Two (Rest) ');
+});
+
+test('render drops lines that hold only a block or comment tag', () => {
+    const source = '<ul>\n    {{! one per link }}\n    {{#links}}\n    <li>{{.}}</li>\n    {{/links}}\n</ul>';
+    assert.equal(render(source, { links: ['a', 'b'] }), '<ul>\n    <li>a</li>\n    <li>b</li>\n</ul>');
+    assert.equal(render(source, { links: [] }), '<ul>\n</ul>');
+});
+
+test('render includes partials with the same data', () => {
+    assert.equal(render('<div>{{> greeting}}</div>', { name: 'Yvonne' }, { greeting: 'Hello {{name}}' }), '<div>Hello Yvonne</div>');
+    assert.throws(() => render('{{> missing}}', {}, {}), /there is no partial named missing/);
+});
+
+test('render fails on an undefined value or an unbalanced section', () => {
+    assert.throws(() => render('{{titel}}', { title: 'x' }, null, 'card.html'), /card\.html: \{\{titel\}\} is not defined/);
+    assert.throws(() => render('{{#a}}x', { a: 1 }), /\{\{#a\}\} is never closed/);
+    assert.throws(() => render('{{#a}}x{{/b}}', { a: 1 }), /\{\{\/b\}\} does not close \{\{#a\}\}/);
+    // A section over a missing name is simply empty.
+    assert.equal(render('{{#missing}}x{{/missing}}', {}), '');
+});
+
+test('every template sees the site name and the year of the build', (t) => {
+    assert.equal(render('{{siteName}}', {}), 'Holistique UK');
+    assert.equal(render('{{year}}', {}), String(new Date().getUTCFullYear()));
+    process.env.SYNC_NOW = '2031-01-02T06:00:00.000Z';
+    t.after(() => { delete process.env.SYNC_NOW; });
+    assert.equal(render('{{year}}', {}), '2031');
+});
+
+test('the shared footer and header link the real pages', (t) => {
+    process.env.SYNC_NOW = '2031-01-02T06:00:00.000Z';
+    t.after(() => { delete process.env.SYNC_NOW; });
+    const footer = renderTemplate('partials/footer.html', {});
+    assert.match(footer, /&copy; 2031 Holistique UK\. All rights reserved\./);
+    const header = renderTemplate('partials/header.html', {});
+    assert.doesNotMatch(header, /href="#"/);
+    for (const page of ['index.html', 'blog.html', 'events.html']) assert.match(header, new RegExp(`href="${page}"`));
+});